@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveOptions } = require('./lib/config');
+const { datasetFor, describeDataset } = require('./lib/io');
+const { loadMapping } = require('./lib/mapping');
+const { streamRows } = require('./lib/streams');
+const { AUDIT_CHECKS, createSourceAudit } = require('./lib/source-audit');
+
+/**
+ * Source Data Quality Audit
+ *
+ * Pre-flight check of the Stripe export and the contact list before mapping:
+ * invalid emails, unparseable or out-of-range dates, billing end dates before
+ * their start, unknown Status values and blank required columns, each with
+ * its sheet and row number. CSV, TSV and NDJSON rows are read one at a time,
+ * so the audit also works on exports too large for map without --stream
+ * (xlsx workbooks and JSON arrays are parsed whole first).
+ *
+ * Saves the findings as source-audit-<timestamp>.json in the report
+ * directory. The audit fails when a check exceeds its --audit-thresholds.
+ */
+
+// Findings printed per check; the report has all of them
+const MAX_LISTED_FINDINGS = 10;
+
+/**
+ * The name findings use for a dataset: its sheet, or its file name
+ */
+function sheetName(dataset) {
+    return dataset.format === 'xlsx' && dataset.sheet ? dataset.sheet : path.basename(dataset.file);
+}
+
+/**
+ * Runs the audit. Returns the audit (see createSourceAudit); its status tells
+ * callers whether to stop before mapping.
+ */
+async function auditSourceData(overrides = {}) {
+    const options = resolveOptions(overrides);
+    
+    console.log('🔎 SOURCE DATA QUALITY AUDIT');
+    console.log('='.repeat(60));
+    
+    try {
+        const mapping = loadMapping(options.mapping, options);
+        const sourceDataset = datasetFor(options, 'source');
+        const targetDataset = datasetFor(options, 'target');
+        const audit = createSourceAudit(mapping, options, { source: sheetName(sourceDataset), target: sheetName(targetDataset) });
+        
+        console.log(`\n📖 Source: ${describeDataset(sourceDataset)}`);
+        await streamRows(sourceDataset, (row, index) => audit.addSourceRow(row, index));
+        console.log(`📖 Target: ${describeDataset(targetDataset)}`);
+        await streamRows(targetDataset, (row, index) => audit.addTargetRow(row, index));
+        
+        const result = audit.finish();
+        displayAudit(result);
+        saveAuditReport(result, options);
+        return result;
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Prints the counts, the first findings of each check and the threshold results
+ */
+function displayAudit(audit) {
+    console.log(`\n📊 Rows checked: ${audit.rows.source} in ${audit.sheets.source}, ${audit.rows.target} in ${audit.sheets.target}`);
+    
+    Object.entries(AUDIT_CHECKS).forEach(([check, { description }]) => {
+        const count = audit.counts[check];
+        console.log(`\n${count === 0 ? '✅' : '⚠️ '} ${description}: ${count}`);
+        
+        const findings = audit.findings.filter(finding => finding.check === check);
+        findings.slice(0, MAX_LISTED_FINDINGS).forEach(finding => {
+            const where = finding.rowNumber === null ? finding.sheet : `${finding.sheet} row ${finding.rowNumber}`;
+            console.log(`   ${where}: ${finding.message}`);
+        });
+        if (findings.length > MAX_LISTED_FINDINGS) {
+            console.log(`   ... and ${findings.length - MAX_LISTED_FINDINGS} more`);
+        }
+    });
+    
+    if (audit.thresholds.length > 0) {
+        console.log('\n📏 Thresholds:');
+        audit.thresholds.forEach(threshold => {
+            const limit = threshold.percent ? `${threshold.limit}% of ${threshold.rows} rows` : threshold.limit;
+            console.log(`   ${threshold.exceeded ? '❌' : '✅'} ${threshold.check}: ${threshold.count} (limit ${limit})`);
+        });
+    }
+    
+    console.log(`\n🎯 Audit Status: ${audit.status}`);
+    audit.issues.forEach(issue => console.log(`   ❌ ${issue}`));
+}
+
+/**
+ * Writes the audit with every finding to the report directory
+ */
+function saveAuditReport(audit, options) {
+    if (!fs.existsSync(options.reportDir)) {
+        fs.mkdirSync(options.reportDir, { recursive: true });
+    }
+    
+    const now = new Date().toISOString();
+    const reportPath = path.join(options.reportDir, `source-audit-${now.replace(/[:.]/g, '-')}.json`);
+    fs.writeFileSync(reportPath, JSON.stringify({ timestamp: now, ...audit }, null, 2));
+    console.log(`\n📁 Audit report saved: ${reportPath}`);
+}
+
+module.exports = {
+    auditSourceData
+};
+
+// Run the script when executed directly
+if (require.main === module) {
+    auditSourceData()
+        .then(audit => process.exit(audit.status === 'PASSED' ? 0 : 1))
+        .catch(() => process.exit(1));
+}
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+const { mapContactFields } = require('./map-contact-fields');
+const { verifyFieldMapping } = require('./verify-field-mapping');
+const { listUnmatchedEmails } = require('./list-unmatched-emails');
+const { listMultipleIds } = require('./list-multiple-ids');
+const { pushToHubSpot } = require('./push-to-hubspot');
+const { compareReports } = require('./compare-reports');
+const { auditSourceData } = require('./audit-source-data');
+const { DEFAULT_OPTIONS } = require('./lib/config');
+
+/**
+ * Backfill Command Line Interface
+ *
+ * Single entry point for the contact property backfill scripts:
+ *
+ *   node backfill.js <command> [flags]
+ *
+ * Every command shares the same file and sheet flags so a new backfill
+ * only needs different arguments, not edits to the scripts themselves.
+ */
+
+// Flags shared by every command, keyed by their command line name
+const FLAGS = {
+    '--input': { key: 'input', type: 'string', description: 'Input workbook with the source and target sheets' },
+    '--source': { key: 'source', type: 'string', description: 'Separate source (Stripe) file, instead of a sheet of --input' },
+    '--target': { key: 'target', type: 'string', description: 'Separate target (contacts) file, instead of a sheet of --input' },
+    '--output': { key: 'output', type: 'string', description: 'Mapped output file (written by map, read by verify)' },
+    '--source-format': { key: 'sourceFormat', type: 'string', description: 'Source format: xlsx, csv, tsv, json or ndjson (default: from extension)' },
+    '--target-format': { key: 'targetFormat', type: 'string', description: 'Target format (default: from extension)' },
+    '--output-format': { key: 'outputFormat', type: 'string', description: 'Output format (default: from extension)' },
+    '--source-sheet': { key: 'sourceSheet', type: 'string', description: 'Sheet holding the Stripe subscription rows' },
+    '--target-sheet': { key: 'targetSheet', type: 'string', description: 'Sheet holding the contacts to update' },
+    '--audit-workbook': { key: 'auditWorkbook', type: 'string', description: 'Also write an xlsx audit workbook with Results, Unmatched, Multi-ID Decisions, Rule Decisions and Summary sheets (map)' },
+    '--audit-thresholds': { key: 'auditThresholds', type: 'string', description: 'Fail the source audit above these finding counts, e.g. invalid-email=0,unknown-status=1%,total=100 (audit, run)' },
+    '--report-dir': { key: 'reportDir', type: 'string', description: 'Directory for verification reports and logs' },
+    '--format': { key: 'reportFormat', type: 'string', description: 'Also write the verification tests as junit (XML) or tap next to the JSON report (verify)' },
+    '--before': { key: 'before', type: 'string', description: 'Older verification report to compare (compare-reports; default: the second latest in --report-dir)' },
+    '--after': { key: 'after', type: 'string', description: 'Newer verification report to compare (compare-reports; default: the latest in --report-dir)' },
+    '--mapping': { key: 'mapping', type: 'string', description: 'JSON/YAML file listing the columns to map' },
+    '--property-definitions': { key: 'propertyDefinitions', type: 'string', description: 'HubSpot property definition JSON; enum columns must map onto its options (default: the mapping\'s "propertyDefinitions")' },
+    '--rules': { key: 'rules', type: 'string', description: 'Rules file of derived columns, e.g. a lifecycle state, added to the mapping (default: the mapping\'s "rules")' },
+    '--as-of': { key: 'asOf', type: 'string', description: 'Date "now" stands for in rules (default: when map runs; verify uses the one map recorded)' },
+    '--allow-unmapped-values': { key: 'allowUnmappedValues', type: 'boolean', description: 'Write enum values with no option as they are instead of stopping the map (listed in <output>-unmapped-values)' },
+    '--profile': { key: 'profile', type: 'string', description: 'Output profile: default or hubspot (HubSpot import CSV)' },
+    '--timezone': { key: 'timeZone', type: 'string', description: 'IANA timezone for reading and writing dates without an offset, e.g. America/New_York (verify/multiples default: the output manifest)' },
+    '--date-format': { key: 'dateFormat', type: 'string', description: 'Output date format: mdy (MM/DD/YYYY HH:MM:SS), iso (ISO 8601), date (YYYY-MM-DD) or epoch-ms' },
+    '--stream': { key: 'stream', type: 'boolean', description: 'Read the source and target (csv, tsv or ndjson) one row at a time and write the output as it is mapped, for very large exports (map)' },
+    '--diff': { key: 'diff', type: 'boolean', description: 'Output only contacts with changed fields, as old_<column>/new_<column> pairs plus a Changed Fields list' },
+    '--provenance': { key: 'provenance', type: 'boolean', description: 'Add Source Id, Source Record ID, Source Row Number and Selection Reason columns (--provenance=false leaves them out)' },
+    '--include-unmatched': { key: 'includeUnmatched', type: 'boolean', description: 'Keep every contact in the output, adding Match Status (matched, needs-review, no-source, missing-email, invalid-email) and Source Id columns' },
+    '--duplicates': { key: 'duplicatePolicy', type: 'string', description: 'Contacts sharing an email: emit-all, keep-first, highest-record-id or conflicts (held back in <output>-duplicates) (verify default: the output manifest)' },
+    '--match-keys': { key: 'matchKeys', type: 'string', description: 'Ordered keys to match contacts by: stripe-customer-id, record-id, email (e.g. stripe-customer-id,email; verify default: the output manifest)' },
+    '--match-rules': { key: 'matchRules', type: 'string', description: 'Comma-separated email normalization rules: invisible, unicode, plus-tags, gmail (verify default: the output manifest)' },
+    '--fuzzy-distance': { key: 'fuzzyDistance', type: 'number', description: 'Match emails within this many typos (edits) of a source email; 0 turns fuzzy matching off' },
+    '--review-threshold': { key: 'reviewThreshold', type: 'number', description: 'Matches below this confidence (0-1) go to the review file instead of the output' },
+    '--strategy': { key: 'strategy', type: 'string', description: 'Row selection for emails with several subscriptions: latest-create-date, prefer-active-then-latest, latest-billing-end or a comparator module path (verify/multiples default: the output manifest)' },
+    '--hubspot-url': { key: 'hubspotUrl', type: 'string', description: 'HubSpot API base URL (point at mock-hubspot-server.js to test offline)' },
+    '--batch-size': { key: 'batchSize', type: 'number', description: 'Contacts per HubSpot batch request (max 100)' },
+    '--max-retries': { key: 'maxRetries', type: 'number', description: 'Retries per batch on 429/5xx responses' },
+    '--dry-run': { key: 'dryRun', type: 'boolean', description: 'Print the HubSpot payloads instead of sending them' }
+};
+
+/**
+ * Commands return the process exit code (0 = success)
+ */
+const COMMANDS = {
+    audit: {
+        description: 'Check the source and target data for invalid emails, dates and statuses before mapping',
+        run: async (options) => {
+            const audit = await auditSourceData(options);
+            return audit.status === 'PASSED' ? 0 : 1;
+        }
+    },
+    map: {
+        description: 'Map source fields onto matching contacts and write the output file',
+        run: async (options) => {
+            await mapContactFields(options);
+            return 0;
+        }
+    },
+    verify: {
+        description: 'Verify the output file against the input workbook',
+        run: async (options) => {
+            const verification = await verifyFieldMapping(options);
+            return verification.status === 'PASSED' ? 0 : 1;
+        }
+    },
+    unmatched: {
+        description: 'List target emails with no match in the source sheet',
+        run: async (options) => {
+            listUnmatchedEmails(options);
+            return 0;
+        }
+    },
+    multiples: {
+        description: 'List source emails with multiple subscription IDs',
+        run: async (options) => {
+            listMultipleIds(options);
+            return 0;
+        }
+    },
+    push: {
+        description: 'Send the mapped hubspot-profile output to the HubSpot batch upsert API',
+        run: async (options) => {
+            const result = await pushToHubSpot(options);
+            return result.stats.failedBatches > 0 ? 1 : 0;
+        }
+    },
+    'compare-reports': {
+        description: 'Compare two verification reports and show what got better or worse',
+        run: async (options) => {
+            const comparison = compareReports(options);
+            return comparison.regressed ? 1 : 0;
+        }
+    },
+    run: {
+        description: 'Run audit, map and then verify on the same files',
+        run: async (options) => {
+            if (await COMMANDS.audit.run(options) !== 0) {
+                console.error('\n❌ Source audit failed its thresholds; not mapping');
+                return 1;
+            }
+            await COMMANDS.map.run(options);
+            return COMMANDS.verify.run(options);
+        }
+    }
+};
+
+/**
+ * Parses command line arguments into a command name and an options object.
+ * Supports both "--flag value" and "--flag=value" forms.
+ */
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const options = {};
+
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        const [name, inlineValue] = arg.split(/=(.*)/s, 2);
+        const flag = FLAGS[name];
+
+        if (name === '--help' || name === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!flag) {
+            throw new Error(`Unknown flag: ${name}`);
+        }
+
+        if (flag.type === 'boolean') {
+            options[flag.key] = inlineValue === undefined ? true : inlineValue !== 'false';
+            continue;
+        }
+
+        const value = inlineValue !== undefined ? inlineValue : rest[++i];
+        if (value === undefined || (inlineValue === undefined && value.startsWith('--'))) {
+            throw new Error(`Missing value for ${name}`);
+        }
+        if (flag.type === 'number') {
+            if (value.trim() === '' || isNaN(Number(value))) {
+                throw new Error(`${name} expects a number, got "${value}"`);
+            }
+            options[flag.key] = Number(value);
+            continue;
+        }
+        options[flag.key] = value;
+    }
+
+    return { command, options };
+}
+
+/**
+ * Prints usage information
+ */
+function printUsage() {
+    console.log('Usage: node backfill.js <command> [flags]\n');
+    console.log('Commands:');
+    Object.entries(COMMANDS).forEach(([name, command]) => {
+        console.log(`   ${name.padEnd(12)} ${command.description}`);
+    });
+    console.log('\nFlags:');
+    Object.entries(FLAGS).forEach(([name, flag]) => {
+        const label = flag.type === 'boolean' ? name : `${name} <value>`;
+        const defaultValue = DEFAULT_OPTIONS[flag.key];
+        const hasDefault = defaultValue !== undefined && !(Array.isArray(defaultValue) && defaultValue.length === 0);
+        const fallback = hasDefault ? ` (default: ${defaultValue})` : '';
+        console.log(`   ${label.padEnd(26)} ${flag.description}${fallback}`);
+    });
+}
+
+/**
+ * Entry point
+ */
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        console.error(`❌ ${error.message}\n`);
+        printUsage();
+        return 1;
+    }
+
+    const { command, options } = parsed;
+
+    if (!command || ['help', '--help', '-h'].includes(command) || options.help) {
+        printUsage();
+        return 0;
+    }
+    if (!COMMANDS[command]) {
+        console.error(`❌ Unknown command: ${command}\n`);
+        printUsage();
+        return 1;
+    }
+
+    try {
+        return await COMMANDS[command].run(options);
+    } catch (error) {
+        // The scripts log their own errors before rethrowing
+        return 1;
+    }
+}
+
+module.exports = {
+    COMMANDS,
+    FLAGS,
+    parseArgs
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => process.exit(code));
+}
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createRowWriter } = require('./lib/streams');
+
+/**
+ * Benchmark for Large Exports
+ *
+ * Generates synthetic Stripe subscription and contact CSVs, then maps them
+ * in memory and with --stream, each in its own process, and reports the
+ * time and peak memory (max RSS) of both:
+ *
+ *   node benchmark-large-exports.js [sourceRows] [contactRows] [modes]
+ *   node benchmark-large-exports.js 1000000 1000000 stream,memory
+ *
+ * About one email in five has several subscriptions and one contact in ten
+ * has no subscription. The files are written to a temporary directory and
+ * removed afterwards.
+ */
+
+const DEFAULT_ROWS = 1000000;
+const MODES = ['stream', 'memory'];
+const STATUSES = ['active', 'active', 'active', 'trialing', 'canceled', 'past_due'];
+const PRODUCTS = ['Basic Auto', 'Premium Auto', 'Basic Auto,Associates', 'Premium Auto,Associates,Carbon Offset'];
+const COUPONS = ['', '', '', 'Green Vehicle Discount', 'Loyalty 10'];
+
+/**
+ * Small deterministic random number generator, so every run maps the same data
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        // mulberry32
+        state = (state + 0x6D2B79F5) >>> 0;
+        let value = Math.imul(state ^ (state >>> 15), state | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * YYYY-MM-DD HH:MM:SS for a day offset from 2023-01-01
+ */
+function syntheticDate(dayOffset, secondOfDay) {
+    const date = new Date(Date.UTC(2023, 0, 1) + dayOffset * 86400000 + secondOfDay * 1000);
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Writes the synthetic source and target CSVs; returns their paths
+ */
+function generateInputs(dir, sourceRows, contactRows) {
+    const random = createRandom(42);
+    const emailCount = Math.max(1, Math.round(sourceRows * 0.8));
+    const source = path.join(dir, 'stripe-subscriptions.csv');
+    const target = path.join(dir, 'contacts.csv');
+
+    const sourceWriter = createRowWriter({ file: source, format: 'csv' });
+    for (let index = 0; index < sourceRows; index++) {
+        // The first emailCount rows cover every email once, the rest repeat some
+        const emailNumber = index < emailCount ? index : Math.floor(random() * emailCount);
+        const start = Math.floor(random() * 900);
+        sourceWriter.write({
+            'Record ID': String(10000000 + emailNumber),
+            'Id': `sub_${index.toString(36).padStart(8, '0')}`,
+            'Stripe Customer Email': `user${emailNumber}@example.com`,
+            'Most Recent Create Date': syntheticDate(start, Math.floor(random() * 86400)),
+            'Billing Start Date': syntheticDate(start, 0),
+            'Billing End Date': syntheticDate(start + 365, 0),
+            'Status': STATUSES[Math.floor(random() * STATUSES.length)],
+            'Products': PRODUCTS[Math.floor(random() * PRODUCTS.length)],
+            'Discount': '',
+            'Coupon': COUPONS[Math.floor(random() * COUPONS.length)]
+        });
+    }
+    sourceWriter.end();
+
+    const targetWriter = createRowWriter({ file: target, format: 'csv' });
+    for (let index = 0; index < contactRows; index++) {
+        // One contact in ten has an email with no subscription
+        const email = random() < 0.1 ? `lead${index}@example.org` : `user${Math.floor(random() * emailCount)}@example.com`;
+        targetWriter.write({
+            'Record ID': String(20000000 + index),
+            'Email': email,
+            'Status': random() < 0.5 ? 'active' : ''
+        });
+    }
+    targetWriter.end();
+
+    return { source, target };
+}
+
+/**
+ * Maps the inputs in one mode (runs in the child process) and prints the
+ * measurements as the last line of output
+ */
+async function runChild(mode, source, target, output) {
+    const { mapContactFields } = require('./map-contact-fields');
+    const log = console.log;
+    console.log = () => {}; // Keep the mapper's progress out of the benchmark output
+
+    const started = process.hrtime.bigint();
+    const matchedData = await mapContactFields({ source, target, output, stream: mode === 'stream' });
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+
+    console.log = log;
+    console.log(JSON.stringify({
+        seconds: seconds,
+        maxRssMb: process.resourceUsage().maxRSS / 1024,
+        heapUsedMb: process.memoryUsage().heapUsed / 1024 / 1024,
+        written: matchedData.stats.written,
+        matched: matchedData.stats.matched,
+        uniqueEmails: matchedData.sourceIndex.stats.uniqueEmails
+    }));
+}
+
+/**
+ * Runs one mode in its own process so its peak memory is measured alone
+ */
+function runMode(mode, inputs, dir) {
+    const output = path.join(dir, `output-${mode}.csv`);
+    const child = spawnSync(process.execPath, [__filename, '--child', mode, inputs.source, inputs.target, output], {
+        encoding: 'utf8',
+        maxBuffer: 64 * 1024 * 1024
+    });
+
+    const lastLine = (child.stdout || '').trim().split('\n').pop();
+    if (child.status !== 0) {
+        const reason = child.signal || (child.stderr || '').trim().split('\n').find(line => /heap out of memory|Error/.test(line)) || `exit code ${child.status}`;
+        return { mode: mode, failed: reason };
+    }
+
+    const result = { mode: mode, ...JSON.parse(lastLine), outputMb: fs.statSync(output).size / 1024 / 1024 };
+    fs.unlinkSync(output);
+    return result;
+}
+
+/**
+ * Generates the inputs, runs each mode and prints a results table
+ */
+function benchmarkLargeExports(sourceRows = DEFAULT_ROWS, contactRows = sourceRows, modes = MODES) {
+    modes.forEach(mode => {
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unknown benchmark mode "${mode}" (expected ${MODES.join(', ')})`);
+        }
+    });
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-benchmark-'));
+    console.log('⏱️  LARGE EXPORT BENCHMARK');
+    console.log('='.repeat(60));
+    console.log(`🖥️  Node ${process.version}, ${os.cpus().length} CPU, ${Math.round(os.totalmem() / 1024 / 1024 / 1024)} GB memory`);
+
+    try {
+        console.log(`\n📝 Generating ${sourceRows} subscription rows and ${contactRows} contacts...`);
+        const generated = process.hrtime.bigint();
+        const inputs = generateInputs(dir, sourceRows, contactRows);
+        console.log(`   ✅ ${(Number(process.hrtime.bigint() - generated) / 1e9).toFixed(1)}s: source ${(fs.statSync(inputs.source).size / 1024 / 1024).toFixed(0)} MB, contacts ${(fs.statSync(inputs.target).size / 1024 / 1024).toFixed(0)} MB`);
+
+        const results = modes.map(mode => {
+            console.log(`\n🔄 Mapping (${mode})...`);
+            const result = runMode(mode, inputs, dir);
+            if (result.failed) {
+                console.log(`   ❌ Failed: ${result.failed}`);
+            } else {
+                console.log(`   ✅ ${result.seconds.toFixed(1)}s, peak RSS ${result.maxRssMb.toFixed(0)} MB, ${result.written} rows written (${result.outputMb.toFixed(0)} MB)`);
+            }
+            return result;
+        });
+
+        console.log('\n📊 RESULTS');
+        console.log(`   ${'Mode'.padEnd(8)} ${'Time'.padStart(9)} ${'Peak RSS'.padStart(10)} ${'Heap at end'.padStart(12)}`);
+        results.forEach(result => {
+            if (result.failed) {
+                console.log(`   ${result.mode.padEnd(8)} failed: ${result.failed}`);
+                return;
+            }
+            console.log(`   ${result.mode.padEnd(8)} ${`${result.seconds.toFixed(1)}s`.padStart(9)} ${`${result.maxRssMb.toFixed(0)} MB`.padStart(10)} ${`${result.heapUsedMb.toFixed(0)} MB`.padStart(12)}`);
+        });
+
+        return results;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    benchmarkLargeExports
+};
+
+// Run the benchmark when executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    if (args[0] === '--child') {
+        runChild(...args.slice(1)).catch(error => {
+            console.error(error.stack);
+            process.exit(1);
+        });
+    } else {
+        try {
+            const sourceRows = args[0] ? Number(args[0]) : DEFAULT_ROWS;
+            const contactRows = args[1] ? Number(args[1]) : sourceRows;
+            benchmarkLargeExports(sourceRows, contactRows, args[2] ? args[2].split(',') : MODES);
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            process.exit(1);
+        }
+    }
+}
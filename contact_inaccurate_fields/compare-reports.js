@@ -0,0 +1,115 @@
+const path = require('path');
+const { resolveOptions } = require('./lib/config');
+const { listReports, readReport, compareVerifications } = require('./lib/report-compare');
+
+/**
+ * Compare Verification Reports
+ *
+ * Shows what changed between two verify runs: test statuses, test counts and
+ * the emails or fields that started or stopped failing. Compares --before
+ * and --after, or the latest two reports in the report directory.
+ */
+
+// Failures listed per section; the rest are counted
+const MAX_LISTED_FAILURES = 20;
+
+/**
+ * Picks the two reports to compare, oldest first
+ */
+function reportsToCompare(options) {
+    if (options.before || options.after) {
+        if (!options.before || !options.after) {
+            throw new Error('Pass both --before and --after, or neither to compare the latest two reports');
+        }
+        return [options.before, options.after];
+    }
+    
+    const reports = listReports(options.reportDir);
+    if (reports.length < 2) {
+        throw new Error(`Need two verification reports in ${options.reportDir}, found ${reports.length}`);
+    }
+    return reports.slice(-2);
+}
+
+/**
+ * One line describing a failure
+ */
+function describeFailure(failure) {
+    const subject = failure.value || [failure.email, failure.column].filter(Boolean).join(' / ');
+    return `${failure.test} · ${failure.kind}: ${subject}`;
+}
+
+/**
+ * Prints a list of failures, capped at MAX_LISTED_FAILURES
+ */
+function printFailures(title, failures) {
+    console.log(`\n${title} (${failures.length}):`);
+    failures.slice(0, MAX_LISTED_FAILURES).forEach((failure, index) => {
+        console.log(`   ${index + 1}. ${describeFailure(failure)}`);
+    });
+    if (failures.length > MAX_LISTED_FAILURES) {
+        console.log(`   ... and ${failures.length - MAX_LISTED_FAILURES} more`);
+    }
+}
+
+/**
+ * Compares two verification reports and prints the differences.
+ * Returns the comparison (see compareVerifications) with the report files.
+ */
+function compareReports(overrides = {}) {
+    const options = resolveOptions(overrides);
+    
+    console.log('🔍 Comparing verification reports');
+    console.log('='.repeat(60));
+    
+    try {
+        const [beforeFile, afterFile] = reportsToCompare(options).map(file => path.resolve(file));
+        const before = readReport(beforeFile);
+        const after = readReport(afterFile);
+        
+        console.log(`\n📁 Before: ${beforeFile} (${before.timestamp})`);
+        console.log(`📁 After:  ${afterFile} (${after.timestamp})`);
+        
+        const comparison = compareVerifications(before, after);
+        console.log(`\n🎯 Overall Status: ${comparison.status.before} → ${comparison.status.after}`);
+        
+        console.log('\n📋 Tests:');
+        comparison.tests.forEach(test => {
+            const icon = test.after === 'PASSED' ? '✅' : test.after === 'SKIPPED' ? '⏭️ ' : '❌';
+            const change = test.changed ? `${test.before || 'not run'} → ${test.after || 'not run'}` : test.after;
+            console.log(`   ${icon} ${test.name}: ${change}`);
+        });
+        
+        console.log(`\n📊 Changed Counts (${comparison.counts.length}):`);
+        comparison.counts.forEach(count => {
+            const delta = count.delta !== null ? ` (${count.delta > 0 ? '+' : ''}${count.delta})` : '';
+            console.log(`   ${count.test} · ${count.name}: ${count.before === null ? '-' : count.before} → ${count.after === null ? '-' : count.after}${delta}`);
+        });
+        
+        printFailures('❌ New Failures', comparison.newFailures);
+        printFailures('✅ Fixed Failures', comparison.fixedFailures);
+        
+        console.log(comparison.regressed
+            ? '\n⚠️  Regressions since the earlier report'
+            : '\n✅ No regressions');
+        
+        return { ...comparison, files: { before: beforeFile, after: afterFile } };
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    compareReports
+};
+
+// Run the script when executed directly
+if (require.main === module) {
+    try {
+        const comparison = compareReports();
+        process.exit(comparison.regressed ? 1 : 0);
+    } catch (error) {
+        process.exit(1);
+    }
+}
@@ -0,0 +1,184 @@
+const { DEFAULT_OPTIONS } = require('./config');
+const { parseDate } = require('./dates');
+const { isBlank } = require('./mapping');
+const { normalizeEmail } = require('./records');
+const { splitMultiValue } = require('./multi-values');
+
+/**
+ * Aggregate Columns
+ *
+ * A mapping column with "aggregate" is computed over every subscription of
+ * the contact's email instead of the selected one, for lifetime-style
+ * properties:
+ *
+ *   min / max        the lowest or highest source value (compared as dates,
+ *                    numbers or text by the column's type)
+ *   count            the number of subscriptions (with a source, those where it
+ *                    is not blank)
+ *   first-by         the source value of the subscription that sorts first by
+ *                    the "by" column ("byType" date, number or string; "order"
+ *                    desc by default, so the latest)
+ *   concat-distinct  every distinct item of the source column, written like
+ *                    a multi column
+ *
+ * "where" ({ "Status": ["active", "trialing"] }) limits the subscriptions to
+ * those whose columns hold one of the listed values (case-insensitive). Blank
+ * and unreadable values are skipped; ties go to the earliest row.
+ */
+
+/**
+ * Comparable key for a value read as a date, number or string type
+ * (other column types compare as text); null when it is blank or unreadable
+ */
+function aggregateKey(value, type, options = {}) {
+    if (isBlank(value)) return null;
+    
+    if (type === 'date') {
+        const date = parseDate(value, options);
+        return date ? date.getTime() : null;
+    }
+    if (type === 'number') {
+        const number = Number(value);
+        return isNaN(number) ? null : number;
+    }
+    return String(value).trim();
+}
+
+/**
+ * True when a source row passes a column's "where" filter
+ */
+function matchesWhere(row, where) {
+    if (!where) return true;
+    return Object.entries(where).every(([column, values]) => {
+        const value = isBlank(row[column]) ? '' : String(row[column]).trim().toLowerCase();
+        return values.some(allowed => String(allowed).trim().toLowerCase() === value);
+    });
+}
+
+/**
+ * Creates the running state of one aggregate column for one email
+ */
+function createState() {
+    return { rows: 0, key: null, value: '', items: [] };
+}
+
+/**
+ * Folds a source row into an aggregate column's state
+ */
+function addToState(state, row, column, options) {
+    switch (column.aggregate) {
+        case 'count':
+            if (!column.source || !isBlank(row[column.source])) {
+                state.rows++;
+            }
+            return;
+        case 'min':
+        case 'max': {
+            const key = aggregateKey(row[column.source], column.type, options);
+            if (key === null) return;
+            const better = state.key === null || (column.aggregate === 'min' ? key < state.key : key > state.key);
+            if (better) {
+                state.key = key;
+                state.value = row[column.source];
+            }
+            return;
+        }
+        case 'first-by': {
+            // Rows without a sort key rank after every row with one
+            const key = aggregateKey(row[column.by], column.byType, options);
+            const better = state.rows === 0 || (key !== null && (state.key === null
+                || (column.order === 'asc' ? key < state.key : key > state.key)));
+            state.rows++;
+            if (better) {
+                state.key = key;
+                state.value = row[column.source];
+            }
+            return;
+        }
+        case 'concat-distinct':
+            state.items = splitMultiValue(state.items.concat(splitMultiValue(row[column.source], column)), column);
+            return;
+    }
+}
+
+/**
+ * The value an aggregate column's state gives ('' when no subscription counted)
+ */
+function stateValue(state, column) {
+    switch (column.aggregate) {
+        case 'count':
+            return state.rows;
+        case 'concat-distinct':
+            return state.items.length > 0 ? state.items : '';
+        default:
+            return state.value;
+    }
+}
+
+/**
+ * Computes the aggregate columns one source row at a time, so a streamed
+ * export can be aggregated while it is indexed.
+ *
+ * Returns { add(row), finish() }; finish() returns a Map of email -> Map of
+ * column target -> aggregate value.
+ */
+function createAggregateIndex(mapping, options = {}) {
+    const emailColumn = options.sourceEmailColumn || DEFAULT_OPTIONS.sourceEmailColumn;
+    const columns = mapping.columns.filter(column => column.aggregate);
+    const states = new Map();
+    
+    function add(row) {
+        const email = columns.length > 0 ? normalizeEmail(row[emailColumn]) : null;
+        if (!email) return;
+        
+        if (!states.has(email)) {
+            states.set(email, new Map(columns.map(column => [column.target, createState()])));
+        }
+        const byColumn = states.get(email);
+        columns.forEach(column => {
+            if (matchesWhere(row, column.where)) {
+                addToState(byColumn.get(column.target), row, column, options);
+            }
+        });
+    }
+    
+    function finish() {
+        const values = new Map();
+        states.forEach((byColumn, email) => {
+            values.set(email, new Map(columns.map(column => [column.target, stateValue(byColumn.get(column.target), column)])));
+        });
+        return values;
+    }
+    
+    return { add, finish };
+}
+
+/**
+ * Aggregates in-memory source rows (see createAggregateIndex)
+ */
+function aggregateRows(rows, mapping, options = {}) {
+    const index = createAggregateIndex(mapping, options);
+    (rows || []).forEach(row => index.add(row));
+    return index.finish();
+}
+
+/**
+ * The aggregate value of a column for the email of a selected source row
+ */
+function aggregateValue(aggregates, sourceRow, column, options = {}) {
+    const emailColumn = options.sourceEmailColumn || DEFAULT_OPTIONS.sourceEmailColumn;
+    const email = normalizeEmail(sourceRow[emailColumn]);
+    const byColumn = email && aggregates ? aggregates.get(email) : null;
+    if (!byColumn) {
+        return column.aggregate === 'count' ? 0 : '';
+    }
+    return byColumn.get(column.target);
+}
+
+module.exports = {
+    aggregateKey,
+    matchesWhere,
+    createAggregateIndex,
+    aggregateRows,
+    aggregateValue
+};
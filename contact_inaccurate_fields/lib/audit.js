@@ -0,0 +1,157 @@
+const { DEFAULT_OPTIONS } = require('./config');
+const { formatDateForDisplay } = require('./dates');
+const { selectionReason } = require('./records');
+
+/**
+ * Audit Workbook
+ *
+ * Collects everything a backfill sign-off needs into the sheets of one
+ * workbook, built from a mapContacts result:
+ *
+ *   Results             the mapped output rows, with the match and provenance
+ *                       columns the profile may leave out of the output file
+ *   Unmatched           contacts left out, with the reason for each
+ *   Multi-ID Decisions  every candidate subscription of emails with several,
+ *                       the selected one flagged
+ *   Rule Decisions      the rule that set each rule column of every matched
+ *                       contact (only when the mapping has rule columns)
+ *   Summary             counts, match rate and the settings of the run
+ *
+ * Returns { sheetName: rows } for writeWorkbook (see io.js).
+ */
+
+/**
+ * One row per unmatched contact
+ */
+function unmatchedRows(matchedData) {
+    return matchedData.unmatched.map(item => ({
+        'Row Number': item.rowNumber,
+        'Email': item.email,
+        'Match Status': item.status,
+        'Reason': item.reason
+    }));
+}
+
+/**
+ * One row per candidate subscription of every email with several, in the
+ * strategy's order so the selected row comes first
+ */
+function multiIdRows(matchedData, options = {}) {
+    const sourceIdColumn = options.sourceIdColumn || DEFAULT_OPTIONS.sourceIdColumn;
+    const sourceRecordIdColumn = options.sourceRecordIdColumn || DEFAULT_OPTIONS.sourceRecordIdColumn;
+    const createDateColumn = options.createDateColumn || DEFAULT_OPTIONS.createDateColumn;
+    const statusColumn = options.statusColumn || DEFAULT_OPTIONS.statusColumn;
+    const billingEndColumn = options.billingEndColumn || DEFAULT_OPTIONS.billingEndColumn;
+    const rows = [];
+    
+    matchedData.sourceIndex.groups.forEach((candidates, email) => {
+        if (candidates.length < 2) return;
+        
+        candidates.forEach((candidate, index) => {
+            rows.push({
+                'Email': email,
+                'Candidates': candidates.length,
+                'Rank': index + 1,
+                'Selected': index === 0 ? 'yes' : '',
+                'Source Row Number': candidate.rowNumber,
+                'Id': candidate.row[sourceIdColumn],
+                'Record ID': candidate.row[sourceRecordIdColumn],
+                [createDateColumn]: formatDateForDisplay(candidate.createDate, options),
+                [statusColumn]: candidate.row[statusColumn],
+                [billingEndColumn]: formatDateForDisplay(candidate.row[billingEndColumn], options),
+                'Selection Reason': index === 0 ? selectionReason(candidates, matchedData.strategy) : ''
+            });
+        });
+    });
+    
+    return rows;
+}
+
+/**
+ * One row per rule column of each matched contact, with the rule that fired
+ */
+function ruleDecisionRows(matchedData) {
+    return matchedData.ruleDecisions.map(decision => ({
+        'Row Number': decision.rowNumber,
+        'Email': decision.email,
+        'Column': decision.column,
+        'Rule': decision.rule,
+        'Value': decision.value
+    }));
+}
+
+/**
+ * [column: rule, contacts] pairs, in the order the rules first fired
+ */
+function ruleCounts(matchedData) {
+    const counts = {};
+    matchedData.ruleDecisions.forEach(decision => {
+        const key = `${decision.column}: ${decision.rule}`;
+        counts[key] = (counts[key] || 0) + 1;
+    });
+    return Object.entries(counts);
+}
+
+/**
+ * Metric / Value rows describing the run
+ */
+function summaryRows(matchedData, run = {}) {
+    const stats = matchedData.stats;
+    const sourceStats = matchedData.sourceIndex.stats;
+    const metrics = [
+        ['Generated At', new Date().toISOString()],
+        ['Source', run.source],
+        ['Target', run.target],
+        ['Output', run.output],
+        ['Mapping', run.mapping],
+        ['Profile', run.profile],
+        ['Rules', run.rules],
+        ['Rules As Of', run.asOf],
+        ['Selection Strategy', matchedData.strategy.description],
+        ['Rows in Sheet 1', sourceStats.totalRows],
+        ['Unique Emails in Sheet 1', sourceStats.uniqueEmails],
+        ['Emails with Multiple IDs', sourceStats.multipleIdEmails],
+        ['Contacts in Sheet 2', stats.total],
+        ['Matched', stats.matched],
+        ['Unmatched', stats.unmatched],
+        ...Object.entries(stats.matchStatuses).map(([status, count]) => [`Match Status: ${status}`, count]),
+        ['Match Rate (%)', Number(stats.matchRate)],
+        ['Rows Written', matchedData.rows.length]
+    ];
+    
+    if (stats.changed !== undefined) {
+        metrics.push(['Contacts with Changes', stats.changed], ['Unchanged Contacts', stats.unchanged]);
+    }
+    metrics.push(
+        ['Fields Kept by Overwrite Policy', stats.skippedFields],
+        ['Values Outside Enum Options', stats.unknownEnumValues],
+        ['Fields Combined Across Subscriptions', stats.combinedFields],
+        ...ruleCounts(matchedData).map(([rule, count]) => [`Rule Fired: ${rule}`, count]),
+        ['Matches Held for Review', stats.review],
+        ['Match Key Conflicts', stats.keyConflicts],
+        ['Emails on Several Contacts', stats.duplicateEmails],
+        ['Duplicate Contacts Left Out', stats.duplicatesLeftOut]
+    );
+    
+    return metrics
+        .filter(([, value]) => value !== undefined)
+        .map(([metric, value]) => ({ 'Metric': metric, 'Value': value }));
+}
+
+/**
+ * Builds the audit workbook sheets for a mapContacts result.
+ * run holds the file names and settings to show on the Summary sheet.
+ */
+function buildAuditSheets(matchedData, options = {}, run = {}) {
+    return {
+        'Results': matchedData.auditRows || matchedData.rows,
+        'Unmatched': unmatchedRows(matchedData),
+        'Multi-ID Decisions': multiIdRows(matchedData, options),
+        ...(matchedData.ruleDecisions.length > 0 ? { 'Rule Decisions': ruleDecisionRows(matchedData) } : {}),
+        'Summary': summaryRows(matchedData, run)
+    };
+}
+
+module.exports = {
+    buildAuditSheets
+};
@@ -0,0 +1,136 @@
+const path = require('path');
+
+/**
+ * Shared Backfill Configuration
+ *
+ * Default file locations and sheet names used by every backfill command.
+ * Separate source/target files (and their formats) are optional; without them
+ * both datasets are read as sheets of the input workbook.
+ * Each value can be overridden from the command line (see backfill.js)
+ * or by passing an options object to the script functions directly.
+ */
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const DEFAULT_OPTIONS = {
+    input: path.join(ROOT_DIR, 'input_files/subscriptions_contact_map_fields.xlsx'),
+    output: path.join(ROOT_DIR, 'contacts_with_updated_fields.xlsx'),
+    sourceSheet: 'Export For Stripe Subs Field Up',
+    targetSheet: 'Export For Contact Field Update',
+    reportDir: path.join(ROOT_DIR, 'logging_files'),
+    mapping: path.join(ROOT_DIR, 'mappings/stripe-subscriptions.json'),
+    profile: 'default',
+    
+    // Dates without an offset (Excel serials) are read and written in this IANA
+    // timezone, in one of the formats listed in dates.js (mdy = MM/DD/YYYY HH:MM:SS)
+    timeZone: 'UTC',
+    dateFormat: 'mdy',
+    
+    // Diff mode: output only contacts whose values change, as old_/new_ column pairs
+    diff: false,
+    
+    // Provenance columns: the selected source row's Id, Record ID, row number
+    // and why it was selected (the hubspot profile keeps them to the audit workbook)
+    provenance: true,
+    
+    // Keep unmatched contacts in the output, with Match Status and Source Id columns
+    includeUnmatched: false,
+    
+    // Email matching beyond exact (see matching.js): normalization rules, the
+    // maximum edit distance for fuzzy matches (0 = off) and the confidence
+    // below which a match goes to the review file instead of the output
+    matchRules: [],
+    fuzzyDistance: 0,
+    reviewThreshold: 0.9,
+    
+    // What to do with contacts that share an email (see duplicates.js):
+    // emit-all, keep-first, highest-record-id or conflicts
+    duplicatePolicy: 'emit-all',
+    
+    // Source values with no option in their enum column (its values, valueMap or
+    // the HubSpot property definitions, see mapping.js) stop the map unless allowed
+    allowUnmappedValues: false,
+    
+    // Ordered keys a contact is matched by (see keys.js), e.g. ['stripe-customer-id', 'email']
+    matchKeys: ['email'],
+    
+    // Extra format verify writes the test results in besides the JSON and
+    // HTML reports: json (nothing extra), junit or tap (see report-formats.js)
+    reportFormat: 'json',
+    
+    // Findings the source audit may report before it fails the run, e.g.
+    // ['invalid-email=0', 'unknown-status=1%', 'total=100'] (see source-audit.js);
+    // none by default, so the audit only reports
+    auditThresholds: [],
+    
+    // Read and write rows one at a time instead of loading whole datasets
+    // (see streams.js); for exports too large to hold in memory
+    stream: false,
+    
+    // HubSpot push (the access token is read from HUBSPOT_ACCESS_TOKEN)
+    hubspotUrl: 'https://api.hubapi.com',
+    batchSize: 100,
+    maxRetries: 5,
+    dryRun: false,
+
+    // Key columns used to match and rank rows
+    sourceEmailColumn: 'Stripe Customer Email',
+    sourceIdColumn: 'Id',
+    createDateColumn: 'Most Recent Create Date',
+    targetEmailColumn: 'Email',
+    sourceCustomerIdColumn: 'Stripe Customer ID',
+    targetCustomerIdColumn: 'Stripe Customer ID',
+    sourceRecordIdColumn: 'Record ID',
+    targetRecordIdColumn: 'Record ID',
+    
+    // Columns and values used by the record selection strategies (see strategies.js).
+    // The strategy itself has no default here so commands can tell an explicit
+    // --strategy apart from "use whatever the output was mapped with".
+    statusColumn: 'Status',
+    billingEndColumn: 'Billing End Date',
+    activeStatuses: ['active', 'trialing'],
+    
+    // The source audit checks billing end dates against this column, and
+    // accepts these Status values when the mapping's Status column has no
+    // enum options (Stripe's subscription statuses)
+    billingStartColumn: 'Billing Start Date',
+    knownStatuses: ['active', 'trialing', 'past_due', 'canceled', 'unpaid', 'incomplete', 'incomplete_expired', 'paused']
+};
+
+// Output written by the hubspot profile when no --output is given
+const HUBSPOT_IMPORT_OUTPUT = path.join(ROOT_DIR, 'contacts_hubspot_import.csv');
+
+// Options that hold file system paths and are resolved against the working directory
+const PATH_OPTIONS = ['input', 'source', 'target', 'output', 'reportDir', 'mapping', 'propertyDefinitions', 'rules', 'auditWorkbook', 'before', 'after'];
+
+/**
+ * Merges user-supplied options over the defaults.
+ * Undefined values are ignored so callers can pass partially filled objects.
+ */
+function resolveOptions(overrides = {}) {
+    const options = { ...DEFAULT_OPTIONS };
+
+    Object.entries(overrides).forEach(([key, value]) => {
+        if (value !== undefined) {
+            options[key] = value;
+        }
+    });
+
+    // HubSpot imports want a CSV, so the hubspot profile gets its own default output
+    if (options.profile === 'hubspot' && overrides.output === undefined) {
+        options.output = HUBSPOT_IMPORT_OUTPUT;
+    }
+    
+    PATH_OPTIONS.forEach(key => {
+        if (options[key]) {
+            options[key] = path.resolve(options[key]);
+        }
+    });
+
+    return options;
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    resolveOptions
+};
@@ -0,0 +1,326 @@
+/**
+ * Date Helpers
+ *
+ * Parsing and formatting for the date values found in Stripe and HubSpot
+ * exports (Excel serial numbers, date strings and Date objects).
+ *
+ * Every conversion is explicit about its timezone, so the same input gives
+ * the same output on any machine regardless of TZ:
+ *   - values without an offset (Excel serials, "2025-06-20 13:34") are read
+ *     as wall-clock time in options.timeZone
+ *   - output is rendered in options.timeZone
+ * options.timeZone is an IANA name such as "UTC" or "America/New_York" and
+ * defaults to UTC.
+ */
+
+const DEFAULT_TIME_ZONE = 'UTC';
+const DATE_FORMATS = ['mdy', 'iso', 'date', 'epoch-ms'];
+const DEFAULT_DATE_FORMAT = 'mdy';
+
+// Years a date may fall in; Excel serials outside them parse as null
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2100;
+
+const MS_PER_DAY = 86400000; // 24 * 60 * 60 * 1000
+const EXCEL_EPOCH_OFFSET_DAYS = 25569; // Days between 1970-01-01 and 1899-12-30
+
+const formatterCache = new Map();
+
+/**
+ * Returns a cached Intl formatter that splits instants into wall-clock parts
+ */
+function partsFormatter(timeZone) {
+    if (!formatterCache.has(timeZone)) {
+        let formatter;
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            });
+        } catch (error) {
+            throw new Error(`Unknown timezone "${timeZone}" (use an IANA name such as UTC or America/New_York)`);
+        }
+        formatterCache.set(timeZone, formatter);
+    }
+    return formatterCache.get(timeZone);
+}
+
+/**
+ * Throws if options.timeZone or options.dateFormat is not supported, so a
+ * typo fails before any rows are processed
+ */
+function validateDateOptions(options = {}) {
+    partsFormatter(options.timeZone || DEFAULT_TIME_ZONE);
+    if (options.dateFormat && !DATE_FORMATS.includes(options.dateFormat)) {
+        throw new Error(`Unknown date format "${options.dateFormat}" (expected ${DATE_FORMATS.join(', ')})`);
+    }
+}
+
+/**
+ * Splits an instant into wall-clock parts in a timezone
+ */
+function zonedParts(date, timeZone) {
+    const parts = {};
+    partsFormatter(timeZone).formatToParts(date).forEach(part => {
+        if (part.type !== 'literal') {
+            parts[part.type] = Number(part.value);
+        }
+    });
+    return parts;
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+function timeZoneOffsetMs(date, timeZone) {
+    const parts = zonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converts wall-clock time (expressed as milliseconds as if it were UTC) in a
+ * timezone to the actual instant. Times skipped by a DST change move forward
+ * (02:30 becomes 03:30); repeated times resolve to the first occurrence.
+ */
+function fromWallClock(wallClockMs, timeZone) {
+    // The offsets a day either side cover both sides of any DST change
+    const offsets = [wallClockMs - MS_PER_DAY, wallClockMs + MS_PER_DAY].map(ms => timeZoneOffsetMs(new Date(ms), timeZone));
+    const valid = offsets
+        .map(offset => wallClockMs - offset)
+        .filter((instant, i) => timeZoneOffsetMs(new Date(instant), timeZone) === offsets[i]);
+    
+    if (valid.length === 0) {
+        return new Date(wallClockMs - offsets[0]); // In a DST gap
+    }
+    return new Date(Math.min(...valid));
+}
+
+/**
+ * Converts Excel serial date number to JavaScript Date object.
+ * The serial is wall-clock time in timeZone (UTC by default).
+ * Handles potential non-numeric input gracefully.
+ */
+function excelSerialDateToJSDate(serial, timeZone = DEFAULT_TIME_ZONE) {
+    const serialNumber = Number(serial);
+    if (isNaN(serialNumber) || serialNumber <= 0) {
+        // Handle non-numeric input or dates before 1900
+        // Also handle cases where the date might already be in a standard string format
+        if (typeof serial === 'string') {
+            return parseDateString(serial, timeZone);
+        }
+        return null;
+    }
+
+    // Excel's epoch starts January 1, 1900 (Windows Excel format)
+    // Base date: Dec 30, 1899. Days are 1-based from Jan 1, 1900.
+    const wallClockMs = Math.round((serialNumber - EXCEL_EPOCH_OFFSET_DAYS) * MS_PER_DAY / 1000) * 1000;
+    const year = new Date(wallClockMs).getUTCFullYear();
+
+    // Validate the date
+    if (year < MIN_YEAR || year > MAX_YEAR) {
+        return null;
+    }
+
+    return fromWallClock(wallClockMs, timeZone);
+}
+
+// "2025-06-20", "2025-06-20 13:34", "2025-06-20T13:34:00.000"
+const ISO_WALL_CLOCK = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+// "6/20/2025", "06/20/2025 13:34:00"
+const US_WALL_CLOCK = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:,? (\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?)?$/;
+// Trailing "Z", "+02:00" or "-0500"
+const EXPLICIT_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Parses a date string. Strings with an offset are exact instants; anything
+ * else is wall-clock time in timeZone.
+ */
+function parseDateString(value, timeZone = DEFAULT_TIME_ZONE) {
+    const text = value.trim();
+    if (!text) return null;
+    
+    if (EXPLICIT_OFFSET.test(text)) {
+        const parsed = new Date(text);
+        return isNaN(parsed.getTime()) ? null : parsed;
+    }
+    
+    let parts = null;
+    let match = text.match(ISO_WALL_CLOCK);
+    if (match) {
+        parts = [match[1], match[2], match[3], match[4], match[5], match[6]];
+    } else if ((match = text.match(US_WALL_CLOCK))) {
+        let hour = Number(match[4] || 0);
+        if (match[7]) {
+            hour = (hour % 12) + (match[7].toLowerCase() === 'pm' ? 12 : 0);
+        }
+        parts = [match[3], match[1], match[2], hour, match[5], match[6]];
+    } else {
+        // Free-form text ("June 20, 2025"): let the engine read it, then keep
+        // only its wall-clock fields so the machine's TZ does not leak in
+        const parsed = new Date(text);
+        if (isNaN(parsed.getTime())) return null;
+        parts = [parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate(), parsed.getHours(), parsed.getMinutes(), parsed.getSeconds()];
+    }
+    
+    const [year, month, day, hour, minute, second] = parts.map(part => Number(part || 0));
+    const wallClockMs = Date.UTC(year, month - 1, day, hour, minute, second);
+    const check = new Date(wallClockMs);
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+        return null; // e.g. 02/30/2025
+    }
+    
+    return fromWallClock(wallClockMs, timeZone);
+}
+
+/**
+ * Parses a date value from Excel (handles serial numbers and string formats)
+ * Returns a Date object for comparison, or null if invalid
+ *
+ * options: { timeZone } - timezone for values without an explicit offset
+ */
+function parseDate(dateValue, options = {}) {
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    
+    if (!dateValue) return null;
+    if (dateValue instanceof Date) return isNaN(dateValue.getTime()) ? null : dateValue;
+    
+    // Handle Excel date serial number
+    if (typeof dateValue === 'number') {
+        return excelSerialDateToJSDate(dateValue, timeZone);
+    }
+    
+    // Handle string dates
+    if (typeof dateValue === 'string') {
+        return parseDateString(dateValue, timeZone);
+    }
+    
+    return null;
+}
+
+/**
+ * Tells why a non-blank date value cannot be used: 'unparseable',
+ * 'out-of-range' (before MIN_YEAR or after MAX_YEAR, including Excel serials
+ * parseDate rejects for that reason) or null when the value is a usable date
+ */
+function dateProblem(dateValue, options = {}) {
+    if (typeof dateValue === 'number') {
+        if (isNaN(dateValue)) return 'unparseable';
+        return parseDate(dateValue, options) ? null : 'out-of-range';
+    }
+    
+    const parsed = parseDate(dateValue, options);
+    if (!parsed) return 'unparseable';
+    
+    const year = parsed.getUTCFullYear();
+    return year < MIN_YEAR || year > MAX_YEAR ? 'out-of-range' : null;
+}
+
+/**
+ * Formats a date for output. This is the one formatter shared by the mapper
+ * and the verifier.
+ *
+ * options: { timeZone, format }
+ *   mdy      - MM/DD/YYYY HH:MM:SS (default)
+ *   iso      - ISO 8601 with the timezone's offset, e.g. 2025-06-20T13:34:00-04:00
+ *   date     - YYYY-MM-DD
+ *   epoch-ms - milliseconds since 1970-01-01T00:00:00Z (a number)
+ * Values that cannot be parsed are returned unchanged.
+ */
+function formatDate(date, options = {}) {
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const format = options.format || DEFAULT_DATE_FORMAT;
+    
+    if (!date) return '';
+    if (!(date instanceof Date)) {
+        const parsed = parseDate(date, options);
+        if (!parsed) return date; // Return original if can't parse
+        date = parsed;
+    }
+    
+    if (format === 'epoch-ms') {
+        return date.getTime();
+    }
+    
+    const parts = zonedParts(date, timeZone);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const year = pad(parts.year, 4);
+    const month = pad(parts.month);
+    const day = pad(parts.day);
+    const time = `${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+    
+    switch (format) {
+        case 'iso': {
+            const offsetMinutes = Math.round(timeZoneOffsetMs(date, timeZone) / 60000);
+            const sign = offsetMinutes < 0 ? '-' : '+';
+            const absolute = Math.abs(offsetMinutes);
+            const offset = offsetMinutes === 0 ? 'Z' : `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+            return `${year}-${month}-${day}T${time}${offset}`;
+        }
+        case 'date':
+            return `${year}-${month}-${day}`;
+        case 'mdy':
+            return `${month}/${day}/${year} ${time}`;
+        default:
+            throw new Error(`Unknown date format "${format}" (expected ${DATE_FORMATS.join(', ')})`);
+    }
+}
+
+/**
+ * Pattern a formatted date must match, for the verifier
+ */
+function dateFormatPattern(format = DEFAULT_DATE_FORMAT) {
+    switch (format) {
+        case 'iso':
+            return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(Z|[+-]\d{2}:\d{2})$/;
+        case 'date':
+            return /^\d{4}-\d{2}-\d{2}$/;
+        case 'epoch-ms':
+            return /^-?\d+$/;
+        default:
+            return /^\d{2}\/\d{2}\/\d{4} \d{2}:\d{2}:\d{2}$/;
+    }
+}
+
+/**
+ * Formats a date for console display
+ */
+function formatDateForDisplay(date, options = {}) {
+    if (!date) return 'N/A';
+    if (!(date instanceof Date)) {
+        const parsed = parseDate(date, options);
+        if (!parsed) return String(date);
+        date = parsed;
+    }
+    
+    return date.toLocaleString('en-US', {
+        timeZone: options.timeZone || DEFAULT_TIME_ZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+}
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    DATE_FORMATS,
+    DEFAULT_DATE_FORMAT,
+    MIN_YEAR,
+    MAX_YEAR,
+    validateDateOptions,
+    excelSerialDateToJSDate,
+    parseDate,
+    dateProblem,
+    formatDate,
+    dateFormatPattern,
+    formatDateForDisplay
+};
@@ -0,0 +1,175 @@
+const { DEFAULT_OPTIONS } = require('./config');
+const { normalizeEmail, normalizeKeyValue } = require('./records');
+
+/**
+ * Duplicate Contacts
+ *
+ * Finds target (contact) rows that share an email and decides which of them
+ * are output, by options.duplicatePolicy:
+ *
+ *   emit-all           every row is output, each with the same values (the default)
+ *   keep-first         only the first row of each email is output
+ *   highest-record-id  only the row with the highest Record ID is output (the
+ *                      first of them when Record IDs tie or are blank)
+ *   conflicts          no row of a duplicated email is output; they all go to
+ *                      the duplicates file to be resolved by hand
+ *
+ * Emails are compared lowercased and trimmed, as for matching. Rows without
+ * an email are never duplicates.
+ */
+
+const DUPLICATE_POLICIES = ['emit-all', 'keep-first', 'highest-record-id', 'conflicts'];
+const DEFAULT_DUPLICATE_POLICY = 'emit-all';
+
+// Columns added to the rows written to the duplicates file
+const DUPLICATE_ROW_NUMBER_COLUMN = 'Row Number';
+const DUPLICATE_COUNT_COLUMN = 'Duplicate Count';
+const DUPLICATE_RESOLUTION_COLUMN = 'Duplicate Resolution';
+
+/**
+ * Returns options.duplicatePolicy, or the default; throws for unknown policies
+ */
+function resolveDuplicatePolicy(options = {}) {
+    const policy = options.duplicatePolicy || DEFAULT_DUPLICATE_POLICY;
+    if (!DUPLICATE_POLICIES.includes(policy)) {
+        throw new Error(`Unknown duplicate policy "${policy}" (expected ${DUPLICATE_POLICIES.join(', ')})`);
+    }
+    return policy;
+}
+
+/**
+ * Orders Record IDs: numeric IDs by value (HubSpot IDs can be longer than a
+ * safe integer, so by length first), others as text; a blank ID is lowest
+ */
+function compareRecordIds(a, b) {
+    if (a === b) return 0;
+    if (a === null) return -1;
+    if (b === null) return 1;
+    if (/^\d+$/.test(a) && /^\d+$/.test(b)) {
+        const left = a.replace(/^0+(?=\d)/, '');
+        const right = b.replace(/^0+(?=\d)/, '');
+        if (left.length !== right.length) {
+            return left.length - right.length;
+        }
+        return left < right ? -1 : (left > right ? 1 : 0);
+    }
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Creates an index of duplicate emails that takes target rows one at a time
+ * (so a streamed contact list can be indexed before it is mapped).
+ *
+ * Returns { add(row, index), finish() }; finish() returns
+ *   policy  the duplicate policy
+ *   groups  Map of email -> { rows, keep } for emails on several rows, where
+ *           keep is the index of the row that is output (null for emit-all
+ *           and conflicts)
+ *   stats   { emails, rows, leftOut } duplicated emails, the rows holding
+ *           them and how many of those rows the policy leaves out
+ */
+function createDuplicateIndex(options = {}) {
+    const policy = resolveDuplicatePolicy(options);
+    const emailColumn = options.targetEmailColumn || DEFAULT_OPTIONS.targetEmailColumn;
+    const recordIdColumn = options.targetRecordIdColumn || DEFAULT_OPTIONS.targetRecordIdColumn;
+    const emails = new Map();
+    
+    function add(row, index) {
+        const email = normalizeEmail(row[emailColumn]);
+        if (!email) return;
+        
+        const recordId = normalizeKeyValue(row[recordIdColumn]);
+        const group = emails.get(email);
+        if (!group) {
+            emails.set(email, { rows: 1, keep: index, keepRecordId: recordId });
+            return;
+        }
+        
+        group.rows++;
+        if (policy === 'highest-record-id' && compareRecordIds(recordId, group.keepRecordId) > 0) {
+            group.keep = index;
+            group.keepRecordId = recordId;
+        }
+    }
+    
+    function finish() {
+        const groups = new Map();
+        const stats = { emails: 0, rows: 0, leftOut: 0 };
+        emails.forEach((group, email) => {
+            if (group.rows < 2) return;
+            
+            const keep = policy === 'keep-first' || policy === 'highest-record-id' ? group.keep : null;
+            groups.set(email, { rows: group.rows, keep: keep });
+            stats.emails++;
+            stats.rows += group.rows;
+            if (policy !== 'emit-all') {
+                stats.leftOut += keep === null ? group.rows : group.rows - 1;
+            }
+        });
+        
+        return { policy: policy, groups: groups, stats: stats };
+    }
+    
+    return { add, finish };
+}
+
+/**
+ * Indexes the duplicate emails of in-memory target rows (see createDuplicateIndex)
+ */
+function findDuplicateContacts(targetRows, options = {}) {
+    const index = createDuplicateIndex(options);
+    targetRows.forEach((row, rowIndex) => index.add(row, rowIndex));
+    return index.finish();
+}
+
+/**
+ * Tells what happens to the index-th target row under the duplicate policy.
+ * Returns null when its email is on no other row, otherwise
+ * { email, rows, output, resolution } where output says whether the row is
+ * mapped and resolution describes the decision for the duplicates file.
+ */
+function duplicateDecision(duplicates, row, index, options = {}) {
+    const emailColumn = options.targetEmailColumn || DEFAULT_OPTIONS.targetEmailColumn;
+    const email = normalizeEmail(row[emailColumn]);
+    const group = email ? duplicates.groups.get(email) : null;
+    if (!group) return null;
+    
+    let output = true;
+    let resolution = `output: ${group.rows} contacts share this email`;
+    if (duplicates.policy === 'conflicts') {
+        output = false;
+        resolution = `held back: ${group.rows} contacts share this email`;
+    } else if (group.keep !== null) {
+        output = group.keep === index;
+        resolution = output
+            ? `kept (${duplicates.policy})`
+            : `left out: row ${group.keep + 2} kept (${duplicates.policy})`;
+    }
+    return { email: email, rows: group.rows, output: output, resolution: resolution };
+}
+
+/**
+ * Row for the duplicates file: the contact as it is, with its row number and
+ * what the policy did with it
+ */
+function buildDuplicateRow(targetRow, index, decision) {
+    return {
+        [DUPLICATE_ROW_NUMBER_COLUMN]: index + 2, // Spreadsheet row number (1-indexed + header)
+        ...targetRow,
+        [DUPLICATE_COUNT_COLUMN]: decision.rows,
+        [DUPLICATE_RESOLUTION_COLUMN]: decision.resolution
+    };
+}
+
+module.exports = {
+    DUPLICATE_POLICIES,
+    DEFAULT_DUPLICATE_POLICY,
+    DUPLICATE_ROW_NUMBER_COLUMN,
+    DUPLICATE_COUNT_COLUMN,
+    DUPLICATE_RESOLUTION_COLUMN,
+    resolveDuplicatePolicy,
+    createDuplicateIndex,
+    findDuplicateContacts,
+    duplicateDecision,
+    buildDuplicateRow
+};
@@ -0,0 +1,302 @@
+/**
+ * HTML Verification Report
+ *
+ * Renders a verification (see verifier.js) as one self-contained HTML page,
+ * saved next to the JSON report: a pass/fail banner, a table per test and
+ * one searchable, sortable list of every mismatch. Mismatches link to the
+ * source row they were checked against when the source rows are passed in.
+ * No external assets; the inline script only filters and sorts the table.
+ */
+
+// Longest value and issue lists shown inline in a test's section
+const MAX_LISTED_VALUES = 50;
+const MAX_LISTED_ISSUES = 20;
+
+/**
+ * Escapes a value for HTML text and attributes
+ */
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats an expected/actual value for a table cell
+ */
+function formatValue(value) {
+    if (Array.isArray(value)) return value.join(', ');
+    if (value instanceof Date) return value.toISOString();
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Returns true for detail arrays of per-row entries (they carry a rowIndex)
+ */
+function isMismatchList(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(item => item && typeof item === 'object' && 'rowIndex' in item);
+}
+
+/**
+ * Flattens the per-row detail arrays of every test into mismatch rows:
+ * { test, kind, email, column, expected, actual, outputRowNumber, sourceRowNumber }.
+ * Entries comparing several columns at once (row selection) give one row per
+ * differing column.
+ */
+function collectMismatches(verification) {
+    const mismatches = [];
+    
+    verification.tests.forEach(test => {
+        Object.entries(test.details || {}).forEach(([kind, entries]) => {
+            if (!isMismatchList(entries)) return;
+            
+            entries.forEach(entry => {
+                const base = {
+                    test: test.name,
+                    kind: kind,
+                    email: entry.email,
+                    outputRowNumber: entry.rowIndex + 2, // Spreadsheet row number (1-indexed + header)
+                    sourceRowNumber: entry.sourceRowNumber
+                };
+                
+                if (entry.expected && typeof entry.expected === 'object' && !Array.isArray(entry.expected)) {
+                    Object.keys(entry.expected)
+                        .filter(column => formatValue(entry.expected[column]) !== formatValue((entry.actual || {})[column]))
+                        .forEach(column => {
+                            mismatches.push({ ...base, column: column, expected: formatValue(entry.expected[column]), actual: formatValue((entry.actual || {})[column]) });
+                        });
+                    return;
+                }
+                
+                mismatches.push({
+                    ...base,
+                    column: entry.column || '',
+                    expected: 'expected' in entry ? formatValue(entry.expected) : '',
+                    actual: formatValue('actual' in entry ? entry.actual : ('value' in entry ? entry.value : entry.confidence))
+                });
+            });
+        });
+    });
+    
+    return mismatches;
+}
+
+/**
+ * Key/value table of a details object; per-row lists are summarized by count
+ * because their entries are in the mismatch list
+ */
+function renderDetailsTable(details) {
+    const rows = Object.entries(details || {}).map(([key, value]) => {
+        let cell;
+        if (isMismatchList(value)) {
+            cell = `${value.length} (see mismatches)`;
+        } else if (Array.isArray(value)) {
+            const listed = value.slice(0, MAX_LISTED_VALUES).map(formatValue).join(', ');
+            const more = value.length > MAX_LISTED_VALUES ? ` … and ${value.length - MAX_LISTED_VALUES} more` : '';
+            cell = value.length === 0 ? '0' : `${value.length}: ${listed}${more}`;
+        } else if (value !== null && typeof value === 'object') {
+            cell = Object.entries(value).map(([name, count]) => `${name}: ${formatValue(count)}`).join(', ');
+        } else {
+            cell = formatValue(value);
+        }
+        return `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(cell)}</td></tr>`;
+    });
+    
+    return rows.length > 0 ? `<table class="details">${rows.join('')}</table>` : '';
+}
+
+/**
+ * One section per test, with its status, details and first issues
+ */
+function renderTest(test, index) {
+    const issues = test.issues || [];
+    const listed = issues.slice(0, MAX_LISTED_ISSUES).map(issue => `<li>${escapeHtml(issue)}</li>`).join('');
+    const more = issues.length > MAX_LISTED_ISSUES ? `<li>… and ${issues.length - MAX_LISTED_ISSUES} more issues</li>` : '';
+    
+    return `
+<section class="test ${test.status.toLowerCase()}">
+<h3>Test ${index + 1}: ${escapeHtml(test.name)} <span class="badge">${escapeHtml(test.status)}</span></h3>
+${test.skipReason ? `<p class="skip-reason">Not checked: ${escapeHtml(test.skipReason)}</p>` : ''}
+${renderDetailsTable(test.details)}
+${issues.length > 0 ? `<ul class="issues">${listed}${more}</ul>` : ''}
+</section>`;
+}
+
+/**
+ * Link to a source row listed at the end of the page, or the plain number
+ */
+function sourceRowLink(rowNumber, listedRows) {
+    if (rowNumber === null || rowNumber === undefined) return '';
+    return listedRows.has(rowNumber) ? `<a href="#source-row-${rowNumber}">${rowNumber}</a>` : String(rowNumber);
+}
+
+/**
+ * The searchable, sortable mismatch table
+ */
+function renderMismatches(mismatches, listedRows) {
+    if (mismatches.length === 0) {
+        return '<p>No mismatches.</p>';
+    }
+    
+    const tests = Array.from(new Set(mismatches.map(mismatch => mismatch.test)));
+    const rows = mismatches.map(mismatch => `<tr data-test="${escapeHtml(mismatch.test)}">`
+        + `<td>${escapeHtml(mismatch.test)}</td>`
+        + `<td>${escapeHtml(mismatch.email)}</td>`
+        + `<td>${escapeHtml(mismatch.column)}</td>`
+        + `<td>${escapeHtml(mismatch.expected)}</td>`
+        + `<td>${escapeHtml(mismatch.actual)}</td>`
+        + `<td>${mismatch.outputRowNumber}</td>`
+        + `<td>${sourceRowLink(mismatch.sourceRowNumber, listedRows)}</td>`
+        + '</tr>');
+    
+    return `
+<div class="filters">
+<input id="search" type="search" placeholder="Search email, column or value">
+<select id="test-filter"><option value="">All tests</option>${tests.map(name => `<option>${escapeHtml(name)}</option>`).join('')}</select>
+<span id="shown">${mismatches.length} of ${mismatches.length}</span>
+</div>
+<table id="mismatches" class="list">
+<thead><tr><th>Test</th><th>Email</th><th>Column</th><th>Expected</th><th>Actual</th><th>Output Row</th><th>Source Row</th></tr></thead>
+<tbody>${rows.join('\n')}</tbody>
+</table>`;
+}
+
+/**
+ * The source rows the mismatches point at, so each link lands on the data
+ */
+function renderSourceRows(listedRows, sourceRows) {
+    if (listedRows.size === 0) return '';
+    
+    const columns = Array.from(new Set(sourceRows.flatMap(row => Object.keys(row))));
+    const rows = Array.from(listedRows)
+        .sort((a, b) => a - b)
+        .map(rowNumber => {
+            const row = sourceRows[rowNumber - 2] || {};
+            return `<tr id="source-row-${rowNumber}"><th>${rowNumber}</th>${columns.map(column => `<td>${escapeHtml(formatValue(row[column]))}</td>`).join('')}</tr>`;
+        });
+    
+    return `
+<h2>Source Rows</h2>
+<table class="list source">
+<thead><tr><th>Row</th>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+<tbody>${rows.join('\n')}</tbody>
+</table>`;
+}
+
+const STYLES = `
+body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; margin: 0 2em 2em; color: #222; }
+.banner { margin: 0 -2em 1em; padding: 1em 2em; color: #fff; }
+.banner.passed { background: #2e7d32; }
+.banner.failed { background: #c62828; }
+.banner h1 { margin: 0 0 .3em; }
+table { border-collapse: collapse; margin: .5em 0; }
+th, td { border: 1px solid #ddd; padding: 3px 8px; text-align: left; vertical-align: top; font-size: 13px; }
+.details th { background: #f5f5f5; font-weight: normal; }
+.list thead th { background: #eee; cursor: pointer; position: sticky; top: 0; }
+.test { border-left: 5px solid #2e7d32; padding-left: 1em; margin: 1em 0; }
+.test.failed { border-left-color: #c62828; }
+.badge { font-size: 12px; padding: 2px 6px; border-radius: 3px; color: #fff; background: #2e7d32; }
+.failed .badge { background: #c62828; }
+.test.skipped { border-left-color: #9e9e9e; }
+.skipped .badge { background: #9e9e9e; }
+.skip-reason { font-size: 13px; color: #666; }
+.issues { font-size: 13px; color: #c62828; }
+.filters { margin: .5em 0; }
+.filters input { width: 24em; padding: 4px; }
+tr:target { background: #fff59d; }
+`;
+
+// Filters the mismatch rows by search text and test, and sorts on header click
+const SCRIPT = `
+(function () {
+    var table = document.getElementById('mismatches');
+    if (!table) return;
+    var body = table.tBodies[0];
+    var rows = Array.prototype.slice.call(body.rows);
+    var search = document.getElementById('search');
+    var testFilter = document.getElementById('test-filter');
+    var shown = document.getElementById('shown');
+    
+    function filter() {
+        var query = search.value.toLowerCase();
+        var test = testFilter.value;
+        var count = 0;
+        rows.forEach(function (row) {
+            var visible = (!test || row.getAttribute('data-test') === test) && row.textContent.toLowerCase().indexOf(query) !== -1;
+            row.style.display = visible ? '' : 'none';
+            if (visible) count++;
+        });
+        shown.textContent = count + ' of ' + rows.length;
+    }
+    
+    Array.prototype.forEach.call(table.tHead.rows[0].cells, function (header, column) {
+        var ascending = true;
+        header.addEventListener('click', function () {
+            rows.sort(function (a, b) {
+                var x = a.cells[column].textContent;
+                var y = b.cells[column].textContent;
+                var numeric = x !== '' && y !== '' && !isNaN(x) && !isNaN(y);
+                var order = numeric ? Number(x) - Number(y) : x.localeCompare(y);
+                return ascending ? order : -order;
+            });
+            ascending = !ascending;
+            rows.forEach(function (row) { body.appendChild(row); });
+        });
+    });
+    
+    search.addEventListener('input', filter);
+    testFilter.addEventListener('change', filter);
+})();
+`;
+
+/**
+ * Renders a verification as a self-contained HTML page.
+ * sourceRows (the source sheet as read) lets mismatches link to the rows
+ * they were checked against; without it the row numbers are plain text.
+ */
+function renderVerificationHtml(verification, sourceRows = []) {
+    const passed = verification.status === 'PASSED';
+    const summary = verification.summary;
+    const mismatches = collectMismatches(verification);
+    const listedRows = new Set(mismatches
+        .map(mismatch => mismatch.sourceRowNumber)
+        .filter(rowNumber => sourceRows[rowNumber - 2]));
+    
+    const warnings = verification.warnings.length > 0
+        ? `<h2>Warnings</h2><ul>${verification.warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}</ul>`
+        : '';
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Verification Report ${escapeHtml(verification.status)} - ${escapeHtml(verification.timestamp)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<div class="banner ${passed ? 'passed' : 'failed'}">
+<h1>${passed ? '✅' : '❌'} Verification ${escapeHtml(verification.status)}</h1>
+<div>${summary.passedTests} of ${summary.totalTests} tests passed · ${summary.failedTests} failed · ${summary.skippedTests} skipped · ${summary.warnings} warnings · ${verification.issues.length} issues · ${escapeHtml(verification.timestamp)}</div>
+</div>
+<h2>Run</h2>
+${renderDetailsTable(verification.details)}
+${warnings}
+<h2>Tests</h2>
+${verification.tests.map(renderTest).join('\n')}
+<h2>Mismatches (${mismatches.length})</h2>
+${renderMismatches(mismatches, listedRows)}
+${renderSourceRows(listedRows, sourceRows)}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    collectMismatches,
+    renderVerificationHtml
+};
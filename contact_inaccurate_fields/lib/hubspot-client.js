@@ -0,0 +1,119 @@
+/**
+ * HubSpot CRM Client
+ *
+ * Minimal client for the contacts batch upsert endpoint. Requests that hit
+ * rate limits (429) or server errors (5xx), or fail at the network level, are
+ * retried with exponential backoff; Retry-After is honored when HubSpot sends it.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.hubapi.com';
+const BATCH_UPSERT_PATH = '/crm/v3/objects/contacts/batch/upsert';
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * True for HTTP statuses worth retrying
+ */
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Milliseconds to wait before the next attempt
+ */
+function retryDelay(attempt, retryDelayMs, retryAfterHeader) {
+    const retryAfterSeconds = Number(retryAfterHeader);
+    if (retryAfterHeader !== null && retryAfterHeader !== undefined && !isNaN(retryAfterSeconds)) {
+        return retryAfterSeconds * 1000;
+    }
+    return retryDelayMs * 2 ** (attempt - 1);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Creates a client bound to one portal.
+ *
+ * settings: { accessToken, baseUrl, maxRetries, retryDelayMs, fetch }
+ */
+function createHubSpotClient(settings = {}) {
+    const baseUrl = (settings.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const maxRetries = settings.maxRetries !== undefined ? settings.maxRetries : 5;
+    const retryDelayMs = settings.retryDelayMs !== undefined ? settings.retryDelayMs : 1000;
+    const fetchImpl = settings.fetch || globalThis.fetch;
+    
+    if (!settings.accessToken) {
+        throw new Error('A HubSpot access token is required (set HUBSPOT_ACCESS_TOKEN)');
+    }
+    if (typeof fetchImpl !== 'function') {
+        throw new Error('fetch is not available; use Node 18 or later');
+    }
+    
+    /**
+     * Sends one batch upsert request, retrying as needed.
+     * Resolves to { ok, httpStatus, attempts, body, error } and never throws.
+     */
+    async function batchUpsertContacts(inputs) {
+        if (inputs.length > MAX_BATCH_SIZE) {
+            throw new Error(`HubSpot batch upsert accepts at most ${MAX_BATCH_SIZE} inputs, got ${inputs.length}`);
+        }
+        
+        const url = `${baseUrl}${BATCH_UPSERT_PATH}`;
+        const payload = JSON.stringify({ inputs: inputs });
+        let attempts = 0;
+        
+        while (true) {
+            attempts++;
+            let response;
+            
+            try {
+                response = await fetchImpl(url, {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${settings.accessToken}`,
+                        'Content-Type': 'application/json'
+                    },
+                    body: payload
+                });
+            } catch (error) {
+                if (attempts > maxRetries) {
+                    return { ok: false, httpStatus: null, attempts: attempts, body: null, error: error.message };
+                }
+                await sleep(retryDelay(attempts, retryDelayMs));
+                continue;
+            }
+            
+            const text = await response.text();
+            let body = null;
+            try {
+                body = text ? JSON.parse(text) : null;
+            } catch (error) {
+                body = { raw: text };
+            }
+            
+            if (response.ok) {
+                return { ok: true, httpStatus: response.status, attempts: attempts, body: body, error: null };
+            }
+            
+            if (!isRetryableStatus(response.status) || attempts > maxRetries) {
+                const message = body && body.message ? body.message : `HTTP ${response.status}`;
+                return { ok: false, httpStatus: response.status, attempts: attempts, body: body, error: message };
+            }
+            
+            await sleep(retryDelay(attempts, retryDelayMs, response.headers.get('retry-after')));
+        }
+    }
+    
+    return {
+        baseUrl: baseUrl,
+        batchUpsertContacts: batchUpsertContacts
+    };
+}
+
+module.exports = {
+    DEFAULT_BASE_URL,
+    BATCH_UPSERT_PATH,
+    MAX_BATCH_SIZE,
+    createHubSpotClient
+};
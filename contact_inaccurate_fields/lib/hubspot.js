@@ -0,0 +1,56 @@
+const { parseDate, formatDate } = require('./dates');
+
+/**
+ * HubSpot Conventions
+ *
+ * Property naming and value formats HubSpot expects on import. The optional
+ * "hubspot" block of the mapping file overrides the defaults below, and each
+ * mapped column may set "property" (internal property name) and, for date
+ * columns, "dateType" ("date" for date pickers, "datetime" for date-time
+ * properties).
+ */
+
+const DEFAULT_HUBSPOT_SETTINGS = {
+    emailProperty: 'email',
+    recordIdColumn: 'Record ID'
+};
+
+/**
+ * Returns the HubSpot settings for a mapping, defaults filled in
+ */
+function hubspotSettings(mapping) {
+    return {
+        ...DEFAULT_HUBSPOT_SETTINGS,
+        ...((mapping && mapping.hubspot) || {})
+    };
+}
+
+/**
+ * Internal property name for a mapped column
+ */
+function propertyName(column) {
+    return column.property || column.target;
+}
+
+/**
+ * Formats a date for a HubSpot property.
+ * Date properties hold midnight UTC, written as YYYY-MM-DD: the calendar date
+ * in timeZone. Datetime properties are written as ISO 8601 in UTC.
+ */
+function formatHubSpotDate(value, dateType = 'date', timeZone) {
+    const date = parseDate(value, { timeZone: timeZone });
+    if (!date) return value === undefined || value === null ? '' : value;
+    
+    if (dateType === 'datetime') {
+        return date.toISOString();
+    }
+    
+    return formatDate(date, { timeZone: timeZone, format: 'date' });
+}
+
+module.exports = {
+    DEFAULT_HUBSPOT_SETTINGS,
+    hubspotSettings,
+    propertyName,
+    formatHubSpotDate
+};
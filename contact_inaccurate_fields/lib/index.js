@@ -0,0 +1,65 @@
+/**
+ * Contact Backfill Library
+ *
+ * Programmatic API behind the backfill scripts. Everything here works on
+ * in-memory row arrays (as produced by xlsx.utils.sheet_to_json) and returns
+ * structured results instead of printing or exiting. streamRows,
+ * createStreamingRecordIndex and createContactMapper do the same one row at
+ * a time for exports too large to load whole.
+ *
+ *   const { buildLatestRecordIndex, mapContacts, verifyMapping } = require('./lib');
+ */
+
+const { DEFAULT_OPTIONS, resolveOptions } = require('./config');
+const { DATE_FORMATS, excelSerialDateToJSDate, parseDate, formatDate, formatDateForDisplay } = require('./dates');
+const { loadMapping } = require('./mapping');
+const { normalizeEmail, groupRowsByEmail, buildLatestRecordIndex, createStreamingRecordIndex } = require('./records');
+const { createEmailMatcher } = require('./matching');
+const { createKeyMatcher } = require('./keys');
+const { findDuplicateContacts, createDuplicateIndex } = require('./duplicates');
+const { formatMappedValue, findUnmatchedContacts, createContactMapper, mapContacts } = require('./mapper');
+const { createVerification, verifyMapping } = require('./verifier');
+const { getProfile } = require('./profiles');
+const { readDataset, writeDataset, writeWorkbook } = require('./io');
+const { streamRows, createRowWriter } = require('./streams');
+const { buildAuditSheets } = require('./audit');
+const { createSourceAudit, auditRows } = require('./source-audit');
+const { compareVerifications } = require('./report-compare');
+const { buildUpsertInputs, pushContacts } = require('./push');
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    resolveOptions,
+    DATE_FORMATS,
+    excelSerialDateToJSDate,
+    parseDate,
+    formatDate,
+    formatDateForDisplay,
+    loadMapping,
+    normalizeEmail,
+    groupRowsByEmail,
+    buildLatestRecordIndex,
+    createStreamingRecordIndex,
+    createEmailMatcher,
+    createKeyMatcher,
+    findDuplicateContacts,
+    createDuplicateIndex,
+    formatMappedValue,
+    findUnmatchedContacts,
+    createContactMapper,
+    mapContacts,
+    createVerification,
+    verifyMapping,
+    getProfile,
+    readDataset,
+    writeDataset,
+    writeWorkbook,
+    streamRows,
+    createRowWriter,
+    buildAuditSheets,
+    createSourceAudit,
+    auditRows,
+    compareVerifications,
+    buildUpsertInputs,
+    pushContacts
+};
@@ -0,0 +1,372 @@
+const xlsx = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Dataset Input/Output
+ *
+ * Reads and writes row arrays in xlsx, CSV, TSV, JSON and NDJSON. The format
+ * comes from an explicit option or the file extension. Source, target and
+ * output datasets can each live in their own file; when no separate source or
+ * target file is given, both are read as sheets of the --input workbook.
+ */
+
+const FORMATS = ['xlsx', 'csv', 'tsv', 'json', 'ndjson'];
+
+const EXTENSION_FORMATS = {
+    '.xlsx': 'xlsx',
+    '.xlsm': 'xlsx',
+    '.xls': 'xlsx',
+    '.csv': 'csv',
+    '.tsv': 'tsv',
+    '.tab': 'tsv',
+    '.json': 'json',
+    '.ndjson': 'ndjson',
+    '.jsonl': 'ndjson'
+};
+
+const DELIMITERS = {
+    csv: ',',
+    tsv: '\t'
+};
+
+/**
+ * Picks the format for a file: the explicit format if given, else the extension
+ */
+function detectFormat(filePath, explicitFormat) {
+    if (explicitFormat) {
+        const format = explicitFormat.toLowerCase();
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Unknown format "${explicitFormat}" (expected ${FORMATS.join(', ')})`);
+        }
+        return format;
+    }
+    
+    const format = EXTENSION_FORMATS[path.extname(filePath).toLowerCase()];
+    if (!format) {
+        throw new Error(`Cannot tell the format of ${filePath} from its extension; pass a format flag`);
+    }
+    return format;
+}
+
+// Files the mapper writes next to the output: low-confidence matches, match
+// key conflicts and contacts left out by the duplicate policy
+const COMPANION_FILES = {
+    review: { suffix: 'review', sheet: 'Review' },
+    conflicts: { suffix: 'key-conflicts', sheet: 'Key Conflicts' },
+    duplicates: { suffix: 'duplicates', sheet: 'Duplicate Contacts' },
+    unmapped: { suffix: 'unmapped-values', sheet: 'Unmapped Values' }
+};
+
+/**
+ * Describes where a dataset lives: { role, file, format, sheet }
+ * role is 'source', 'target', 'output', or 'review' / 'conflicts' / 'duplicates' / 'unmapped' (see COMPANION_FILES).
+ */
+function datasetFor(options, role) {
+    if (COMPANION_FILES[role]) {
+        // Written next to the output as <name>-<suffix><ext> in the same format
+        const { suffix, sheet } = COMPANION_FILES[role];
+        const extension = path.extname(options.output);
+        return {
+            role: role,
+            file: path.join(path.dirname(options.output), `${path.basename(options.output, extension)}-${suffix}${extension}`),
+            format: detectFormat(options.output, options.outputFormat),
+            sheet: sheet
+        };
+    }
+    if (role === 'output') {
+        return {
+            role: role,
+            file: options.output,
+            format: detectFormat(options.output, options.outputFormat),
+            sheet: options.targetSheet
+        };
+    }
+    
+    const file = options[role] || options.input;
+    return {
+        role: role,
+        file: file,
+        format: detectFormat(file, options[`${role}Format`]),
+        sheet: role === 'source' ? options.sourceSheet : options.targetSheet
+    };
+}
+
+/**
+ * Creates an incremental parser for delimited text (RFC 4180 quoting).
+ * write(text) takes the text in chunks of any size and calls onRecord with
+ * each complete record (an array of strings); end() flushes the last one.
+ */
+function createDelimitedParser(delimiter, onRecord) {
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let quotePending = false; // A quote inside quotes: escaped "" or the closing quote
+    let crPending = false; // A \r that may be followed by \n
+    
+    function endRecord() {
+        record.push(field);
+        onRecord(record);
+        record = [];
+        field = '';
+    }
+    
+    function write(text) {
+        // Plain characters are copied in runs (text.slice(start, i)) rather
+        // than one at a time, so long fields are not built as string chains
+        let start = 0;
+        const take = (i) => {
+            if (i > start) field += text.slice(start, i);
+        };
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (quotePending) {
+                quotePending = false;
+                if (char === '"') {
+                    start = i; // The escaped quote starts the next run
+                    continue;
+                }
+                inQuotes = false;
+            }
+            if (crPending) {
+                crPending = false;
+                if (char === '\n') {
+                    start = i + 1;
+                    continue;
+                }
+            }
+            
+            if (inQuotes) {
+                if (char === '"') {
+                    take(i);
+                    start = i + 1;
+                    quotePending = true;
+                }
+            } else if (char === '"') {
+                take(i);
+                start = i + 1;
+                inQuotes = true;
+            } else if (char === delimiter) {
+                take(i);
+                start = i + 1;
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                take(i);
+                start = i + 1;
+                crPending = char === '\r';
+                endRecord();
+            }
+        }
+        take(text.length);
+    }
+    
+    function end() {
+        if (field !== '' || record.length > 0) {
+            endRecord();
+        }
+    }
+    
+    return { write, end };
+}
+
+/**
+ * Parses delimited text (RFC 4180 quoting) into an array of string arrays
+ */
+function parseDelimited(text, delimiter) {
+    const records = [];
+    const parser = createDelimitedParser(delimiter, record => records.push(record));
+    parser.write(text);
+    parser.end();
+    return records;
+}
+
+/**
+ * Returns true for a parsed record with no values (a blank line)
+ */
+function isBlankRecord(record) {
+    return !record.some(value => value !== '');
+}
+
+/**
+ * Builds a row object from a parsed record and the header record
+ */
+function recordToRow(header, record) {
+    const row = {};
+    header.forEach((column, index) => {
+        row[column] = record[index] !== undefined ? record[index] : '';
+    });
+    return row;
+}
+
+/**
+ * Converts parsed records (header first) into row objects, skipping blank lines
+ */
+function recordsToRows(records) {
+    const [header, ...body] = records;
+    if (!header) return [];
+    
+    return body
+        .filter(record => !isBlankRecord(record))
+        .map(record => recordToRow(header, record));
+}
+
+/**
+ * Quotes a value for delimited output when needed
+ */
+function formatDelimitedValue(value, delimiter) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    if (text.includes('"') || text.includes(delimiter) || text.includes('\n') || text.includes('\r')) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Collects every column name across rows, in first-seen order
+ */
+function collectColumns(rows) {
+    const columns = [];
+    const seen = new Set();
+    rows.forEach(row => {
+        Object.keys(row).forEach(column => {
+            if (!seen.has(column)) {
+                seen.add(column);
+                columns.push(column);
+            }
+        });
+    });
+    return columns;
+}
+
+/**
+ * Serializes rows as delimited text with a header line
+ */
+function serializeDelimited(rows, delimiter) {
+    const columns = collectColumns(rows);
+    const lines = [columns.map(column => formatDelimitedValue(column, delimiter)).join(delimiter)];
+    rows.forEach(row => {
+        lines.push(columns.map(column => formatDelimitedValue(row[column], delimiter)).join(delimiter));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Picks the worksheet for a dataset. A missing sheet falls back to the only
+ * sheet in the workbook, so single-sheet exports work without --*-sheet flags.
+ */
+function selectSheet(workbook, dataset) {
+    if (dataset.sheet && workbook.SheetNames.includes(dataset.sheet)) {
+        return dataset.sheet;
+    }
+    if (workbook.SheetNames.length === 1) {
+        return workbook.SheetNames[0];
+    }
+    throw new Error(`Sheet "${dataset.sheet}" not found in ${dataset.file} (sheets: ${workbook.SheetNames.join(', ')})`);
+}
+
+/**
+ * Reads a dataset into an array of row objects
+ */
+function readDataset(dataset) {
+    if (!fs.existsSync(dataset.file)) {
+        throw new Error(`${dataset.role} file not found: ${dataset.file}`);
+    }
+    
+    switch (dataset.format) {
+        case 'xlsx': {
+            const workbook = xlsx.readFile(dataset.file);
+            return xlsx.utils.sheet_to_json(workbook.Sheets[selectSheet(workbook, dataset)]);
+        }
+        case 'csv':
+        case 'tsv': {
+            const text = fs.readFileSync(dataset.file, 'utf8').replace(/^\uFEFF/, '');
+            return recordsToRows(parseDelimited(text, DELIMITERS[dataset.format]));
+        }
+        case 'json': {
+            const rows = JSON.parse(fs.readFileSync(dataset.file, 'utf8'));
+            if (!Array.isArray(rows)) {
+                throw new Error(`JSON ${dataset.role} file must hold an array of rows: ${dataset.file}`);
+            }
+            return rows;
+        }
+        case 'ndjson':
+            return fs.readFileSync(dataset.file, 'utf8')
+                .split(/\r?\n/)
+                .filter(line => line.trim() !== '')
+                .map(line => JSON.parse(line));
+        default:
+            throw new Error(`Unsupported format: ${dataset.format}`);
+    }
+}
+
+/**
+ * Writes rows to a dataset, creating the parent directory if needed
+ */
+function writeDataset(dataset, rows) {
+    fs.mkdirSync(path.dirname(dataset.file), { recursive: true });
+    
+    switch (dataset.format) {
+        case 'xlsx': {
+            const workbook = xlsx.utils.book_new();
+            xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(rows), dataset.sheet || 'Sheet1');
+            xlsx.writeFile(workbook, dataset.file);
+            break;
+        }
+        case 'csv':
+        case 'tsv':
+            fs.writeFileSync(dataset.file, serializeDelimited(rows, DELIMITERS[dataset.format]));
+            break;
+        case 'json':
+            fs.writeFileSync(dataset.file, JSON.stringify(rows, null, 2));
+            break;
+        case 'ndjson':
+            fs.writeFileSync(dataset.file, rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : ''));
+            break;
+        default:
+            throw new Error(`Unsupported format: ${dataset.format}`);
+    }
+}
+
+/**
+ * Writes several sheets of rows to one xlsx workbook, in the order given
+ * (sheets: { sheetName: rows }), creating the parent directory if needed
+ */
+function writeWorkbook(file, sheets) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    
+    const workbook = xlsx.utils.book_new();
+    Object.entries(sheets).forEach(([name, rows]) => {
+        xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(rows), name);
+    });
+    xlsx.writeFile(workbook, file);
+}
+
+/**
+ * Short label for console output, e.g. "stripe.csv (csv)"
+ */
+function describeDataset(dataset) {
+    const sheet = dataset.format === 'xlsx' && dataset.sheet ? ` [${dataset.sheet}]` : '';
+    return `${dataset.file}${sheet} (${dataset.format})`;
+}
+
+module.exports = {
+    FORMATS,
+    DELIMITERS,
+    detectFormat,
+    datasetFor,
+    createDelimitedParser,
+    parseDelimited,
+    isBlankRecord,
+    recordToRow,
+    formatDelimitedValue,
+    selectSheet,
+    serializeDelimited,
+    readDataset,
+    writeDataset,
+    writeWorkbook,
+    describeDataset
+};
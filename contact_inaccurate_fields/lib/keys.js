@@ -0,0 +1,146 @@
+const { DEFAULT_OPTIONS } = require('./config');
+const { createEmailMatcher, acceptsMatch } = require('./matching');
+const { normalizeKeyValue, buildKeyIndex } = require('./records');
+
+/**
+ * Match Keys
+ *
+ * A contact is matched to a source record by an ordered list of keys
+ * (options.matchKeys); the first key that finds a confident match wins.
+ *
+ *   email               target email against the Stripe customer email, with
+ *                       the alias and fuzzy tiers of matching.js
+ *   stripe-customer-id  options.targetCustomerIdColumn against options.sourceCustomerIdColumn
+ *   record-id           options.targetRecordIdColumn against options.sourceRecordIdColumn
+ *
+ * ID keys match exactly (trimmed) and pick between several source rows with
+ * the record selection strategy, like emails. When two keys of a contact find
+ * different source rows the contact is matched by the earlier key and the
+ * disagreement is reported as a key conflict.
+ */
+
+const MATCH_KEYS = {
+    'email': {
+        label: 'Email',
+        sourceColumn: (options) => options.sourceEmailColumn || DEFAULT_OPTIONS.sourceEmailColumn,
+        targetColumn: (options) => options.targetEmailColumn || DEFAULT_OPTIONS.targetEmailColumn
+    },
+    'stripe-customer-id': {
+        label: 'Stripe Customer ID',
+        sourceColumn: (options) => options.sourceCustomerIdColumn || DEFAULT_OPTIONS.sourceCustomerIdColumn,
+        targetColumn: (options) => options.targetCustomerIdColumn || DEFAULT_OPTIONS.targetCustomerIdColumn
+    },
+    'record-id': {
+        label: 'HubSpot Record ID',
+        sourceColumn: (options) => options.sourceRecordIdColumn || DEFAULT_OPTIONS.sourceRecordIdColumn,
+        targetColumn: (options) => options.targetRecordIdColumn || DEFAULT_OPTIONS.targetRecordIdColumn
+    }
+};
+
+const DEFAULT_MATCH_KEYS = ['email'];
+
+/**
+ * Parses options.matchKeys (array or comma-separated string) into key names,
+ * keeping their order; email only when none are given
+ */
+function parseMatchKeys(spec) {
+    const names = (Array.isArray(spec) ? spec : String(spec || '').split(','))
+        .map(name => String(name).trim())
+        .filter(Boolean);
+    
+    names.forEach(name => {
+        if (!MATCH_KEYS[name]) {
+            throw new Error(`Unknown match key "${name}" (expected ${Object.keys(MATCH_KEYS).join(', ')})`);
+        }
+    });
+    return names.length > 0 ? Array.from(new Set(names)) : DEFAULT_MATCH_KEYS;
+}
+
+/**
+ * Returns true when options match on anything besides email
+ */
+function usesKeyMatching(options = {}) {
+    return parseMatchKeys(options.matchKeys).join(',') !== DEFAULT_MATCH_KEYS.join(',');
+}
+
+/**
+ * Builds a matcher over a source index (see buildLatestRecordIndex) that
+ * tries each match key in order.
+ *
+ * matcher.match(targetRow) returns null or the winning match
+ *   { key, keyValue, email, record, candidates, method, confidence, rules, distance, conflicts }
+ * shaped like an email match (see createEmailMatcher); candidates are all the
+ * source rows sharing the key value, sorted with the selected record first. ID keys match with
+ * method exact and confidence 1. conflicts lists the other keys that matched
+ * a different source row: [{ key, keyValue, record }].
+ * When no key is confident enough the best low-confidence match is returned
+ * so callers can send it to review.
+ */
+function createKeyMatcher(sourceIndex, options = {}) {
+    const keys = parseMatchKeys(options.matchKeys);
+    const emailMatcher = createEmailMatcher(sourceIndex, options);
+    const keyOptions = { ...options, strategy: sourceIndex.strategy };
+    
+    // key name -> buildKeyIndex result, for the ID keys
+    const keyIndexes = {};
+    if (!sourceIndex.rows && keys.some(key => key !== 'email')) {
+        throw new Error(`Match keys other than email need every source row in memory; run without streaming to match by ${keys.join(', ')}`);
+    }
+    keys.filter(key => key !== 'email').forEach(key => {
+        keyIndexes[key] = buildKeyIndex(sourceIndex.rows, MATCH_KEYS[key].sourceColumn(options), keyOptions);
+    });
+    
+    function matchKey(key, targetRow) {
+        const rawValue = targetRow[MATCH_KEYS[key].targetColumn(options)];
+        if (key === 'email') {
+            const match = emailMatcher.match(rawValue);
+            return match ? { key: key, keyValue: rawValue, ...match, candidates: sourceIndex.groups.get(match.email) } : null;
+        }
+        
+        const keyValue = normalizeKeyValue(rawValue);
+        const record = keyValue ? keyIndexes[key].records.get(keyValue) : null;
+        if (!record) return null;
+        return {
+            key: key,
+            keyValue: keyValue,
+            email: record.email,
+            record: record,
+            candidates: keyIndexes[key].groups.get(keyValue),
+            method: 'exact',
+            confidence: 1,
+            rules: [],
+            distance: 0
+        };
+    }
+    
+    function match(targetRow) {
+        const matches = keys.map(key => matchKey(key, targetRow)).filter(Boolean);
+        if (matches.length === 0) return null;
+        
+        const accepted = matches.filter(candidate => acceptsMatch(candidate, options));
+        if (accepted.length === 0) {
+            return { ...matches[0], conflicts: [] };
+        }
+        
+        const winner = accepted[0];
+        const conflicts = accepted
+            .slice(1)
+            .filter(candidate => candidate.record.row !== winner.record.row)
+            .map(candidate => ({ key: candidate.key, keyValue: candidate.keyValue, record: candidate.record }));
+        return { ...winner, conflicts: conflicts };
+    }
+    
+    return {
+        keys: keys,
+        keyIndexes: keyIndexes,
+        match: match
+    };
+}
+
+module.exports = {
+    MATCH_KEYS,
+    DEFAULT_MATCH_KEYS,
+    parseMatchKeys,
+    usesKeyMatching,
+    createKeyMatcher
+};
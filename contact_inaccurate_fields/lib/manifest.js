@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Run Manifest
+ *
+ * A small JSON file written next to the mapped output
+ * (<output>.manifest.json) that records how the output was produced, such as
+ * the record selection strategy, the date timezone and format, diff mode,
+ * whether unmatched contacts were kept, the email matching settings, the
+ * duplicate contact policy and the enum option settings. The verifier and the listing scripts read it
+ * so they judge the output by the same rules the mapper used.
+ */
+
+/**
+ * Path of the manifest for an output file
+ */
+function manifestPath(outputFile) {
+    return `${outputFile}.manifest.json`;
+}
+
+/**
+ * Writes the manifest for an output file
+ */
+function writeManifest(outputFile, manifest) {
+    const filePath = manifestPath(outputFile);
+    fs.writeFileSync(filePath, JSON.stringify(manifest, null, 2));
+    return filePath;
+}
+
+/**
+ * Reads the manifest for an output file, or null when there is none
+ */
+function readManifest(outputFile) {
+    const filePath = manifestPath(outputFile);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Picks the selection strategy for a command that reads an existing output:
+ * an explicit option wins, then the output's manifest, then the default.
+ * Returns { strategy, source } where source says where it came from.
+ */
+function strategyForOutput(explicitStrategy, outputFile) {
+    if (explicitStrategy) {
+        return { strategy: explicitStrategy, source: 'option' };
+    }
+    
+    const manifest = readManifest(outputFile);
+    if (manifest && manifest.strategy) {
+        return { strategy: manifest.strategy, source: 'manifest' };
+    }
+    
+    return { strategy: undefined, source: 'default' };
+}
+
+// Options that change how output values are laid out, recorded so readers of the output can match them
+const OUTPUT_OPTIONS = ['timeZone', 'dateFormat', 'diff', 'provenance', 'includeUnmatched', 'matchRules', 'fuzzyDistance', 'reviewThreshold', 'matchKeys', 'duplicatePolicy', 'propertyDefinitions', 'allowUnmappedValues', 'rules', 'asOf'];
+// Of those, the ones holding file paths (the manifest records them resolved)
+const OUTPUT_PATH_OPTIONS = ['propertyDefinitions', 'rules'];
+
+/**
+ * Picks the output layout options (OUTPUT_OPTIONS) for a command that reads
+ * an existing output: explicit options win, then the output's manifest.
+ * Returns only the keys that should override the defaults.
+ */
+function outputOptionsFor(overrides, outputFile) {
+    const manifest = readManifest(outputFile) || {};
+    const outputOptions = {};
+    
+    OUTPUT_OPTIONS.forEach(key => {
+        let value = overrides[key] !== undefined ? overrides[key] : manifest[key];
+        if (value && overrides[key] !== undefined && OUTPUT_PATH_OPTIONS.includes(key)) {
+            value = path.resolve(value);
+        }
+        if (value !== undefined) {
+            outputOptions[key] = value;
+        }
+    });
+    
+    return outputOptions;
+}
+
+module.exports = {
+    manifestPath,
+    writeManifest,
+    readManifest,
+    strategyForOutput,
+    OUTPUT_OPTIONS,
+    outputOptionsFor
+};
@@ -0,0 +1,660 @@
+const { DEFAULT_OPTIONS } = require('./config');
+const { validateDateOptions } = require('./dates');
+const { isBlank, resolveEnumValue } = require('./mapping');
+const { createKeyMatcher, usesKeyMatching } = require('./keys');
+const { acceptsMatch, usesExtendedMatching } = require('./matching');
+const { skipReason } = require('./policies');
+const { getProfile } = require('./profiles');
+const { propertyName } = require('./hubspot');
+const { normalizeEmail, isValidEmail, buildLatestRecordIndex, selectionReason } = require('./records');
+const { findDuplicateContacts, duplicateDecision, buildDuplicateRow } = require('./duplicates');
+const { splitMultiValue, splitWrittenValue, formatMultiValue, unresolvedItems, sameItems, combinesSubscriptions, combineRows, sourceValue } = require('./multi-values');
+const { aggregateRows, aggregateValue } = require('./aggregates');
+const { decideRules, ruleDecision } = require('./rules');
+
+/**
+ * Contact Field Mapper
+ *
+ * Matches target (contact) rows to the selected source record for their
+ * email and copies the configured columns across, laid out by the output
+ * profile (see profiles.js). Works on in-memory row
+ * arrays and returns structured results; reading and writing files is left
+ * to the caller. createContactMapper maps one row at a time for streaming.
+ *
+ * In diff mode (options.diff) each mapped column becomes an old_<column> /
+ * new_<column> pair holding the contact's current and incoming value, and
+ * only contacts with at least one changed field are output.
+ *
+ * Each column's overwrite policy (see policies.js) may keep the contact's
+ * current value instead of the source value; those fields are reported as
+ * skipped.
+ *
+ * With options.includeUnmatched every target row is output: a Match Status
+ * column says whether and why not the contact matched, Source Id holds the
+ * selected subscription's Id, and unmatched contacts keep their current values.
+ *
+ * Emails are matched by matching.js. With alias rules or fuzzy matching on,
+ * Match Method and Match Confidence columns are added, and matches below the
+ * review threshold are left out and returned in review instead.
+ *
+ * With match keys besides email (see keys.js), Match Key and Match Key Value
+ * columns record which key matched, and contacts whose keys point at
+ * different source rows are returned in keyConflicts.
+ *
+ * With options.provenance (on by default) each row says which source row it
+ * came from: Source Id, Source Record ID, Source Row Number and Selection Reason.
+ *
+ * A profile without auditColumns (hubspot) leaves the match and provenance
+ * columns out of the output rows; auditRows keeps them for the audit workbook.
+ *
+ * Contacts that share an email are output or left out by options.duplicatePolicy
+ * (see duplicates.js); the rows left out are returned in duplicates.
+ */
+
+// Diff mode column listing the mapped columns whose value changes
+const CHANGED_FIELDS_COLUMN = 'Changed Fields';
+
+// Columns added by includeUnmatched
+const MATCH_STATUS_COLUMN = 'Match Status';
+const SOURCE_ID_COLUMN = 'Source Id';
+const MATCH_STATUSES = ['matched', 'needs-review', 'no-source', 'missing-email', 'invalid-email'];
+
+const UNMATCHED_REASONS = {
+    'needs-review': 'Low-confidence match (needs review)',
+    'no-source': 'Not found in source',
+    'invalid-email': 'Invalid email address'
+};
+
+// Columns added when alias rules or fuzzy matching are on
+const MATCH_METHOD_COLUMN = 'Match Method';
+const MATCH_CONFIDENCE_COLUMN = 'Match Confidence';
+
+// Provenance columns (Source Id is shared with includeUnmatched)
+const SOURCE_RECORD_ID_COLUMN = 'Source Record ID';
+const SOURCE_ROW_NUMBER_COLUMN = 'Source Row Number';
+const SELECTION_REASON_COLUMN = 'Selection Reason';
+const PROVENANCE_COLUMNS = [SOURCE_ID_COLUMN, SOURCE_RECORD_ID_COLUMN, SOURCE_ROW_NUMBER_COLUMN, SELECTION_REASON_COLUMN];
+
+// Columns added when matching on keys besides email
+const MATCH_KEY_COLUMN = 'Match Key';
+const MATCH_KEY_VALUE_COLUMN = 'Match Key Value';
+
+// Match and provenance columns, left out of the output by profiles without auditColumns
+const AUDIT_COLUMNS = [
+    MATCH_STATUS_COLUMN,
+    ...PROVENANCE_COLUMNS,
+    MATCH_KEY_COLUMN,
+    MATCH_KEY_VALUE_COLUMN,
+    MATCH_METHOD_COLUMN,
+    MATCH_CONFIDENCE_COLUMN
+];
+
+/**
+ * Converts a source value into the output value for a mapped column
+ */
+function formatMappedValue(value, column, profile = getProfile()) {
+    if (isBlank(value)) {
+        return column.default !== undefined ? column.default : '';
+    }
+    
+    switch (column.type) {
+        case 'date':
+            return profile.formatDate(value, column);
+        case 'number': {
+            const number = Number(value);
+            return isNaN(number) ? value : number;
+        }
+        case 'enum': {
+            const resolved = resolveEnumValue(value, column);
+            return resolved !== null ? resolved : String(value).trim();
+        }
+        case 'multi':
+            return formatMultiValue(value, column);
+        default:
+            return value;
+    }
+}
+
+/**
+ * Diff mode column names for a mapped output column
+ */
+function oldColumnName(columnName) {
+    return `old_${columnName}`;
+}
+
+function newColumnName(columnName) {
+    return `new_${columnName}`;
+}
+
+/**
+ * Returns the value a target row already holds for a mapped column, looked
+ * up by the target label and then by the profile's column name
+ */
+function existingTargetValue(targetRow, column, profile = getProfile()) {
+    if (targetRow[column.target] !== undefined) {
+        return targetRow[column.target];
+    }
+    return targetRow[profile.columnName(column)];
+}
+
+/**
+ * The contact's current value for a mapped column, formatted like an incoming
+ * value so the two can be compared (blank stays blank, defaults do not apply)
+ */
+function formatExistingValue(targetRow, column, profile = getProfile()) {
+    const existing = existingTargetValue(targetRow, column, profile);
+    if (isBlank(existing)) return '';
+    // A multi column's current value is already semicolon-separated
+    return formatMappedValue(column.type === 'multi' ? splitWrittenValue(existing) : existing, column, profile);
+}
+
+/**
+ * True when a mapped column's old and new values are the same (multi
+ * columns compare their items in any order)
+ */
+function sameMappedValue(column, oldValue, newValue) {
+    if (column.type === 'multi') {
+        return sameItems(oldValue, newValue);
+    }
+    return String(oldValue).trim() === String(newValue).trim();
+}
+
+/**
+ * Reads the Changed Fields list of a diff mode output row
+ */
+function changedFieldNames(row) {
+    const value = row[CHANGED_FIELDS_COLUMN];
+    if (isBlank(value)) return [];
+    return String(value).split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Builds the diff mode row for a contact: identity and email columns, an
+ * old/new pair per mapped column and the changed-fields list.
+ * Returns null when no mapped value changes, unless keepUnchanged is set.
+ */
+function buildDiffRow(targetRow, mappedRow, mapping, profile, keepUnchanged = false) {
+    const mappedColumnNames = mapping.columns.map(column => profile.columnName(column));
+    const diffRow = {};
+    const changed = [];
+    
+    Object.entries(mappedRow).forEach(([columnName, value]) => {
+        if (!mappedColumnNames.includes(columnName)) {
+            diffRow[columnName] = value; // Identity and email columns
+        }
+    });
+    
+    mapping.columns.forEach(column => {
+        const columnName = profile.columnName(column);
+        // Format the current value like the incoming one so only real changes count
+        const oldValue = formatExistingValue(targetRow, column, profile);
+        const newValue = mappedRow[columnName];
+        
+        diffRow[oldColumnName(columnName)] = oldValue;
+        diffRow[newColumnName(columnName)] = newValue;
+        if (!sameMappedValue(column, oldValue, newValue)) {
+            changed.push(columnName);
+        }
+    });
+    
+    diffRow[CHANGED_FIELDS_COLUMN] = changed.join(', ');
+    return changed.length > 0 || keepUnchanged ? diffRow : null;
+}
+
+/**
+ * Classifies a contact given its email and match (see createKeyMatcher):
+ * matched, needs-review, missing-email, invalid-email or no-source.
+ * A contact without an email can still be matched by another key.
+ */
+function matchStatus(rawEmail, match, options = {}) {
+    if (acceptsMatch(match, options)) {
+        return 'matched';
+    }
+    if (isBlank(rawEmail)) {
+        return 'missing-email';
+    }
+    if (match) {
+        return 'needs-review';
+    }
+    return isValidEmail(normalizeEmail(rawEmail)) ? 'no-source' : 'invalid-email';
+}
+
+/**
+ * Describes an unmatched target row (the index-th) and why it did not match
+ */
+function unmatchedContact(row, index, status, options = {}) {
+    const emailColumn = options.targetEmailColumn || DEFAULT_OPTIONS.targetEmailColumn;
+    const email = normalizeEmail(row[emailColumn]);
+    
+    if (!email) {
+        return {
+            rowNumber: index + 2,
+            email: '(no email)',
+            status: status,
+            reason: 'Missing email field'
+        };
+    }
+    return {
+        rowNumber: index + 2,
+        email: row[emailColumn],
+        normalizedEmail: email,
+        status: status,
+        reason: UNMATCHED_REASONS[status]
+    };
+}
+
+/**
+ * Lists target rows without an accepted source match.
+ * sourceIndex is the buildLatestRecordIndex result.
+ */
+function findUnmatchedContacts(sourceIndex, targetRows, options = {}) {
+    const emailColumn = options.targetEmailColumn || DEFAULT_OPTIONS.targetEmailColumn;
+    const matcher = createKeyMatcher(sourceIndex, options);
+    const unmatched = [];
+    
+    targetRows.forEach((row, index) => {
+        const status = matchStatus(row[emailColumn], matcher.match(row), options);
+        if (status !== 'matched') {
+            unmatched.push(unmatchedContact(row, index, status, options));
+        }
+    });
+    
+    return unmatched;
+}
+
+/**
+ * Provenance columns for a contact: where its values came from and why that
+ * source row was selected (blank when not matched)
+ */
+function provenanceColumns(match, strategy, options = {}) {
+    if (!match) {
+        return PROVENANCE_COLUMNS.reduce((columns, column) => ({ ...columns, [column]: '' }), {});
+    }
+    
+    const sourceIdColumn = options.sourceIdColumn || DEFAULT_OPTIONS.sourceIdColumn;
+    const sourceRecordIdColumn = options.sourceRecordIdColumn || DEFAULT_OPTIONS.sourceRecordIdColumn;
+    return {
+        [SOURCE_ID_COLUMN]: match.record.row[sourceIdColumn],
+        [SOURCE_RECORD_ID_COLUMN]: match.record.row[sourceRecordIdColumn],
+        [SOURCE_ROW_NUMBER_COLUMN]: match.record.rowNumber,
+        [SELECTION_REASON_COLUMN]: selectionReason(match.candidates || [match.record], strategy)
+    };
+}
+
+/**
+ * Builds the review sheet row for a low-confidence match: the contact, the
+ * proposed source record and the values it would write. readValue(row, column)
+ * reads a column's source value (see createContactMapper).
+ */
+function buildReviewRow(targetRow, match, mapping, profile, options = {}, readValue = (row, column) => row[column.source]) {
+    const emailColumn = options.targetEmailColumn || DEFAULT_OPTIONS.targetEmailColumn;
+    const sourceIdColumn = options.sourceIdColumn || DEFAULT_OPTIONS.sourceIdColumn;
+    const reviewRow = {
+        ...profile.identityColumns(targetRow, mapping),
+        'Target Email': targetRow[emailColumn],
+        'Source Email': match.email,
+        [SOURCE_ID_COLUMN]: match.record.row[sourceIdColumn],
+        [MATCH_METHOD_COLUMN]: match.method,
+        [MATCH_CONFIDENCE_COLUMN]: match.confidence,
+        'Match Rules': match.rules.join(', ')
+    };
+    if (usesKeyMatching(options)) {
+        reviewRow[MATCH_KEY_COLUMN] = match.key;
+    }
+    
+    mapping.columns.forEach(column => {
+        reviewRow[profile.columnName(column)] = formatMappedValue(readValue(match.record.row, column), column, profile);
+    });
+    return reviewRow;
+}
+
+/**
+ * Builds key conflict report rows for a matched contact: one per key that
+ * pointed at a different source row than the key that matched
+ */
+function buildConflictRows(targetRow, rowNumber, match, options = {}) {
+    const emailColumn = options.targetEmailColumn || DEFAULT_OPTIONS.targetEmailColumn;
+    const sourceIdColumn = options.sourceIdColumn || DEFAULT_OPTIONS.sourceIdColumn;
+    
+    return match.conflicts.map(conflict => ({
+        'Row Number': rowNumber,
+        'Target Email': targetRow[emailColumn],
+        [MATCH_KEY_COLUMN]: match.key,
+        [MATCH_KEY_VALUE_COLUMN]: match.keyValue,
+        [SOURCE_ID_COLUMN]: match.record.row[sourceIdColumn],
+        'Source Email': match.record.email,
+        'Conflicting Key': conflict.key,
+        'Conflicting Key Value': conflict.keyValue,
+        'Conflicting Source Id': conflict.record.row[sourceIdColumn],
+        'Conflicting Source Email': conflict.record.email
+    }));
+}
+
+/**
+ * A list of per-contact entries the mapper reports (unmatched contacts,
+ * review rows, ...): kept in memory, handed to sink(entry) as each is found,
+ * or only counted when sink is false. Returns { push(...entries), items, count() }.
+ */
+function createEntryList(sink) {
+    const items = [];
+    let count = 0;
+    
+    function push(...entries) {
+        entries.forEach(entry => {
+            count++;
+            if (typeof sink === 'function') {
+                sink(entry);
+            } else if (sink !== false) {
+                items.push(entry);
+            }
+        });
+    }
+    
+    return { push, items, count: () => count };
+}
+
+/**
+ * Creates a mapper that maps target rows one at a time against a source
+ * index (buildLatestRecordIndex or createStreamingRecordIndex), so rows can
+ * be streamed from and to disk (see streams.js).
+ *
+ * mapRow(row, index) returns the audit row for the index-th target row, or
+ * null when it is left out; outputRow(row) is what goes in the output file.
+ * finish(rows, written) returns the mapContacts result; rows are the audit
+ * rows the caller kept (all of them, or a sample when they were streamed to
+ * disk) and written counts every output row.
+ * duplicates is the target's duplicate email index (see duplicates.js); without
+ * it every contact is mapped. sinks keeps the per-contact lists of the result
+ * (unmatched, review, keyConflicts, duplicates, unknownEnumValues,
+ * skippedFields, ruleDecisions) out of memory when streaming: a function is
+ * called with each entry as it is found and false only counts them; those
+ * lists are then empty and stats still counts them. Combined multi-value
+ * columns, aggregate columns and rule columns take their values from sourceIndex.combined,
+ * sourceIndex.aggregates and sourceIndex.decisions (see multi-values.js,
+ * aggregates.js and rules.js), or from sourceIndex.rows and
+ * sourceIndex.groups when they are not set.
+ */
+function createContactMapper(sourceIndex, mapping, options = {}, duplicates = null, sinks = {}) {
+    validateDateOptions(options);
+    const emailColumn = options.targetEmailColumn || DEFAULT_OPTIONS.targetEmailColumn;
+    const profile = getProfile(options.profile, options);
+    const outputEmailColumn = profile.emailColumn(mapping, options);
+    const combined = sourceIndex.combined || combineRows(sourceIndex.rows, mapping, options);
+    const aggregates = sourceIndex.aggregates || aggregateRows(sourceIndex.rows, mapping, options);
+    const decisions = sourceIndex.decisions || decideRules(sourceIndex.groups, mapping, options);
+    const unknownEnumValues = createEntryList(sinks.unknownEnumValues);
+    const ruleDecisions = createEntryList(sinks.ruleDecisions);
+    const skippedFields = createEntryList(sinks.skippedFields);
+    const sourceIdColumn = options.sourceIdColumn || DEFAULT_OPTIONS.sourceIdColumn;
+    const matcher = createKeyMatcher(sourceIndex, options);
+    const extendedMatching = usesExtendedMatching(options);
+    const keyMatching = usesKeyMatching(options);
+    const unmatched = createEntryList(sinks.unmatched);
+    const review = createEntryList(sinks.review);
+    const keyConflicts = createEntryList(sinks.keyConflicts);
+    const duplicateRows = createEntryList(sinks.duplicates);
+    const matchStatuses = {};
+    const matchMethods = {};
+    const matchKeys = {};
+    const skippedFieldCounts = {};
+    const ruleCounts = {};
+    let total = 0;
+    let matched = 0;
+    let changed = 0;
+    let combinedFields = 0;
+    
+    // Source value of a column for the selected row: the cell, the combined
+    // items, or the aggregate or rule decision over the email's subscriptions
+    function readValue(sourceRow, column) {
+        if (column.rules) {
+            return ruleDecision(decisions, sourceRow, column, options).value;
+        }
+        if (column.aggregate) {
+            return aggregateValue(aggregates, sourceRow, column, options);
+        }
+        return sourceValue(sourceRow, column, combined, options);
+    }
+    
+    function mapRow(row, index) {
+        total++;
+        const duplicate = duplicates ? duplicateDecision(duplicates, row, index, options) : null;
+        if (duplicate && !duplicate.output) {
+            duplicateRows.push(buildDuplicateRow(row, index, duplicate));
+            return null; // Another row of this email is output, or none is (conflicts policy)
+        }
+        
+        const email = normalizeEmail(row[emailColumn]);
+        const match = matcher.match(row);
+        const status = matchStatus(row[emailColumn], match, options);
+        const record = status === 'matched' ? match.record : null;
+        matchStatuses[status] = (matchStatuses[status] || 0) + 1;
+        
+        if (status === 'needs-review') {
+            review.push(buildReviewRow(row, match, mapping, profile, options, readValue));
+        }
+        
+        // Output row for the contact; the mapped columns are filled in below
+        const mappedRow = {
+            ...profile.identityColumns(row, mapping),
+            [outputEmailColumn]: row[emailColumn] // Keep original email from the target sheet
+        };
+        if (options.includeUnmatched) {
+            mappedRow[MATCH_STATUS_COLUMN] = status;
+            mappedRow[SOURCE_ID_COLUMN] = record ? record.row[sourceIdColumn] : '';
+        }
+        if (options.provenance) {
+            Object.assign(mappedRow, provenanceColumns(record ? match : null, sourceIndex.strategy, options));
+        }
+        if (keyMatching) {
+            mappedRow[MATCH_KEY_COLUMN] = record ? match.key : '';
+            mappedRow[MATCH_KEY_VALUE_COLUMN] = record ? match.keyValue : '';
+        }
+        if (extendedMatching) {
+            mappedRow[MATCH_METHOD_COLUMN] = record ? match.method : '';
+            mappedRow[MATCH_CONFIDENCE_COLUMN] = record ? match.confidence : '';
+        }
+        
+        if (!record) {
+            unmatched.push(unmatchedContact(row, index, status, options));
+            if (!options.includeUnmatched) {
+                return null; // No match found, skip this row (per requirements: exclude unmatched)
+            }
+            
+            // Keep the contact as it is so a re-import leaves it untouched
+            mapping.columns.forEach(column => {
+                mappedRow[profile.columnName(column)] = formatExistingValue(row, column, profile);
+            });
+            return options.diff ? buildDiffRow(row, mappedRow, mapping, profile, true) : mappedRow;
+        }
+        matched++;
+        matchMethods[match.method] = (matchMethods[match.method] || 0) + 1;
+        matchKeys[match.key] = (matchKeys[match.key] || 0) + 1;
+        keyConflicts.push(...buildConflictRows(row, index + 2, match, options));
+        
+        mapping.columns.forEach(column => {
+            const value = readValue(record.row, column);
+            if (column.rules) {
+                const rule = ruleDecision(decisions, record.row, column, options).rule;
+                ruleCounts[`${column.target}: ${rule}`] = (ruleCounts[`${column.target}: ${rule}`] || 0) + 1;
+                ruleDecisions.push({
+                    rowNumber: index + 2, // Spreadsheet row number (1-indexed + header)
+                    email: row[emailColumn],
+                    column: column.target,
+                    rule: rule,
+                    value: value
+                });
+            }
+            if (combinesSubscriptions(column) && splitMultiValue(value, column).length > splitMultiValue(record.row[column.source], column).length) {
+                combinedFields++; // Items added from the email's other subscriptions
+            }
+            
+            const unresolved = column.type === 'multi'
+                ? unresolvedItems(value, column)
+                : (column.type === 'enum' && !isBlank(value) && resolveEnumValue(value, column) === null ? [value] : []);
+            unresolved.forEach(item => {
+                unknownEnumValues.push({
+                    rowNumber: index + 2, // Spreadsheet row number (1-indexed + header)
+                    email: row[emailColumn],
+                    column: column.target,
+                    property: propertyName(column),
+                    value: item,
+                    sourceId: record.row[sourceIdColumn]
+                });
+            });
+            
+            const columnName = profile.columnName(column);
+            const incoming = formatMappedValue(value, column, profile);
+            const existing = formatExistingValue(row, column, profile);
+            const reason = skipReason(column, { incoming: incoming, existing: existing, sourceRow: record.row, targetRow: row }, options);
+            
+            if (reason) {
+                const key = `${columnName} (${column.policy}: ${reason})`;
+                skippedFieldCounts[key] = (skippedFieldCounts[key] || 0) + 1;
+                skippedFields.push({ email: email, column: columnName, policy: column.policy, reason: reason });
+                mappedRow[columnName] = existing;
+                return;
+            }
+            mappedRow[columnName] = incoming;
+        });
+        
+        if (options.diff) {
+            const diffRow = buildDiffRow(row, mappedRow, mapping, profile);
+            if (diffRow) {
+                changed++;
+            }
+            return diffRow;
+        }
+        
+        return mappedRow;
+    }
+    
+    // The row as written to the output file: without the match and
+    // provenance columns when the profile leaves them out
+    function outputRow(auditRow) {
+        if (profile.auditColumns) {
+            return auditRow;
+        }
+        const row = { ...auditRow };
+        AUDIT_COLUMNS.forEach(column => delete row[column]);
+        return row;
+    }
+    
+    function finish(rows = [], written = rows.length) {
+        const matchRate = total > 0 ? ((matched / total) * 100).toFixed(2) : '0.00';
+        
+        return {
+            rows: rows.map(outputRow),
+            auditRows: rows,
+            unmatched: unmatched.items,
+            unknownEnumValues: unknownEnumValues.items,
+            ruleDecisions: ruleDecisions.items,
+            skippedFields: skippedFields.items,
+            review: review.items,
+            keyConflicts: keyConflicts.items,
+            duplicates: duplicateRows.items,
+            sourceIndex: sourceIndex,
+            strategy: sourceIndex.strategy,
+            stats: {
+                total: total,
+                matched: matched,
+                changed: options.diff ? changed : undefined,
+                unchanged: options.diff ? matched - changed : undefined,
+                unmatched: unmatched.count(),
+                matchRate: matchRate,
+                written: written,
+                unknownEnumValues: unknownEnumValues.count(),
+                combinedFields: combinedFields,
+                ruleDecisions: ruleDecisions.count(),
+                ruleCounts: ruleCounts,
+                skippedFields: skippedFields.count(),
+                skippedFieldCounts: skippedFieldCounts,
+                matchStatuses: matchStatuses,
+                matchMethods: matchMethods,
+                matchKeys: matchKeys,
+                review: review.count(),
+                keyConflicts: keyConflicts.count(),
+                duplicateEmails: duplicates ? duplicates.stats.emails : 0,
+                duplicateRows: duplicates ? duplicates.stats.rows : 0,
+                duplicatesLeftOut: duplicateRows.count()
+            }
+        };
+    }
+    
+    return { mapRow, outputRow, finish };
+}
+
+/**
+ * Maps source fields onto matching target rows.
+ *
+ * Returns:
+ *   rows              - output rows (identity columns, email, provenance and mapped columns), matched contacts only
+ *                       unless includeUnmatched; in diff mode only changed contacts, laid out by buildDiffRow
+ *   auditRows         - the same rows with the match and provenance columns the profile may leave out of rows
+ *   unmatched         - target rows left out, see findUnmatchedContacts
+ *   unknownEnumValues - source values (multi column items) with no option after the column's valueMap,
+ *                       one { rowNumber, email, column, property, value, sourceId } per contact, column and item
+ *   ruleDecisions     - the rule that set each rule column of a matched contact (see rules.js),
+ *                       one { rowNumber, email, column, rule, value } per contact and column
+ *   skippedFields     - fields an overwrite policy kept at the contact's current value
+ *   review            - low-confidence matches held back for review, one row per contact with
+ *                       the proposed source email, method, confidence and mapped values
+ *   keyConflicts      - matched contacts whose match keys point at different source rows,
+ *                       one row per disagreeing key (see buildConflictRows)
+ *   duplicates        - contacts left out by the duplicate policy, as they are plus their
+ *                       row number and resolution (see buildDuplicateRow)
+ *   sourceIndex       - the buildLatestRecordIndex result used for matching
+ *   strategy          - the record selection strategy that picked each source row
+ *   stats             - counts and match rate (matched counts every matched contact,
+ *                       changed/unchanged are set in diff mode, matchStatuses counts rows per status,
+ *                       written counts output rows, duplicateEmails/duplicateRows count
+ *                       emails on several contacts and those contacts, combinedFields counts
+ *                       multi-value fields that gained items from another subscription,
+ *                       skippedFieldCounts and ruleCounts count skipped fields per
+ *                       "column (policy: reason)" and rule decisions per "column: rule")
+ */
+function mapContacts(sourceRows, targetRows, mapping, options = {}) {
+    validateDateOptions(options);
+    const sourceIndex = buildLatestRecordIndex(sourceRows, options);
+    const mapper = createContactMapper(sourceIndex, mapping, options, findDuplicateContacts(targetRows, options));
+    const rows = [];
+    
+    targetRows.forEach((row, index) => {
+        const outputRow = mapper.mapRow(row, index);
+        if (outputRow) {
+            rows.push(outputRow);
+        }
+    });
+    
+    return mapper.finish(rows);
+}
+
+module.exports = {
+    CHANGED_FIELDS_COLUMN,
+    MATCH_STATUS_COLUMN,
+    SOURCE_ID_COLUMN,
+    SOURCE_RECORD_ID_COLUMN,
+    SOURCE_ROW_NUMBER_COLUMN,
+    SELECTION_REASON_COLUMN,
+    PROVENANCE_COLUMNS,
+    MATCH_STATUSES,
+    MATCH_METHOD_COLUMN,
+    MATCH_CONFIDENCE_COLUMN,
+    MATCH_KEY_COLUMN,
+    MATCH_KEY_VALUE_COLUMN,
+    AUDIT_COLUMNS,
+    matchStatus,
+    oldColumnName,
+    newColumnName,
+    existingTargetValue,
+    formatExistingValue,
+    sameMappedValue,
+    changedFieldNames,
+    buildDiffRow,
+    provenanceColumns,
+    buildReviewRow,
+    buildConflictRows,
+    formatMappedValue,
+    findUnmatchedContacts,
+    createContactMapper,
+    mapContacts
+};
@@ -0,0 +1,472 @@
+const fs = require('fs');
+const path = require('path');
+const { propertyName } = require('./hubspot');
+const { parseDate } = require('./dates');
+
+/**
+ * Column Mapping Configuration
+ *
+ * Loads the JSON/YAML file describing which source columns are copied onto
+ * which target columns. Each entry looks like:
+ *
+ *   { "source": "Status", "target": "Subscription Status", "type": "enum",
+ *     "values": ["active", "canceled"], "default": "" }
+ *
+ * type is one of date, string, number, enum or multi. values (enum and multi
+ * only) lists the allowed options and default is written when the source
+ * value is blank. multi columns hold several items split on "delimiter" and
+ * may "combine" them across subscriptions (see multi-values.js).
+ * property and dateType ("date" or "datetime") are used by the hubspot
+ * output profile (see hubspot.js).
+ *
+ * valueMap (enum and multi only) translates source values into options, e.g.
+ * { "past_due": "Past Due" }; without values its options are the allowed
+ * ones. "propertyDefinitions" at the top level of the file (or
+ * options.propertyDefinitions) names a HubSpot property definition JSON whose
+ * enumeration options become the values of every enum or multi column that
+ * lists none.
+ *
+ * aggregate computes the column over all of the email's subscriptions instead
+ * of the selected one (see aggregates.js): min, max, count, first-by (with
+ * "by", "byType" and "order") or concat-distinct, over the rows matching
+ * "where" ({ column: [values] }). count needs no source and is a number;
+ * concat-distinct is a multi column.
+ *
+ * rules derive the column from the email's subscriptions by ordered
+ * conditions instead of copying a source column (see rules.js); such columns
+ * have no source and are string, number or enum. "rules" at the top level of
+ * the file (or options.rules) names a rules file whose "columns" are added to
+ * the mapping's.
+ *
+ * policy decides whether the source value may replace the contact's current
+ * value (see policies.js). source-newer-wins also needs targetUpdatedColumn,
+ * the contact's "last updated" column, and may set sourceUpdatedColumn (the
+ * create date column by default). "policy" and "targetUpdatedColumn" at the
+ * top level of the file apply to every column that does not set its own.
+ */
+
+const COLUMN_TYPES = ['date', 'string', 'number', 'enum', 'multi'];
+// Types whose values may be limited to a list of options
+const OPTION_TYPES = ['enum', 'multi'];
+const DATE_TYPES = ['date', 'datetime'];
+const OVERWRITE_POLICIES = ['overwrite', 'fill-blanks-only', 'never-blank', 'source-newer-wins'];
+const AGGREGATE_FUNCTIONS = ['min', 'max', 'count', 'first-by', 'concat-distinct'];
+const SORT_ORDERS = ['asc', 'desc'];
+const KEY_TYPES = ['date', 'number', 'string'];
+const RULE_CONDITIONS = ['every', 'any', 'none', 'latest', 'earliest'];
+const RULE_TYPES = ['string', 'number', 'enum'];
+
+/**
+ * Reads a mapping file, choosing the parser from its extension
+ */
+function readMappingFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.yaml' || extension === '.yml') {
+        let yaml;
+        try {
+            yaml = require('js-yaml');
+        } catch (error) {
+            throw new Error(`YAML mapping files need the js-yaml package (npm install js-yaml): ${filePath}`);
+        }
+        return yaml.load(content);
+    }
+
+    return JSON.parse(content);
+}
+
+// Types of aggregate columns that set none
+const AGGREGATE_TYPES = {
+    'count': 'number',
+    'concat-distinct': 'multi'
+};
+
+/**
+ * Checks the aggregate settings of a column entry
+ */
+function validateAggregate(column, type, where) {
+    const settings = ['by', 'byType', 'order', 'where'].filter(key => column[key] !== undefined);
+    if (!column.aggregate) {
+        if (settings.length > 0) {
+            throw new Error(`Invalid mapping in ${where}: "${settings[0]}" needs an "aggregate"`);
+        }
+        return;
+    }
+
+    if (column.aggregate === 'first-by' && (!column.by || typeof column.by !== 'string')) {
+        throw new Error(`Invalid mapping in ${where}: aggregate "first-by" needs a "by" column`);
+    }
+    if (column.aggregate !== 'first-by' && (column.by !== undefined || column.byType !== undefined || column.order !== undefined)) {
+        throw new Error(`Invalid mapping in ${where}: "by", "byType" and "order" only apply to aggregate "first-by"`);
+    }
+    if (column.byType !== undefined && !KEY_TYPES.includes(column.byType)) {
+        throw new Error(`Invalid mapping in ${where}: "byType" must be ${KEY_TYPES.join(', ')}`);
+    }
+    if (column.order !== undefined && !SORT_ORDERS.includes(column.order)) {
+        throw new Error(`Invalid mapping in ${where}: "order" must be ${SORT_ORDERS.join(' or ')}`);
+    }
+    if (column.where !== undefined && (!column.where || typeof column.where !== 'object' || Array.isArray(column.where)
+        || !Object.values(column.where).every(Array.isArray))) {
+        throw new Error(`Invalid mapping in ${where}: "where" must map columns to lists of values`);
+    }
+    if (column.aggregate === 'concat-distinct' && type !== 'multi') {
+        throw new Error(`Invalid mapping in ${where}: aggregate "concat-distinct" writes a multi column`);
+    }
+    if (column.aggregate === 'count' && type !== 'number') {
+        throw new Error(`Invalid mapping in ${where}: aggregate "count" writes a number column`);
+    }
+    if (column.combine) {
+        throw new Error(`Invalid mapping in ${where}: "combine" does not apply to aggregate columns`);
+    }
+}
+
+/**
+ * Checks one condition of a rule: a value condition (every, any, none) with
+ * an "in" list, or a date condition (latest, earliest) with "before" or
+ * "after" a date or "now"
+ */
+function validateCondition(condition, where) {
+    const kinds = condition && typeof condition === 'object' ? RULE_CONDITIONS.filter(kind => condition[kind] !== undefined) : [];
+    if (kinds.length !== 1) {
+        throw new Error(`Invalid mapping in ${where}: a condition needs exactly one of ${RULE_CONDITIONS.join(', ')}`);
+    }
+    const kind = kinds[0];
+    if (typeof condition[kind] !== 'string' || !condition[kind]) {
+        throw new Error(`Invalid mapping in ${where}: "${kind}" must name a source column`);
+    }
+
+    if (kind === 'latest' || kind === 'earliest') {
+        const bounds = ['before', 'after'].filter(key => condition[key] !== undefined);
+        if (bounds.length !== 1 || condition.in !== undefined) {
+            throw new Error(`Invalid mapping in ${where}: "${kind}" needs either "before" or "after"`);
+        }
+        const date = condition[bounds[0]];
+        if (date !== 'now' && (typeof date !== 'string' || !parseDate(date))) {
+            throw new Error(`Invalid mapping in ${where}: "${bounds[0]}" must be a date or "now"`);
+        }
+        return;
+    }
+    if (!Array.isArray(condition.in) || condition.before !== undefined || condition.after !== undefined) {
+        throw new Error(`Invalid mapping in ${where}: "${kind}" needs an "in" list of values`);
+    }
+}
+
+/**
+ * Checks the rules of a derived column; returns them with a name and a
+ * (possibly empty) list of conditions each
+ */
+function normalizeRules(column, type, where) {
+    if (!Array.isArray(column.rules) || column.rules.length === 0) {
+        throw new Error(`Invalid mapping in ${where}: "rules" must be a non-empty list`);
+    }
+    if (column.source !== undefined) {
+        throw new Error(`Invalid mapping in ${where}: rule columns have no "source"`);
+    }
+    if (!RULE_TYPES.includes(type)) {
+        throw new Error(`Invalid mapping in ${where}: rule columns are ${RULE_TYPES.join(', ')}`);
+    }
+    if (column.aggregate !== undefined) {
+        throw new Error(`Invalid mapping in ${where}: rule columns cannot aggregate`);
+    }
+
+    const names = new Set();
+    return column.rules.map((rule, index) => {
+        const ruleWhere = `${where} rule ${index + 1}`;
+        if (!rule || typeof rule !== 'object') {
+            throw new Error(`Invalid mapping in ${ruleWhere}: expected an object`);
+        }
+        if (typeof rule.value !== 'string' && typeof rule.value !== 'number') {
+            throw new Error(`Invalid mapping in ${ruleWhere}: "value" is required`);
+        }
+        if (rule.name !== undefined && (typeof rule.name !== 'string' || !rule.name)) {
+            throw new Error(`Invalid mapping in ${ruleWhere}: "name" must be a non-empty string`);
+        }
+        if (rule.when !== undefined && !Array.isArray(rule.when)) {
+            throw new Error(`Invalid mapping in ${ruleWhere}: "when" must be a list of conditions`);
+        }
+        (rule.when || []).forEach(condition => validateCondition(condition, ruleWhere));
+
+        const name = rule.name || `rule ${index + 1}`;
+        if (names.has(name)) {
+            throw new Error(`Invalid mapping in ${ruleWhere}: another rule is named "${name}"`);
+        }
+        names.add(name);
+        return { ...rule, name: name, when: rule.when || [] };
+    });
+}
+
+/**
+ * Validates a single column entry and fills in defaults
+ */
+function normalizeColumn(column, index, filePath, defaults = {}) {
+    const where = `${filePath} column ${index + 1}`;
+
+    if (!column || typeof column !== 'object') {
+        throw new Error(`Invalid mapping in ${where}: expected an object`);
+    }
+    if (column.aggregate !== undefined && !AGGREGATE_FUNCTIONS.includes(column.aggregate)) {
+        throw new Error(`Invalid mapping in ${where}: unknown aggregate "${column.aggregate}" (expected ${AGGREGATE_FUNCTIONS.join(', ')})`);
+    }
+    // Count and rule columns need no source column
+    const sourceOptional = column.aggregate === 'count' || column.rules !== undefined;
+    if (sourceOptional ? column.source !== undefined && typeof column.source !== 'string' : !column.source || typeof column.source !== 'string') {
+        throw new Error(`Invalid mapping in ${where}: "source" is required`);
+    }
+    if (!column.source && (!column.target || typeof column.target !== 'string')) {
+        throw new Error(`Invalid mapping in ${where}: "target" is required on columns without a source`);
+    }
+
+    const type = column.type || AGGREGATE_TYPES[column.aggregate] || 'string';
+    if (!COLUMN_TYPES.includes(type)) {
+        throw new Error(`Invalid mapping in ${where}: unknown type "${type}" (expected ${COLUMN_TYPES.join(', ')})`);
+    }
+    const rules = column.rules !== undefined ? normalizeRules(column, type, where) : null;
+    validateAggregate(column, type, where);
+    if (column.values !== undefined && (!OPTION_TYPES.includes(type) || !Array.isArray(column.values))) {
+        throw new Error(`Invalid mapping in ${where}: "values" must be an array on enum and multi columns`);
+    }
+    if (column.valueMap !== undefined && (!OPTION_TYPES.includes(type) || !isValueMap(column.valueMap))) {
+        throw new Error(`Invalid mapping in ${where}: "valueMap" must map source values to options on enum and multi columns`);
+    }
+    if (column.delimiter !== undefined && (type !== 'multi' || typeof column.delimiter !== 'string' || !column.delimiter)) {
+        throw new Error(`Invalid mapping in ${where}: "delimiter" must be a non-empty string on multi columns`);
+    }
+    if (column.combine !== undefined && (type !== 'multi' || typeof column.combine !== 'boolean')) {
+        throw new Error(`Invalid mapping in ${where}: "combine" must be true or false on multi columns`);
+    }
+    if (column.combineStatuses !== undefined && (!column.combine || !Array.isArray(column.combineStatuses))) {
+        throw new Error(`Invalid mapping in ${where}: "combineStatuses" must be an array on columns that combine`);
+    }
+    if (column.dateType !== undefined && (type !== 'date' || !DATE_TYPES.includes(column.dateType))) {
+        throw new Error(`Invalid mapping in ${where}: "dateType" must be ${DATE_TYPES.join(' or ')} on date columns`);
+    }
+    if (column.property !== undefined && (typeof column.property !== 'string' || !column.property)) {
+        throw new Error(`Invalid mapping in ${where}: "property" must be a non-empty string`);
+    }
+
+    const policy = column.policy || defaults.policy || OVERWRITE_POLICIES[0];
+    const targetUpdatedColumn = column.targetUpdatedColumn || defaults.targetUpdatedColumn;
+    if (!OVERWRITE_POLICIES.includes(policy)) {
+        throw new Error(`Invalid mapping in ${where}: unknown policy "${policy}" (expected ${OVERWRITE_POLICIES.join(', ')})`);
+    }
+    if (policy === 'source-newer-wins' && !targetUpdatedColumn) {
+        throw new Error(`Invalid mapping in ${where}: policy "source-newer-wins" needs a "targetUpdatedColumn"`);
+    }
+
+    return {
+        ...column,
+        source: column.source,
+        target: column.target || column.source,
+        type: type,
+        ...(column.aggregate === 'first-by' ? { byType: column.byType || 'date', order: column.order || 'desc' } : {}),
+        ...(rules ? { rules: rules } : {}),
+        policy: policy,
+        ...(targetUpdatedColumn ? { targetUpdatedColumn: targetUpdatedColumn } : {})
+    };
+}
+
+/**
+ * True for an object of source value -> option (text or number)
+ */
+function isValueMap(valueMap) {
+    return Boolean(valueMap) && typeof valueMap === 'object' && !Array.isArray(valueMap)
+        && Object.values(valueMap).every(option => typeof option === 'string' || typeof option === 'number');
+}
+
+/**
+ * Reads a HubSpot property definition file: one property, an array of them or
+ * the { results: [...] } body of the properties API.
+ * Returns a Map of property name -> definition.
+ */
+function loadPropertyDefinitions(filePath) {
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const definitions = Array.isArray(content)
+        ? content
+        : (Array.isArray(content && content.results) ? content.results : [content]);
+
+    const properties = new Map();
+    definitions.forEach((definition, index) => {
+        if (!definition || typeof definition.name !== 'string') {
+            throw new Error(`Invalid property definition ${index + 1} in ${filePath}: "name" is required`);
+        }
+        properties.set(definition.name, definition);
+    });
+    return properties;
+}
+
+/**
+ * Fills in the values of an enum or multi column from its property definition, or
+ * checks the values the mapping lists against it
+ */
+function applyPropertyDefinition(column, where, properties, filePath) {
+    const property = propertyName(column);
+    const definition = properties.get(property);
+    if (!definition) {
+        throw new Error(`Invalid mapping in ${where}: property "${property}" is not defined in ${filePath}`);
+    }
+    if (!Array.isArray(definition.options)) {
+        throw new Error(`Invalid mapping in ${where}: property "${property}" in ${filePath} has no enumeration options`);
+    }
+
+    const options = definition.options.map(option => option.value);
+    if (!column.values) {
+        return { ...column, values: options };
+    }
+    const undefinedValue = column.values.find(value => !options.includes(value));
+    if (undefinedValue !== undefined) {
+        throw new Error(`Invalid mapping in ${where}: "${undefinedValue}" is not an option of property "${property}" in ${filePath}`);
+    }
+    return column;
+}
+
+/**
+ * Checks that every valueMap entry of a column maps onto one of its values
+ */
+function validateValueMap(column, where) {
+    if (!column.valueMap || !column.values) return;
+
+    Object.entries(column.valueMap).forEach(([value, option]) => {
+        if (findOption(column.values, String(option)) === undefined) {
+            throw new Error(`Invalid mapping in ${where}: valueMap maps "${value}" onto "${option}", which is not one of its values`);
+        }
+    });
+}
+
+/**
+ * Checks that the values and default of a rule column are among its options
+ */
+function validateRuleValues(column, where) {
+    const options = column.rules ? enumOptions(column) : null;
+    if (!options) return;
+
+    const unknown = column.rules.find(rule => resolveEnumValue(rule.value, column) === null);
+    if (unknown) {
+        throw new Error(`Invalid mapping in ${where}: rule "${unknown.name}" sets "${unknown.value}", which is not one of its values`);
+    }
+    if (!isBlank(column.default) && resolveEnumValue(column.default, column) === null) {
+        throw new Error(`Invalid mapping in ${where}: default "${column.default}" is not one of its values`);
+    }
+}
+
+/**
+ * Reads a rules file: { "columns": [...] } of rule columns, with the same
+ * top-level "policy" and "targetUpdatedColumn" defaults as a mapping file
+ */
+function readRulesFile(filePath) {
+    const config = readMappingFile(filePath);
+
+    if (!config || !Array.isArray(config.columns) || config.columns.length === 0) {
+        throw new Error(`Rules file must define a non-empty "columns" list: ${filePath}`);
+    }
+    config.columns.forEach((column, index) => {
+        if (!column || column.rules === undefined) {
+            throw new Error(`Invalid rules in ${filePath} column ${index + 1}: "rules" is required`);
+        }
+    });
+    return config;
+}
+
+/**
+ * Loads and validates a mapping file
+ * Returns { columns: [{ source, target, type, policy, values?, valueMap?, default?, rules? }] }
+ * options.propertyDefinitions and options.rules override the file's
+ * "propertyDefinitions" and "rules"; the columns of the rules file come last.
+ */
+function loadMapping(filePath, options = {}) {
+    const config = readMappingFile(filePath);
+
+    if (!config || !Array.isArray(config.columns) || config.columns.length === 0) {
+        throw new Error(`Mapping file must define a non-empty "columns" list: ${filePath}`);
+    }
+
+    // Relative to the mapping file when set there, to the working directory on the command line
+    const definitionsFile = options.propertyDefinitions
+        || (config.propertyDefinitions ? path.resolve(path.dirname(filePath), config.propertyDefinitions) : null);
+    const properties = definitionsFile ? loadPropertyDefinitions(definitionsFile) : null;
+    const rulesFile = options.rules
+        || (config.rules ? path.resolve(path.dirname(filePath), config.rules) : null);
+    const rulesConfig = rulesFile ? readRulesFile(rulesFile) : null;
+
+    const entries = config.columns.map((column, index) => ({ column, index, file: filePath, defaults: config }))
+        .concat(rulesConfig ? rulesConfig.columns.map((column, index) => ({ column, index, file: rulesFile, defaults: rulesConfig })) : []);
+    const columns = entries.map(({ column, index, file, defaults }) => {
+        const where = `${file} column ${index + 1}`;
+        let normalized = normalizeColumn(column, index, file, defaults);
+        if (properties && OPTION_TYPES.includes(normalized.type)) {
+            normalized = applyPropertyDefinition(normalized, where, properties, definitionsFile);
+        }
+        validateValueMap(normalized, where);
+        validateRuleValues(normalized, where);
+        return normalized;
+    });
+
+    const targets = new Set();
+    columns.forEach(column => {
+        if (targets.has(column.target)) {
+            throw new Error(`Mapping file maps more than one column onto "${column.target}": ${filePath}`);
+        }
+        targets.add(column.target);
+    });
+
+    return {
+        ...config,
+        ...(definitionsFile ? { propertyDefinitions: definitionsFile } : {}),
+        ...(rulesFile ? { rules: rulesFile } : {}),
+        columns: columns
+    };
+}
+
+/**
+ * Returns true for values that count as empty in a spreadsheet cell
+ */
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Finds an option by its text, ignoring case
+ */
+function findOption(options, text) {
+    return options.find(option => String(option).trim().toLowerCase() === text.toLowerCase());
+}
+
+/**
+ * The options an enum or multi column allows: its values, or the options its valueMap
+ * maps onto. Returns null when the column allows any value.
+ */
+function enumOptions(column) {
+    if (column.values) return column.values;
+    if (column.valueMap) return Array.from(new Set(Object.values(column.valueMap)));
+    return null;
+}
+
+/**
+ * Resolves an enum value to its configured spelling (case-insensitive),
+ * translating it through the column's valueMap first.
+ * Returns null when the column has options and none match.
+ */
+function resolveEnumValue(value, column) {
+    const trimmed = String(value).trim();
+    const mapped = column.valueMap ? findOption(Object.keys(column.valueMap), trimmed) : undefined;
+    const candidate = mapped !== undefined ? String(column.valueMap[mapped]).trim() : trimmed;
+
+    const options = enumOptions(column);
+    if (!options) return candidate;
+
+    const match = findOption(options, candidate);
+    return match !== undefined ? match : null;
+}
+
+module.exports = {
+    COLUMN_TYPES,
+    OPTION_TYPES,
+    OVERWRITE_POLICIES,
+    AGGREGATE_FUNCTIONS,
+    RULE_CONDITIONS,
+    loadMapping,
+    loadPropertyDefinitions,
+    isBlank,
+    enumOptions,
+    resolveEnumValue
+};
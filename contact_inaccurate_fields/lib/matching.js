@@ -0,0 +1,284 @@
+const { domainToASCII } = require('url');
+const { normalizeEmail } = require('./records');
+
+/**
+ * Email Matching
+ *
+ * Finds the source record for a target email in up to three tiers:
+ *
+ *   exact  - same address after lowercasing and trimming (always on)
+ *   alias  - same address after the normalization rules in options.matchRules
+ *   fuzzy  - closest source address within options.fuzzyDistance edits
+ *            (0 turns the tier off)
+ *
+ * Normalization rules:
+ *
+ *   invisible  remove zero-width characters, soft hyphens and whitespace
+ *   unicode    NFKC-normalize and convert internationalized domains to punycode
+ *   plus-tags  drop a +tag from the local part on any domain
+ *   gmail      Gmail addresses: drop dots and the +tag, googlemail.com -> gmail.com
+ *
+ * Every match carries a method and a confidence between 0 and 1. Matches
+ * below options.reviewThreshold are not written automatically; the mapper
+ * sends them to a review file instead.
+ */
+
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+const MATCH_RULES = {
+    invisible: {
+        confidence: 0.99,
+        apply: (email) => email.replace(/[\u00AD\u180E\u200B-\u200F\u2060-\u2064\uFEFF\s]/g, '')
+    },
+    unicode: {
+        confidence: 0.99,
+        apply: (email) => {
+            const [local, domain] = splitEmail(email.normalize('NFKC'));
+            if (domain === null) return email.normalize('NFKC');
+            return `${local}@${domainToASCII(domain) || domain}`;
+        }
+    },
+    'plus-tags': {
+        confidence: 0.9,
+        apply: (email) => {
+            const [local, domain] = splitEmail(email);
+            if (domain === null) return email;
+            return `${stripPlusTag(local)}@${domain}`;
+        }
+    },
+    gmail: {
+        confidence: 0.95,
+        apply: (email) => {
+            const [local, domain] = splitEmail(email);
+            if (!GMAIL_DOMAINS.includes(domain)) return email;
+            return `${stripPlusTag(local).replace(/\./g, '')}@gmail.com`;
+        }
+    }
+};
+
+// Rules run in this order whatever order they are listed in
+const RULE_ORDER = ['invisible', 'unicode', 'plus-tags', 'gmail'];
+
+const DEFAULT_REVIEW_THRESHOLD = 0.9;
+const FUZZY_MAX_CONFIDENCE = 0.85;
+const AMBIGUOUS_PENALTY = 0.5; // Several source addresses fit equally well
+
+/**
+ * Splits an email into [local, domain]; domain is null without an @
+ */
+function splitEmail(email) {
+    const at = email.lastIndexOf('@');
+    if (at === -1) return [email, null];
+    return [email.slice(0, at), email.slice(at + 1)];
+}
+
+/**
+ * Drops everything from the first + in a local part (keeps "+foo" as-is)
+ */
+function stripPlusTag(local) {
+    const plus = local.indexOf('+');
+    return plus > 0 ? local.slice(0, plus) : local;
+}
+
+/**
+ * Parses options.matchRules (array or comma-separated string) into rule names
+ */
+function parseMatchRules(spec) {
+    if (!spec) return [];
+    const names = (Array.isArray(spec) ? spec : String(spec).split(','))
+        .map(name => String(name).trim())
+        .filter(Boolean);
+    
+    names.forEach(name => {
+        if (!MATCH_RULES[name]) {
+            throw new Error(`Unknown match rule "${name}" (expected ${RULE_ORDER.join(', ')})`);
+        }
+    });
+    return RULE_ORDER.filter(name => names.includes(name));
+}
+
+/**
+ * Applies normalization rules to an already lowercased email.
+ * Returns { email, rules } where rules lists the rules that changed it.
+ */
+function canonicalEmail(email, rules) {
+    const applied = [];
+    let current = email;
+    
+    rules.forEach(name => {
+        const next = MATCH_RULES[name].apply(current);
+        if (next !== current) {
+            applied.push(name);
+            current = next;
+        }
+    });
+    
+    return { email: current, rules: applied };
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps),
+ * giving up early once it exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMinimum = i;
+        
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousPrevious[j - 2] + 1);
+            }
+            current.push(value);
+            rowMinimum = Math.min(rowMinimum, value);
+        }
+        
+        if (rowMinimum > maxDistance) return maxDistance + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+    
+    return previous[b.length];
+}
+
+/**
+ * Returns true when a match is confident enough to be written automatically
+ */
+function acceptsMatch(match, options = {}) {
+    const threshold = options.reviewThreshold !== undefined ? Number(options.reviewThreshold) : DEFAULT_REVIEW_THRESHOLD;
+    return Boolean(match) && match.confidence >= threshold;
+}
+
+/**
+ * Returns true when options turn on anything beyond exact matching
+ */
+function usesExtendedMatching(options = {}) {
+    return parseMatchRules(options.matchRules).length > 0 || Number(options.fuzzyDistance) > 0;
+}
+
+/**
+ * Builds a matcher over a source index (see buildLatestRecordIndex).
+ *
+ * matcher.match(rawEmail) returns null or
+ *   { email, record, method, confidence, rules, distance }
+ * where email is the source address that matched.
+ */
+function createEmailMatcher(sourceIndex, options = {}) {
+    const rules = parseMatchRules(options.matchRules);
+    const fuzzyDistance = Math.max(0, Math.floor(Number(options.fuzzyDistance) || 0));
+    const records = sourceIndex.records;
+    const compare = sourceIndex.strategy ? sourceIndex.strategy.compare : () => 0;
+    
+    // canonical address -> source addresses that normalize to it
+    const aliases = new Map();
+    if (rules.length > 0 || fuzzyDistance > 0) {
+        records.forEach((record, email) => {
+            const canonical = canonicalEmail(email, rules);
+            if (!aliases.has(canonical.email)) {
+                aliases.set(canonical.email, []);
+            }
+            aliases.get(canonical.email).push({ email: email, rules: canonical.rules });
+        });
+    }
+    const canonicalKeys = Array.from(aliases.keys());
+    
+    /**
+     * Picks the winning source address among equally good candidates
+     */
+    function bestOf(candidates) {
+        return candidates
+            .slice()
+            .sort((a, b) => compare(records.get(a.email), records.get(b.email)))[0];
+    }
+    
+    function aliasMatch(canonical) {
+        const candidates = aliases.get(canonical.email);
+        if (!candidates) return null;
+        
+        const best = bestOf(candidates);
+        const appliedRules = Array.from(new Set([...canonical.rules, ...best.rules]));
+        let confidence = appliedRules.length > 0 ? Math.min(...appliedRules.map(name => MATCH_RULES[name].confidence)) : 1;
+        if (candidates.length > 1) {
+            confidence *= AMBIGUOUS_PENALTY;
+        }
+        
+        return {
+            email: best.email,
+            record: records.get(best.email),
+            method: 'alias',
+            confidence: Number(confidence.toFixed(2)),
+            rules: appliedRules,
+            distance: 0
+        };
+    }
+    
+    function fuzzyMatch(canonical) {
+        let bestDistance = fuzzyDistance + 1;
+        let candidates = [];
+        
+        canonicalKeys.forEach(key => {
+            const distance = editDistance(canonical.email, key, Math.min(fuzzyDistance, bestDistance));
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                candidates = [...aliases.get(key)];
+            } else if (distance === bestDistance) {
+                candidates.push(...aliases.get(key));
+            }
+        });
+        if (bestDistance > fuzzyDistance || candidates.length === 0) return null;
+        
+        const best = bestOf(candidates);
+        const longest = Math.max(canonical.email.length, best.email.length);
+        let confidence = FUZZY_MAX_CONFIDENCE * (1 - bestDistance / longest);
+        if (candidates.length > 1) {
+            confidence *= AMBIGUOUS_PENALTY;
+        }
+        
+        return {
+            email: best.email,
+            record: records.get(best.email),
+            method: 'fuzzy',
+            confidence: Number(confidence.toFixed(2)),
+            rules: Array.from(new Set([...canonical.rules, ...best.rules])),
+            distance: bestDistance
+        };
+    }
+    
+    function match(rawEmail) {
+        const email = normalizeEmail(rawEmail);
+        if (!email) return null;
+        
+        if (records.has(email)) {
+            return { email: email, record: records.get(email), method: 'exact', confidence: 1, rules: [], distance: 0 };
+        }
+        if (aliases.size === 0) return null;
+        
+        const canonical = canonicalEmail(email, rules);
+        return (rules.length > 0 ? aliasMatch(canonical) : null)
+            || (fuzzyDistance > 0 ? fuzzyMatch(canonical) : null);
+    }
+    
+    return {
+        rules: rules,
+        fuzzyDistance: fuzzyDistance,
+        match: match
+    };
+}
+
+module.exports = {
+    MATCH_RULES,
+    DEFAULT_REVIEW_THRESHOLD,
+    parseMatchRules,
+    canonicalEmail,
+    editDistance,
+    acceptsMatch,
+    usesExtendedMatching,
+    createEmailMatcher
+};
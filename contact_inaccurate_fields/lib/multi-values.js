@@ -0,0 +1,171 @@
+const { DEFAULT_OPTIONS } = require('./config');
+const { isBlank, enumOptions, resolveEnumValue } = require('./mapping');
+const { normalizeEmail } = require('./records');
+
+/**
+ * Multi-Value Columns
+ *
+ * A "multi" column holds several items in one cell, such as the Products of
+ * a subscription ("Premium Auto,Associates"). The source cell is split on the
+ * column's "delimiter" (a comma by default) and the items are written the
+ * way HubSpot imports a multiple checkboxes property: separated by
+ * semicolons. Items are trimmed, kept once each (compared case-insensitively)
+ * and resolved to the column's options like enum values when it has any.
+ *
+ * With "combine": true the items of the email's other subscriptions whose
+ * Status is in "combineStatuses" (options.activeStatuses by default) are added
+ * after those of the selected row, so products on a subscription that was not
+ * selected are not lost.
+ */
+
+const DEFAULT_DELIMITER = ',';
+const MULTI_VALUE_SEPARATOR = ';';
+
+/**
+ * Drops repeated items (compared case-insensitively), keeping the first
+ */
+function uniqueItems(items) {
+    const seen = new Set();
+    return items.filter(item => {
+        const key = item.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Splits a source cell on the column's delimiter (a list of items is taken
+ * as it is) into trimmed, unique items
+ */
+function splitMultiValue(value, column) {
+    if (isBlank(value)) return [];
+    
+    const items = Array.isArray(value) ? value : String(value).split(column.delimiter || DEFAULT_DELIMITER);
+    return uniqueItems(items.map(item => String(item).trim()).filter(Boolean));
+}
+
+/**
+ * Splits a written (semicolon-separated) value, such as a contact's current one
+ */
+function splitWrittenValue(value) {
+    return splitMultiValue(value, { delimiter: MULTI_VALUE_SEPARATOR });
+}
+
+/**
+ * Writes a source value as semicolon-separated items, each resolved to the
+ * column's options (items without one are kept as they are)
+ */
+function formatMultiValue(value, column) {
+    const items = splitMultiValue(value, column).map(item => {
+        const resolved = resolveEnumValue(item, column);
+        return resolved !== null ? String(resolved) : item;
+    });
+    return uniqueItems(items).join(MULTI_VALUE_SEPARATOR);
+}
+
+/**
+ * Items of a source value that match none of the column's options
+ */
+function unresolvedItems(value, column) {
+    if (!enumOptions(column)) return [];
+    return splitMultiValue(value, column).filter(item => resolveEnumValue(item, column) === null);
+}
+
+/**
+ * True when two written values hold the same items, in any order
+ */
+function sameItems(a, b) {
+    const left = splitWrittenValue(a);
+    const right = splitWrittenValue(b);
+    return left.length === right.length && left.every(item => right.includes(item));
+}
+
+/**
+ * True for multi columns that combine the items of the email's subscriptions
+ */
+function combinesSubscriptions(column) {
+    return column.type === 'multi' && Boolean(column.combine);
+}
+
+/**
+ * Collects the items of every combined column one source row at a time, so
+ * a streamed export can be combined while it is indexed.
+ *
+ * Returns { add(row), finish() }; finish() returns a Map of email -> Map of
+ * column target -> items, from the rows whose Status the column counts.
+ */
+function createCombinedValueIndex(mapping, options = {}) {
+    const emailColumn = options.sourceEmailColumn || DEFAULT_OPTIONS.sourceEmailColumn;
+    const statusColumn = options.statusColumn || DEFAULT_OPTIONS.statusColumn;
+    const columns = mapping.columns.filter(combinesSubscriptions).map(column => ({
+        column: column,
+        statuses: new Set((column.combineStatuses || options.activeStatuses || DEFAULT_OPTIONS.activeStatuses)
+            .map(status => String(status).trim().toLowerCase()))
+    }));
+    const values = new Map();
+    
+    function add(row) {
+        const email = columns.length > 0 ? normalizeEmail(row[emailColumn]) : null;
+        if (!email) return;
+        
+        const status = isBlank(row[statusColumn]) ? '' : String(row[statusColumn]).trim().toLowerCase();
+        columns.forEach(({ column, statuses }) => {
+            const items = statuses.has(status) ? splitMultiValue(row[column.source], column) : [];
+            if (items.length === 0) return;
+            
+            if (!values.has(email)) {
+                values.set(email, new Map());
+            }
+            const byColumn = values.get(email);
+            byColumn.set(column.target, (byColumn.get(column.target) || []).concat(items));
+        });
+    }
+    
+    function finish() {
+        return values;
+    }
+    
+    return { add, finish };
+}
+
+/**
+ * Combines the items of in-memory source rows (see createCombinedValueIndex)
+ */
+function combineRows(rows, mapping, options = {}) {
+    const index = createCombinedValueIndex(mapping, options);
+    (rows || []).forEach(row => index.add(row));
+    return index.finish();
+}
+
+/**
+ * The source value of a mapped column for a selected source row: the cell
+ * itself, or for combined columns the row's items followed by those of the
+ * email's other counted subscriptions ('' when there are none)
+ */
+function sourceValue(sourceRow, column, combined, options = {}) {
+    if (!combinesSubscriptions(column)) {
+        return sourceRow[column.source];
+    }
+    
+    const emailColumn = options.sourceEmailColumn || DEFAULT_OPTIONS.sourceEmailColumn;
+    const email = normalizeEmail(sourceRow[emailColumn]);
+    const byColumn = email && combined ? combined.get(email) : null;
+    const others = (byColumn && byColumn.get(column.target)) || [];
+    const items = splitMultiValue(splitMultiValue(sourceRow[column.source], column).concat(others), column);
+    return items.length > 0 ? items : '';
+}
+
+module.exports = {
+    DEFAULT_DELIMITER,
+    MULTI_VALUE_SEPARATOR,
+    splitMultiValue,
+    splitWrittenValue,
+    formatMultiValue,
+    unresolvedItems,
+    sameItems,
+    combinesSubscriptions,
+    createCombinedValueIndex,
+    combineRows,
+    sourceValue
+};
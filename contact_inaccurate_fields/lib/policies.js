@@ -0,0 +1,59 @@
+const { DEFAULT_OPTIONS } = require('./config');
+const { parseDate } = require('./dates');
+const { OVERWRITE_POLICIES, isBlank } = require('./mapping');
+
+/**
+ * Overwrite Policies
+ *
+ * Each mapped column has a policy (the "policy" key of the mapping) that
+ * decides whether the incoming source value replaces what the contact
+ * already holds. A skipped field keeps the contact's current value.
+ *
+ *   overwrite          always write the source value (default)
+ *   fill-blanks-only   write only when the contact's value is blank
+ *   never-blank        write unless that would blank a non-blank value
+ *   source-newer-wins  write only when the source record is newer than the
+ *                      contact's "last updated" column (targetUpdatedColumn)
+ *
+ * The mapper and the verifier both ask skipReason, so the verifier expects
+ * exactly the fields the mapper kept.
+ */
+
+const POLICY_RULES = {
+    'overwrite': () => null,
+    'fill-blanks-only': (field) => isBlank(field.existing) ? null : 'contact already has a value',
+    'never-blank': (field) => isBlank(field.incoming) && !isBlank(field.existing) ? 'source value is blank' : null,
+    'source-newer-wins': (field, column, options) => {
+        const targetUpdated = parseDate(field.targetRow[column.targetUpdatedColumn], options);
+        if (!targetUpdated) {
+            return null; // Nothing says the contact is newer
+        }
+        
+        const sourceDateColumn = column.sourceUpdatedColumn || options.createDateColumn || DEFAULT_OPTIONS.createDateColumn;
+        const sourceUpdated = parseDate(field.sourceRow[sourceDateColumn], options);
+        if (!sourceUpdated) {
+            return 'source record has no date';
+        }
+        return sourceUpdated.getTime() > targetUpdated.getTime() ? null : 'contact updated after source record';
+    }
+};
+
+/**
+ * Returns why a field should keep the contact's current value, or null when
+ * the incoming value should be written.
+ *
+ * field: { incoming, existing, sourceRow, targetRow } - incoming and existing
+ * are the formatted source and current values
+ */
+function skipReason(column, field, options = {}) {
+    const policy = column.policy || OVERWRITE_POLICIES[0];
+    const rule = POLICY_RULES[policy];
+    if (!rule) {
+        throw new Error(`Unknown overwrite policy "${policy}" (expected ${OVERWRITE_POLICIES.join(', ')})`);
+    }
+    return rule(field, column, options);
+}
+
+module.exports = {
+    skipReason
+};
@@ -0,0 +1,69 @@
+const { DEFAULT_OPTIONS } = require('./config');
+const { formatDate, dateFormatPattern } = require('./dates');
+const { hubspotSettings, propertyName, formatHubSpotDate } = require('./hubspot');
+
+/**
+ * Output Profiles
+ *
+ * A profile decides how mapped rows are laid out: which column holds the
+ * email, what each mapped column is called, how dates are written and which
+ * identity columns are carried over from the target row, and whether the
+ * match and provenance columns are written (auditColumns; the audit workbook
+ * keeps them either way). The mapper builds rows through the profile and the
+ * verifier checks them through the same one.
+ *
+ *   default - target column labels and dates in options.dateFormat (MM/DD/YYYY
+ *             HH:MM:SS unless changed) rendered in options.timeZone
+ *   hubspot - internal property names, HubSpot date formats and Record ID, and
+ *             no match or provenance columns, ready for a HubSpot contact import
+ */
+
+const PROFILES = {
+    default: {
+        name: 'default',
+        emailColumn: (mapping, options) => options.targetEmailColumn || DEFAULT_OPTIONS.targetEmailColumn,
+        columnName: (column) => column.target,
+        formatDate: (value, column, options) => formatDate(value, { timeZone: options.timeZone, format: options.dateFormat }),
+        datePattern: (column, options) => dateFormatPattern(options.dateFormat),
+        identityColumns: () => ({}),
+        auditColumns: true
+    },
+    hubspot: {
+        name: 'hubspot',
+        emailColumn: (mapping) => hubspotSettings(mapping).emailProperty,
+        columnName: (column) => propertyName(column),
+        formatDate: (value, column, options) => formatHubSpotDate(value, column.dateType, options.timeZone),
+        datePattern: (column) => column.dateType === 'datetime'
+            ? /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/
+            : /^\d{4}-\d{2}-\d{2}$/,
+        identityColumns: (targetRow, mapping) => {
+            // Keep the contact's Record ID so HubSpot updates the exact record
+            const { recordIdColumn } = hubspotSettings(mapping);
+            if (targetRow[recordIdColumn] === undefined) return {};
+            return { 'Record ID': targetRow[recordIdColumn] };
+        },
+        auditColumns: false // Columns that are not contact properties would need mapping by hand on import
+    }
+};
+
+/**
+ * Looks up a profile by name (default when not given).
+ * The date functions are bound to options.timeZone and options.dateFormat so
+ * the mapper and the verifier format dates exactly the same way.
+ */
+function getProfile(name, options = {}) {
+    const profile = PROFILES[name || 'default'];
+    if (!profile) {
+        throw new Error(`Unknown output profile "${name}" (expected ${Object.keys(PROFILES).join(', ')})`);
+    }
+    return {
+        ...profile,
+        formatDate: (value, column) => profile.formatDate(value, column, options),
+        datePattern: (column) => profile.datePattern(column, options)
+    };
+}
+
+module.exports = {
+    PROFILES,
+    getProfile
+};
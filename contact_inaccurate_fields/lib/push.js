@@ -0,0 +1,213 @@
+const { hubspotSettings, propertyName } = require('./hubspot');
+const { OVERWRITE_POLICIES, isBlank } = require('./mapping');
+const {
+    CHANGED_FIELDS_COLUMN,
+    MATCH_STATUS_COLUMN,
+    MATCH_METHOD_COLUMN,
+    MATCH_CONFIDENCE_COLUMN,
+    MATCH_KEY_COLUMN,
+    MATCH_KEY_VALUE_COLUMN,
+    PROVENANCE_COLUMNS,
+    newColumnName,
+    changedFieldNames
+} = require('./mapper');
+const { createHubSpotClient, BATCH_UPSERT_PATH, DEFAULT_BASE_URL, MAX_BATCH_SIZE } = require('./hubspot-client');
+
+/**
+ * HubSpot Push
+ *
+ * Turns hubspot-profile output rows into batch upsert inputs keyed by email
+ * and sends them batch by batch. Every batch gets a log entry so a partial
+ * failure can be traced back to the contacts it carried.
+ */
+
+// Output columns that identify or describe the contact rather than hold a property value
+const IDENTITY_COLUMNS = [
+    'Record ID',
+    MATCH_STATUS_COLUMN,
+    ...PROVENANCE_COLUMNS,
+    MATCH_METHOD_COLUMN,
+    MATCH_CONFIDENCE_COLUMN,
+    MATCH_KEY_COLUMN,
+    MATCH_KEY_VALUE_COLUMN
+];
+
+/**
+ * Builds upsert inputs ({ idProperty, id, properties }) from output rows.
+ * Diff mode rows send only the new values of their changed fields. A blank
+ * value clears the HubSpot property, so it is sent only for columns whose
+ * policy is overwrite (the default); other columns leave it out.
+ * Rows without an email, contacts kept by --include-unmatched that did
+ * not match, and repeats of an email already sent (HubSpot rejects a whole
+ * batch that names one id twice) are returned separately as skipped.
+ */
+function buildUpsertInputs(rows, mapping) {
+    const { emailProperty } = hubspotSettings(mapping);
+    const inputs = [];
+    const skipped = [];
+    const sentRows = new Map(); // Lowercased email -> row number of its input
+    const policies = new Map(mapping.columns.map(column => [propertyName(column), column.policy || OVERWRITE_POLICIES[0]]));
+    const sendsBlank = column => !policies.has(column) || policies.get(column) === 'overwrite';
+    
+    rows.forEach((row, index) => {
+        const email = row[emailProperty];
+        if (!email || typeof email !== 'string' || !email.trim()) {
+            skipped.push({ rowNumber: index + 2, reason: `Missing ${emailProperty}` });
+            return;
+        }
+        if (row[MATCH_STATUS_COLUMN] !== undefined && row[MATCH_STATUS_COLUMN] !== 'matched') {
+            skipped.push({ rowNumber: index + 2, reason: `Match Status ${row[MATCH_STATUS_COLUMN]}` });
+            return;
+        }
+        const emailKey = email.trim().toLowerCase();
+        if (sentRows.has(emailKey)) {
+            skipped.push({ rowNumber: index + 2, reason: `Duplicate ${emailProperty} (row ${sentRows.get(emailKey)} already sent)` });
+            return;
+        }
+        sentRows.set(emailKey, index + 2);
+        
+        const properties = {};
+        const addProperty = (column, value) => {
+            if (isBlank(value)) {
+                if (sendsBlank(column)) {
+                    properties[column] = '';
+                }
+                return;
+            }
+            properties[column] = String(value);
+        };
+        if (row[CHANGED_FIELDS_COLUMN] !== undefined) {
+            changedFieldNames(row).forEach(column => addProperty(column, row[newColumnName(column)]));
+        } else {
+            Object.entries(row).forEach(([column, value]) => {
+                if (column === emailProperty || IDENTITY_COLUMNS.includes(column)) return;
+                addProperty(column, value);
+            });
+        }
+        
+        inputs.push({
+            idProperty: 'email',
+            id: email.trim(),
+            properties: properties
+        });
+    });
+    
+    return { inputs, skipped };
+}
+
+/**
+ * Splits an array into arrays of at most size items
+ */
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Summarizes a batch upsert response for the push log
+ */
+function summarizeBatch(batchNumber, inputs, response) {
+    const body = response.body || {};
+    const results = Array.isArray(body.results) ? body.results : [];
+    const errors = Array.isArray(body.errors) ? body.errors : [];
+    
+    return {
+        batch: batchNumber,
+        size: inputs.length,
+        ok: response.ok && errors.length === 0,
+        httpStatus: response.httpStatus,
+        attempts: response.attempts,
+        created: results.filter(result => result.new === true).length,
+        updated: results.filter(result => result.new === false).length,
+        error: response.error,
+        errors: errors.map(error => ({
+            message: error.message,
+            category: error.category,
+            context: error.context
+        })),
+        emails: inputs.map(input => input.id)
+    };
+}
+
+/**
+ * Pushes output rows to HubSpot.
+ *
+ * options: { dryRun, batchSize, hubspotUrl, accessToken, maxRetries, retryDelayMs, fetch, onBatch }
+ * A dry run sends nothing and returns the exact request payloads instead.
+ */
+async function pushContacts(rows, mapping, options = {}) {
+    const batchSize = Number(options.batchSize) || MAX_BATCH_SIZE;
+    if (batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+        throw new Error(`Batch size must be between 1 and ${MAX_BATCH_SIZE}`);
+    }
+    
+    const { inputs, skipped } = buildUpsertInputs(rows, mapping);
+    const batches = chunk(inputs, batchSize);
+    const url = `${(options.hubspotUrl || DEFAULT_BASE_URL).replace(/\/+$/, '')}${BATCH_UPSERT_PATH}`;
+    const stats = {
+        totalRows: rows.length,
+        contacts: inputs.length,
+        skipped: skipped.length,
+        batches: batches.length,
+        succeededBatches: 0,
+        failedBatches: 0,
+        created: 0,
+        updated: 0
+    };
+    
+    if (options.dryRun) {
+        return {
+            dryRun: true,
+            url: url,
+            requests: batches.map((batch, index) => ({ batch: index + 1, payload: { inputs: batch } })),
+            log: [],
+            skipped: skipped,
+            stats: stats
+        };
+    }
+    
+    const client = createHubSpotClient({
+        accessToken: options.accessToken,
+        baseUrl: options.hubspotUrl,
+        maxRetries: options.maxRetries !== undefined ? Number(options.maxRetries) : undefined,
+        retryDelayMs: options.retryDelayMs,
+        fetch: options.fetch
+    });
+    const log = [];
+    
+    for (let index = 0; index < batches.length; index++) {
+        const response = await client.batchUpsertContacts(batches[index]);
+        const entry = summarizeBatch(index + 1, batches[index], response);
+        
+        log.push(entry);
+        if (entry.ok) {
+            stats.succeededBatches++;
+        } else {
+            stats.failedBatches++;
+        }
+        stats.created += entry.created;
+        stats.updated += entry.updated;
+        
+        if (options.onBatch) {
+            options.onBatch(entry);
+        }
+    }
+    
+    return {
+        dryRun: false,
+        url: url,
+        requests: [],
+        log: log,
+        skipped: skipped,
+        stats: stats
+    };
+}
+
+module.exports = {
+    buildUpsertInputs,
+    chunk,
+    pushContacts
+};
@@ -0,0 +1,287 @@
+const { DEFAULT_OPTIONS } = require('./config');
+const { parseDate } = require('./dates');
+const { compareByLatestCreateDate, resolveStrategy } = require('./strategies');
+
+/**
+ * Source Record Selection
+ *
+ * Groups source (Stripe) rows by email and picks one record per email using
+ * the selection strategy (latest create date unless options.strategy says
+ * otherwise, see strategies.js). Rows without a usable email are skipped.
+ * buildKeyIndex does the same for another key column, such as a customer ID,
+ * and createStreamingRecordIndex builds the email index one row at a time.
+ */
+
+/**
+ * Normalizes an email for matching.
+ * Returns null when the value is not a usable email string.
+ */
+function normalizeEmail(email) {
+    if (!email || typeof email !== 'string') {
+        return null;
+    }
+    const normalized = email.toLowerCase().trim();
+    return normalized || null;
+}
+
+// Deliberately loose: something@domain.tld with no spaces
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Returns true when a normalized email looks like a deliverable address
+ */
+function isValidEmail(email) {
+    return typeof email === 'string' && EMAIL_PATTERN.test(email);
+}
+
+/**
+ * Normalizes an ID-style key value (customer ID, record ID) for matching.
+ * Returns null when blank; IDs are compared as trimmed strings.
+ */
+function normalizeKeyValue(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    const normalized = String(value).trim();
+    return normalized || null;
+}
+
+/**
+ * Wraps a source row as a selection candidate. The candidate keeps its
+ * position so callers can report spreadsheet row numbers.
+ */
+function toCandidate(row, index, options = {}) {
+    const emailColumn = options.sourceEmailColumn || DEFAULT_OPTIONS.sourceEmailColumn;
+    const dateColumn = options.createDateColumn || DEFAULT_OPTIONS.createDateColumn;
+    return {
+        row: row,
+        index: index,
+        rowNumber: index + 2, // Spreadsheet row number (1-indexed + header)
+        email: normalizeEmail(row[emailColumn]),
+        createDate: parseDate(row[dateColumn], options)
+    };
+}
+
+/**
+ * Groups rows by the key keyOf(row) returns, skipping rows without one
+ */
+function groupRows(rows, keyOf, options = {}) {
+    const groups = new Map();
+    
+    rows.forEach((row, index) => {
+        const key = keyOf(row);
+        if (!key) {
+            return; // Skip rows without a key
+        }
+        
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        
+        groups.get(key).push(toCandidate(row, index, options));
+    });
+    
+    return groups;
+}
+
+/**
+ * Groups rows by normalized email
+ */
+function groupRowsByEmail(rows, options = {}) {
+    const emailColumn = options.sourceEmailColumn || DEFAULT_OPTIONS.sourceEmailColumn;
+    return groupRows(rows, row => normalizeEmail(row[emailColumn]), options);
+}
+
+/**
+ * Resolves options.strategy (name, custom module path or resolved strategy)
+ */
+function strategyFor(options) {
+    return typeof options.strategy === 'object' && options.strategy !== null
+        ? options.strategy
+        : resolveStrategy(options.strategy, options);
+}
+
+/**
+ * Sorts every group with the strategy and picks its first candidate.
+ * Returns { records, multipleCandidateKeys, groupedRows }.
+ */
+function selectRecords(groups, strategy) {
+    const records = new Map();
+    let multipleCandidateKeys = 0;
+    let groupedRows = 0;
+    
+    groups.forEach((candidates, key) => {
+        if (candidates.length > 1) {
+            multipleCandidateKeys++;
+        }
+        groupedRows += candidates.length;
+        
+        candidates.sort(strategy.compare);
+        records.set(key, candidates[0]);
+    });
+    
+    return { records, multipleCandidateKeys, groupedRows };
+}
+
+/**
+ * Explains why the first of a group of sorted candidates was selected, for
+ * the Selection Reason provenance column. Groups of a streaming index hold
+ * only the selected candidate, which carries the group's size and tie.
+ */
+function selectionReason(candidates, strategy) {
+    const selected = candidates[0];
+    if (selected.groupSize !== undefined) {
+        return formatSelectionReason(selected.groupSize, selected.tied, strategy);
+    }
+    const tied = candidates.length > 1 && strategy.compare(candidates[0], candidates[1]) === 0;
+    return formatSelectionReason(candidates.length, tied, strategy);
+}
+
+/**
+ * Selection Reason text for a group of count rows; tied when the selected
+ * row ranks level with the next one and won by coming first in the sheet
+ */
+function formatSelectionReason(count, tied, strategy) {
+    if (count === 1) {
+        return 'only row';
+    }
+    const reason = `${strategy.description}, 1 of ${count} rows`;
+    return tied ? `${reason}, tie kept in sheet order` : reason;
+}
+
+/**
+ * Builds the email -> selected record index for a set of source rows.
+ * options.strategy is a strategy name, custom module path or resolved strategy.
+ *
+ * Returns:
+ *   records - Map of email to the selected candidate ({ row, rowNumber, createDate, ... })
+ *   groups  - Map of email to all candidates, sorted with the selected one first
+ *   strategy - the resolved selection strategy
+ *   rows    - the source rows, for indexing them by other keys (see buildKeyIndex)
+ *   stats   - row and email counts
+ */
+function buildLatestRecordIndex(rows, options = {}) {
+    const strategy = strategyFor(options);
+    const groups = groupRowsByEmail(rows, options);
+    const { records, multipleCandidateKeys, groupedRows } = selectRecords(groups, strategy);
+    
+    return {
+        records: records,
+        groups: groups,
+        strategy: strategy,
+        rows: rows,
+        stats: {
+            totalRows: rows.length,
+            skippedRows: rows.length - groupedRows,
+            uniqueEmails: groups.size,
+            multipleIdEmails: multipleCandidateKeys
+        }
+    };
+}
+
+/**
+ * Builds the key value -> selected record index for another key column
+ * (e.g. a Stripe customer ID), choosing between rows with the same strategy.
+ *
+ * Returns { records, groups, strategy, stats } like buildLatestRecordIndex,
+ * keyed by normalizeKeyValue(row[column]).
+ */
+function buildKeyIndex(rows, column, options = {}) {
+    const strategy = strategyFor(options);
+    const groups = groupRows(rows, row => normalizeKeyValue(row[column]), options);
+    const { records, multipleCandidateKeys, groupedRows } = selectRecords(groups, strategy);
+    
+    return {
+        records: records,
+        groups: groups,
+        strategy: strategy,
+        stats: {
+            totalRows: rows.length,
+            skippedRows: rows.length - groupedRows,
+            uniqueKeys: groups.size,
+            multipleRowKeys: multipleCandidateKeys
+        }
+    };
+}
+
+/**
+ * Builds the email -> selected record index one row at a time, keeping only
+ * the best row per email instead of every row (for exports too large to hold
+ * in memory, see streams.js).
+ *
+ * add(row, index) takes the source rows in sheet order; finish() returns an
+ * index shaped like buildLatestRecordIndex's, except that each group holds
+ * only the selected candidate (with groupSize and tied, see selectionReason)
+ * and rows is null, so other match keys and the multi-ID listings need the
+ * in-memory index.
+ */
+function createStreamingRecordIndex(options = {}) {
+    const strategy = strategyFor(options);
+    const emailColumn = options.sourceEmailColumn || DEFAULT_OPTIONS.sourceEmailColumn;
+    const records = new Map();
+    let totalRows = 0;
+    let groupedRows = 0;
+    let multipleIdEmails = 0;
+    
+    function add(row, index) {
+        totalRows++;
+        const email = normalizeEmail(row[emailColumn]);
+        if (!email) {
+            return; // Skip rows without a key
+        }
+        groupedRows++;
+        
+        const candidate = toCandidate(row, index, options);
+        const selected = records.get(email);
+        if (!selected) {
+            records.set(email, { ...candidate, groupSize: 1, tied: false });
+            return;
+        }
+        
+        if (selected.groupSize === 1) {
+            multipleIdEmails++;
+        }
+        // Like a stable sort: a later row only wins when it ranks strictly higher
+        const order = strategy.compare(candidate, selected);
+        if (order < 0) {
+            records.set(email, { ...candidate, groupSize: selected.groupSize + 1, tied: false });
+        } else {
+            selected.groupSize++;
+            selected.tied = selected.tied || order === 0;
+        }
+    }
+    
+    function finish() {
+        const groups = new Map();
+        records.forEach((record, email) => groups.set(email, [record]));
+        
+        return {
+            records: records,
+            groups: groups,
+            strategy: strategy,
+            rows: null,
+            streaming: true,
+            stats: {
+                totalRows: totalRows,
+                skippedRows: totalRows - groupedRows,
+                uniqueEmails: records.size,
+                multipleIdEmails: multipleIdEmails
+            }
+        };
+    }
+    
+    return { add, finish };
+}
+
+module.exports = {
+    normalizeEmail,
+    normalizeKeyValue,
+    isValidEmail,
+    compareByLatestCreateDate,
+    groupRowsByEmail,
+    buildLatestRecordIndex,
+    buildKeyIndex,
+    createStreamingRecordIndex,
+    selectionReason,
+    formatSelectionReason
+};
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const { collectMismatches } = require('./html-report');
+
+/**
+ * Verification Report Comparison
+ *
+ * Compares two saved verifications (the JSON reports verify writes) to show
+ * what changed between backfill runs: test statuses, the numeric details of
+ * each test (matchedEmails, totalFieldsChecked, ...) and which failures are
+ * new or gone. A failure is identified by its test, detail list, email and
+ * column (or listed value), so a field that fails in both runs is not
+ * reported again even when its values changed.
+ */
+
+const REPORT_PATTERN = /^verification-report-.*\.json$/;
+
+/**
+ * Returns the report files in a directory, oldest first (their names hold
+ * an ISO timestamp, so they sort by name)
+ */
+function listReports(reportDir) {
+    if (!fs.existsSync(reportDir)) {
+        return [];
+    }
+    return fs.readdirSync(reportDir)
+        .filter(name => REPORT_PATTERN.test(name))
+        .sort()
+        .map(name => path.join(reportDir, name));
+}
+
+/**
+ * Reads a saved verification report
+ */
+function readReport(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Verification report not found: ${file}`);
+    }
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read verification report ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Keys every failure of a verification: per-row mismatches (see
+ * collectMismatches) and the listed values of a test, such as unmatchedEmails
+ * or missingColumns. Returns Map of key -> { test, kind, email, column, value }.
+ */
+function failureKeys(verification) {
+    const failures = new Map();
+    const add = (failure) => {
+        failures.set([failure.test, failure.kind, failure.email, failure.column, failure.value].join('|'), failure);
+    };
+    
+    collectMismatches(verification).forEach(mismatch => {
+        add({ test: mismatch.test, kind: mismatch.kind, email: mismatch.email || '', column: mismatch.column || '', value: '' });
+    });
+    (verification.tests || []).forEach(test => {
+        Object.entries(test.details || {}).forEach(([kind, values]) => {
+            if (!Array.isArray(values)) return;
+            values
+                .filter(value => typeof value === 'string' || typeof value === 'number')
+                .forEach(value => add({ test: test.name, kind: kind, email: '', column: '', value: String(value) }));
+        });
+    });
+    
+    return failures;
+}
+
+/**
+ * The numeric details of a test, as { name: value }
+ */
+function numericDetails(test) {
+    const counts = {};
+    Object.entries((test && test.details) || {}).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+            counts[name] = value;
+        }
+    });
+    return counts;
+}
+
+/**
+ * Compares two verifications (before = the older run).
+ *
+ * Returns:
+ *   status         { before, after } overall status
+ *   tests          [{ name, before, after, changed }] per test, by name; a
+ *                  test missing from one run has status null there
+ *   counts         [{ test, name, before, after, delta }] numeric details that changed
+ *   newFailures    failures only in the after run ({ test, kind, email, column, value })
+ *   fixedFailures  failures only in the before run
+ *   regressed      true when the run or a test went from passing to failing, or
+ *                  there are new failures
+ */
+function compareVerifications(before, after) {
+    const beforeTests = new Map((before.tests || []).map(test => [test.name, test]));
+    const afterTests = new Map((after.tests || []).map(test => [test.name, test]));
+    const names = Array.from(new Set([...beforeTests.keys(), ...afterTests.keys()]));
+    
+    const tests = names.map(name => {
+        const beforeStatus = beforeTests.has(name) ? beforeTests.get(name).status : null;
+        const afterStatus = afterTests.has(name) ? afterTests.get(name).status : null;
+        return { name: name, before: beforeStatus, after: afterStatus, changed: beforeStatus !== afterStatus };
+    });
+    
+    const counts = [];
+    names.forEach(name => {
+        const beforeCounts = numericDetails(beforeTests.get(name));
+        const afterCounts = numericDetails(afterTests.get(name));
+        Array.from(new Set([...Object.keys(beforeCounts), ...Object.keys(afterCounts)])).forEach(count => {
+            const beforeValue = beforeCounts[count] !== undefined ? beforeCounts[count] : null;
+            const afterValue = afterCounts[count] !== undefined ? afterCounts[count] : null;
+            if (beforeValue === afterValue) return;
+            counts.push({
+                test: name,
+                name: count,
+                before: beforeValue,
+                after: afterValue,
+                delta: beforeValue !== null && afterValue !== null ? afterValue - beforeValue : null
+            });
+        });
+    });
+    
+    const beforeFailures = failureKeys(before);
+    const afterFailures = failureKeys(after);
+    const newFailures = Array.from(afterFailures.entries()).filter(([key]) => !beforeFailures.has(key)).map(([, failure]) => failure);
+    const fixedFailures = Array.from(beforeFailures.entries()).filter(([key]) => !afterFailures.has(key)).map(([, failure]) => failure);
+    
+    return {
+        status: { before: before.status, after: after.status },
+        tests: tests,
+        counts: counts,
+        newFailures: newFailures,
+        fixedFailures: fixedFailures,
+        regressed: newFailures.length > 0
+            || (before.status === 'PASSED' && after.status !== 'PASSED')
+            || tests.some(test => test.before === 'PASSED' && test.after === 'FAILED')
+    };
+}
+
+module.exports = {
+    listReports,
+    readReport,
+    compareVerifications
+};
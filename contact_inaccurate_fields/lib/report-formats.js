@@ -0,0 +1,150 @@
+/**
+ * Verification Report Formats
+ *
+ * Writes the tests of a verification (see verifier.js) in the formats CI
+ * runners read, so backfill checks show up next to other automated tests:
+ *
+ *   json   the verification itself (the report verify always saves)
+ *   junit  JUnit XML, one testcase per test and one <failure> per issue
+ *          (<skipped/> for a test that checked nothing)
+ *   tap    TAP version 13, one test point per test with its issues in a YAML block
+ *          (# SKIP for a test that checked nothing)
+ *
+ * Issues that belong to no test (a critical error that stopped the run) are
+ * reported as an extra "Verification" test.
+ */
+
+const SUITE_NAME = 'Contact Field Mapping Verification';
+
+/**
+ * Escapes text for XML content and attributes
+ */
+function escapeXml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * The tests of a verification, plus a "Verification" test for issues raised
+ * outside any test
+ */
+function reportedTests(verification) {
+    const testIssues = new Set(verification.tests.flatMap(test => test.issues || []));
+    const otherIssues = verification.issues.filter(issue => !testIssues.has(issue));
+    
+    if (otherIssues.length === 0) {
+        return verification.tests;
+    }
+    return [...verification.tests, { name: 'Verification', status: 'FAILED', issues: otherIssues }];
+}
+
+/**
+ * JUnit XML
+ */
+function renderJunit(verification) {
+    const tests = reportedTests(verification);
+    const skipped = tests.filter(test => test.status === 'SKIPPED').length;
+    const failures = tests.filter(test => test.status !== 'PASSED' && test.status !== 'SKIPPED').length;
+    const attributes = `name="${escapeXml(SUITE_NAME)}" tests="${tests.length}" failures="${failures}" errors="0" skipped="${skipped}" timestamp="${escapeXml(verification.timestamp)}"`;
+    
+    const testcases = tests.map(test => {
+        let elements = [];
+        if (test.status === 'SKIPPED') {
+            elements = [`      <skipped message="${escapeXml(test.skipReason || 'not checked')}"/>`];
+        } else if (test.status !== 'PASSED') {
+            elements = (test.issues.length > 0 ? test.issues : [`${test.name} failed`])
+                .map(issue => `      <failure message="${escapeXml(issue)}" type="VerificationFailure">${escapeXml(issue)}</failure>`);
+        }
+        const open = `    <testcase classname="${escapeXml(verification.script_verified)}" name="${escapeXml(test.name)}"`;
+        return elements.length === 0
+            ? `${open}/>`
+            : `${open}>\n${elements.join('\n')}\n    </testcase>`;
+    });
+    
+    const properties = Object.entries(verification.details || {})
+        .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object')
+        .map(([name, value]) => `      <property name="${escapeXml(name)}" value="${escapeXml(value)}"/>`);
+    const warnings = verification.warnings.length > 0
+        ? [`    <system-out>${escapeXml(verification.warnings.map(warning => `Warning: ${warning}`).join('\n'))}</system-out>`]
+        : [];
+    
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites ${attributes}>`,
+        `  <testsuite ${attributes}>`,
+        ...(properties.length > 0 ? ['    <properties>', ...properties, '    </properties>'] : []),
+        ...testcases,
+        ...warnings,
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Quotes a string as a YAML scalar (JSON strings are valid YAML)
+ */
+function yamlString(value) {
+    return JSON.stringify(String(value));
+}
+
+/**
+ * TAP version 13
+ */
+function renderTap(verification) {
+    const tests = reportedTests(verification);
+    const lines = ['TAP version 13', `1..${tests.length}`];
+    
+    tests.forEach((test, index) => {
+        const name = test.name.replace(/#/g, '\\#');
+        if (test.status === 'SKIPPED') {
+            lines.push(`ok ${index + 1} - ${name} # SKIP ${(test.skipReason || 'not checked').replace(/#/g, '\\#')}`);
+            return;
+        }
+        
+        const passed = test.status === 'PASSED';
+        lines.push(`${passed ? 'ok' : 'not ok'} ${index + 1} - ${name}`);
+        if (passed) return;
+        
+        const issues = test.issues.length > 0 ? test.issues : [`${test.name} failed`];
+        lines.push('  ---');
+        lines.push(`  message: ${yamlString(issues.length === 1 ? issues[0] : `${issues.length} issues`)}`);
+        lines.push('  severity: fail');
+        lines.push('  issues:');
+        issues.forEach(issue => lines.push(`    - ${yamlString(issue)}`));
+        lines.push('  ...');
+    });
+    
+    verification.warnings.forEach(warning => lines.push(`# Warning: ${warning}`));
+    return lines.join('\n') + '\n';
+}
+
+const REPORT_FORMATS = {
+    json: { extension: '.json', render: (verification) => JSON.stringify(verification, null, 2) },
+    junit: { extension: '.xml', render: renderJunit },
+    tap: { extension: '.tap', render: renderTap }
+};
+
+/**
+ * Looks up a report format by name; throws for unknown formats
+ */
+function getReportFormat(name) {
+    const format = REPORT_FORMATS[name];
+    if (!format) {
+        throw new Error(`Unknown report format "${name}" (expected ${Object.keys(REPORT_FORMATS).join(', ')})`);
+    }
+    return format;
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    getReportFormat,
+    renderJunit,
+    renderTap
+};
@@ -0,0 +1,182 @@
+const { DEFAULT_OPTIONS } = require('./config');
+const { parseDate } = require('./dates');
+const { RULE_CONDITIONS, isBlank } = require('./mapping');
+const { normalizeEmail } = require('./records');
+const { matchesWhere } = require('./aggregates');
+
+/**
+ * Rule Columns
+ *
+ * A mapping column with "rules" is derived from every subscription of the
+ * contact's email, such as a lifecycle or churn state. The rules are tried in
+ * order and the first whose conditions ("when") all hold sets the column to
+ * its "value"; when none does the column gets its "default" and the decision
+ * is recorded as the "default" rule. Conditions:
+ *
+ *   { "every": column, "in": [values] }    every subscription holds one of the values
+ *   { "any": column, "in": [values] }      at least one does
+ *   { "none": column, "in": [values] }     none does
+ *   { "latest": column, "before": date }   the latest date in the column is before
+ *                                          (or "after") the date
+ *   { "earliest": column, "after": date }  likewise for the earliest date
+ *
+ * Values are compared trimmed and case-insensitively. A date may be "now",
+ * which is options.asOf when it is set so a run can be repeated. Unreadable
+ * dates are left out; a date condition on a column without any does not hold.
+ */
+
+const DEFAULT_RULE = 'default';
+
+/**
+ * The kind of a rule condition (every, any, none, latest or earliest)
+ */
+function conditionKind(condition) {
+    return RULE_CONDITIONS.find(kind => condition[kind] !== undefined);
+}
+
+/**
+ * The moment "now" stands for: options.asOf, or the current time
+ */
+function asOfDate(options = {}) {
+    if (!options.asOf) return new Date();
+    
+    const date = parseDate(options.asOf, options);
+    if (!date) {
+        throw new Error(`Invalid as-of date "${options.asOf}"`);
+    }
+    return date;
+}
+
+/**
+ * The time a date condition compares against, in milliseconds
+ */
+function boundTime(condition, now, options) {
+    const bound = condition.before !== undefined ? condition.before : condition.after;
+    return bound === 'now' ? now.getTime() : parseDate(bound, options).getTime();
+}
+
+/**
+ * Creates the running state of a rule column for one email: one entry per
+ * condition of each rule (a boolean, or the latest/earliest time so far)
+ */
+function createState(column) {
+    return column.rules.map(rule => rule.when.map(condition => {
+        const kind = conditionKind(condition);
+        return kind === 'latest' || kind === 'earliest' ? null : kind !== 'any';
+    }));
+}
+
+/**
+ * Folds a source row into a rule column's state
+ */
+function addToState(state, row, column, options) {
+    column.rules.forEach((rule, ruleIndex) => {
+        rule.when.forEach((condition, conditionIndex) => {
+            const kind = conditionKind(condition);
+            const current = state[ruleIndex][conditionIndex];
+            
+            if (kind === 'latest' || kind === 'earliest') {
+                const value = row[condition[kind]];
+                const date = isBlank(value) ? null : parseDate(value, options);
+                if (!date) return;
+                if (current === null || (kind === 'latest' ? date.getTime() > current : date.getTime() < current)) {
+                    state[ruleIndex][conditionIndex] = date.getTime();
+                }
+                return;
+            }
+            
+            const holds = matchesWhere(row, { [condition[kind]]: condition.in });
+            state[ruleIndex][conditionIndex] = kind === 'any' ? current || holds : current && (kind === 'every' ? holds : !holds);
+        });
+    });
+}
+
+/**
+ * The decision a rule column's state gives: { rule, value } of the first rule
+ * whose conditions all hold, or of the default
+ */
+function stateDecision(state, column, now, options) {
+    const fired = column.rules.find((rule, ruleIndex) => rule.when.every((condition, conditionIndex) => {
+        const kind = conditionKind(condition);
+        const current = state[ruleIndex][conditionIndex];
+        if (kind !== 'latest' && kind !== 'earliest') return current;
+        if (current === null) return false;
+        
+        const bound = boundTime(condition, now, options);
+        return condition.before !== undefined ? current < bound : current > bound;
+    }));
+    
+    if (!fired) {
+        return { rule: DEFAULT_RULE, value: column.default !== undefined ? column.default : '' };
+    }
+    return { rule: fired.name, value: fired.value };
+}
+
+/**
+ * Evaluates the rule columns one source row at a time, so a streamed export
+ * can be evaluated while it is indexed.
+ *
+ * Returns { add(row), finish() }; finish() returns a Map of email -> Map of
+ * column target -> { rule, value }.
+ */
+function createRuleIndex(mapping, options = {}) {
+    const emailColumn = options.sourceEmailColumn || DEFAULT_OPTIONS.sourceEmailColumn;
+    const columns = mapping.columns.filter(column => column.rules);
+    const now = columns.length > 0 ? asOfDate(options) : null;
+    const states = new Map();
+    
+    function add(row) {
+        const email = columns.length > 0 ? normalizeEmail(row[emailColumn]) : null;
+        if (!email) return;
+        
+        if (!states.has(email)) {
+            states.set(email, new Map(columns.map(column => [column.target, createState(column)])));
+        }
+        const byColumn = states.get(email);
+        columns.forEach(column => addToState(byColumn.get(column.target), row, column, options));
+    }
+    
+    function finish() {
+        const decisions = new Map();
+        states.forEach((byColumn, email) => {
+            decisions.set(email, new Map(columns.map(column => [column.target, stateDecision(byColumn.get(column.target), column, now, options)])));
+        });
+        return decisions;
+    }
+    
+    return { add, finish };
+}
+
+/**
+ * Evaluates the rule columns for each email group of a source index (the
+ * candidates buildLatestRecordIndex groups by email)
+ */
+function decideRules(groups, mapping, options = {}) {
+    const index = createRuleIndex(mapping, options);
+    (groups || new Map()).forEach(candidates => {
+        candidates.forEach(candidate => index.add(candidate.row));
+    });
+    return index.finish();
+}
+
+/**
+ * The decision of a rule column for the email of a selected source row
+ */
+function ruleDecision(decisions, sourceRow, column, options = {}) {
+    const emailColumn = options.sourceEmailColumn || DEFAULT_OPTIONS.sourceEmailColumn;
+    const email = normalizeEmail(sourceRow[emailColumn]);
+    const byColumn = email && decisions ? decisions.get(email) : null;
+    if (!byColumn) {
+        return { rule: DEFAULT_RULE, value: column.default !== undefined ? column.default : '' };
+    }
+    return byColumn.get(column.target);
+}
+
+module.exports = {
+    DEFAULT_RULE,
+    conditionKind,
+    asOfDate,
+    createRuleIndex,
+    decideRules,
+    ruleDecision
+};
@@ -0,0 +1,257 @@
+const { DEFAULT_OPTIONS } = require('./config');
+const { MIN_YEAR, MAX_YEAR, parseDate, dateProblem } = require('./dates');
+const { isBlank, enumOptions, resolveEnumValue } = require('./mapping');
+const { normalizeEmail, isValidEmail } = require('./records');
+
+/**
+ * Source Data Quality Audit
+ *
+ * Checks the source (Stripe) and target (contacts) rows before mapping for
+ * the problems the mapper otherwise skips or blanks without a word:
+ *
+ *   missing-required   a required column is blank (source email, Id and create
+ *                      date; target email), or missing from the sheet entirely
+ *   invalid-email      an email that is not text or not name@domain.tld
+ *   unparseable-date   a date column value parseDate cannot read
+ *   date-out-of-range  a date before MIN_YEAR or after MAX_YEAR
+ *   end-before-start   a billing end date earlier than its start date
+ *   unknown-status     a Status value that is not a known subscription status
+ *
+ * Every finding names the sheet and spreadsheet row number. Thresholds
+ * ("check=limit" or "check=limit%", see parseAuditThresholds) fail the audit
+ * when a check reports more findings than allowed.
+ */
+
+const AUDIT_CHECKS = {
+    'missing-required': { description: 'Rows missing a required column', sheets: ['source', 'target'] },
+    'invalid-email': { description: 'Emails that are not text or not valid syntax', sheets: ['source', 'target'] },
+    'unparseable-date': { description: 'Dates that cannot be parsed', sheets: ['source'] },
+    'date-out-of-range': { description: `Dates before ${MIN_YEAR} or after ${MAX_YEAR}`, sheets: ['source'] },
+    'end-before-start': { description: 'Billing end dates before the start date', sheets: ['source'] },
+    'unknown-status': { description: 'Status values that are not known subscription statuses', sheets: ['source'] }
+};
+
+// Threshold on the findings of every check together
+const TOTAL_THRESHOLD = 'total';
+
+/**
+ * Parses options.auditThresholds (array or comma-separated string of
+ * "check=limit" / "check=limit%", or an object of check -> limit) into
+ * [{ check, limit, percent }]
+ */
+function parseAuditThresholds(spec) {
+    if (!spec) return [];
+    const entries = typeof spec === 'object' && !Array.isArray(spec)
+        ? Object.entries(spec).map(([check, limit]) => `${check}=${limit}`)
+        : (Array.isArray(spec) ? spec : String(spec).split(','));
+    
+    return entries
+        .map(entry => String(entry).trim())
+        .filter(Boolean)
+        .map(entry => {
+            const match = entry.match(/^([\w-]+)\s*=\s*(\d+(?:\.\d+)?)\s*(%?)$/);
+            if (!match) {
+                throw new Error(`Invalid audit threshold "${entry}" (expected check=limit or check=limit%)`);
+            }
+            const check = match[1];
+            if (check !== TOTAL_THRESHOLD && !AUDIT_CHECKS[check]) {
+                throw new Error(`Unknown audit check "${check}" (expected ${[...Object.keys(AUDIT_CHECKS), TOTAL_THRESHOLD].join(', ')})`);
+            }
+            return { check: check, limit: Number(match[2]), percent: match[3] === '%' };
+        });
+}
+
+/**
+ * The source columns that hold dates: the mapping's date columns plus the
+ * create, billing start and billing end columns
+ */
+function sourceDateColumns(mapping, options) {
+    const columns = [
+        options.createDateColumn || DEFAULT_OPTIONS.createDateColumn,
+        options.billingStartColumn || DEFAULT_OPTIONS.billingStartColumn,
+        options.billingEndColumn || DEFAULT_OPTIONS.billingEndColumn,
+        ...mapping.columns.filter(column => column.type === 'date').map(column => column.source)
+    ];
+    return Array.from(new Set(columns));
+}
+
+/**
+ * Returns a test for the Status values the audit accepts: those the mapping's
+ * Status column resolves to an option (see resolveEnumValue), or
+ * options.knownStatuses when it has no options
+ */
+function knownStatusTest(mapping, statusColumn, options) {
+    const column = mapping.columns.find(entry => entry.source === statusColumn && entry.type === 'enum' && enumOptions(entry));
+    if (column) {
+        return status => resolveEnumValue(status, column) !== null;
+    }
+    const known = new Set((options.knownStatuses || DEFAULT_OPTIONS.knownStatuses).map(value => String(value).trim().toLowerCase()));
+    return status => known.has(String(status).trim().toLowerCase());
+}
+
+/**
+ * Creates an audit that takes rows one at a time, so it works on row arrays
+ * and on streamed exports alike.
+ *
+ * sheets names the source and target sheets in findings.
+ * Returns { addSourceRow(row, index), addTargetRow(row, index), finish() };
+ * finish() returns the audit:
+ *   status      PASSED, or FAILED when a threshold is exceeded
+ *   sheets      { source, target } sheet names
+ *   rows        { source, target } rows checked
+ *   counts      findings per check
+ *   thresholds  [{ check, limit, percent, count, rows, exceeded }]
+ *   findings    [{ check, sheet, rowNumber, column, value, message }]; rowNumber
+ *               is null for a column missing from the whole sheet
+ *   issues      one line per exceeded threshold
+ */
+function createSourceAudit(mapping, options = {}, sheets = { source: 'Sheet 1', target: 'Sheet 2' }) {
+    const thresholds = parseAuditThresholds(options.auditThresholds);
+    const sourceEmailColumn = options.sourceEmailColumn || DEFAULT_OPTIONS.sourceEmailColumn;
+    const targetEmailColumn = options.targetEmailColumn || DEFAULT_OPTIONS.targetEmailColumn;
+    const statusColumn = options.statusColumn || DEFAULT_OPTIONS.statusColumn;
+    const startColumn = options.billingStartColumn || DEFAULT_OPTIONS.billingStartColumn;
+    const endColumn = options.billingEndColumn || DEFAULT_OPTIONS.billingEndColumn;
+    const dateColumns = sourceDateColumns(mapping, options);
+    const isKnownStatus = knownStatusTest(mapping, statusColumn, options);
+    const required = {
+        source: [sourceEmailColumn, options.sourceIdColumn || DEFAULT_OPTIONS.sourceIdColumn, options.createDateColumn || DEFAULT_OPTIONS.createDateColumn],
+        target: [targetEmailColumn]
+    };
+    
+    const findings = [];
+    const rows = { source: 0, target: 0 };
+    // Required columns seen in at least one row, per sheet; a column no row
+    // has is reported once for the sheet instead of once per row
+    const seenColumns = { source: new Set(), target: new Set() };
+    
+    function report(check, role, index, column, value, message) {
+        findings.push({
+            check: check,
+            sheet: sheets[role],
+            rowNumber: index + 2, // Spreadsheet row number (1-indexed + header)
+            column: column,
+            value: value === undefined ? '' : value,
+            message: message
+        });
+    }
+    
+    function checkCommon(role, row, index, emailColumn) {
+        rows[role]++;
+        required[role].forEach(column => {
+            if (Object.prototype.hasOwnProperty.call(row, column)) {
+                seenColumns[role].add(column);
+            }
+            if (isBlank(row[column])) {
+                report('missing-required', role, index, column, row[column], `${column} is blank`);
+            }
+        });
+        
+        const email = row[emailColumn];
+        if (isBlank(email)) return;
+        if (typeof email !== 'string') {
+            report('invalid-email', role, index, emailColumn, email, `${emailColumn} is not text (${typeof email})`);
+        } else if (!isValidEmail(normalizeEmail(email))) {
+            report('invalid-email', role, index, emailColumn, email, `${emailColumn} "${email}" is not a valid email address`);
+        }
+    }
+    
+    function addSourceRow(row, index) {
+        checkCommon('source', row, index, sourceEmailColumn);
+        
+        dateColumns.forEach(column => {
+            const value = row[column];
+            if (isBlank(value)) return;
+            const problem = dateProblem(value, options);
+            if (problem === 'unparseable') {
+                report('unparseable-date', 'source', index, column, value, `${column} "${value}" is not a date`);
+            } else if (problem === 'out-of-range') {
+                report('date-out-of-range', 'source', index, column, value, `${column} "${value}" is outside ${MIN_YEAR}-${MAX_YEAR}`);
+            }
+        });
+        
+        const start = parseDate(row[startColumn], options);
+        const end = parseDate(row[endColumn], options);
+        if (start && end && end < start) {
+            report('end-before-start', 'source', index, endColumn, row[endColumn], `${endColumn} is before ${startColumn} (${row[startColumn]})`);
+        }
+        
+        const status = row[statusColumn];
+        if (!isBlank(status) && !isKnownStatus(status)) {
+            report('unknown-status', 'source', index, statusColumn, status, `${statusColumn} "${status}" is not a known status`);
+        }
+    }
+    
+    function addTargetRow(row, index) {
+        checkCommon('target', row, index, targetEmailColumn);
+    }
+    
+    function finish() {
+        // Columns missing from a whole sheet: one finding instead of one per row
+        const missingColumns = [];
+        Object.entries(required).forEach(([role, columns]) => {
+            columns
+                .filter(column => rows[role] > 0 && !seenColumns[role].has(column))
+                .forEach(column => missingColumns.push({ role: role, column: column }));
+        });
+        const audited = findings.filter(finding => !missingColumns.some(missing =>
+            finding.check === 'missing-required' && finding.sheet === sheets[missing.role] && finding.column === missing.column));
+        missingColumns.forEach(missing => {
+            audited.push({
+                check: 'missing-required',
+                sheet: sheets[missing.role],
+                rowNumber: null,
+                column: missing.column,
+                value: '',
+                message: `${sheets[missing.role]} has no ${missing.column} column`
+            });
+        });
+        
+        const counts = {};
+        Object.keys(AUDIT_CHECKS).forEach(check => {
+            counts[check] = 0;
+        });
+        audited.forEach(finding => counts[finding.check]++);
+        
+        const results = thresholds.map(threshold => {
+            const checkRows = threshold.check === TOTAL_THRESHOLD
+                ? rows.source + rows.target
+                : AUDIT_CHECKS[threshold.check].sheets.reduce((sum, role) => sum + rows[role], 0);
+            const count = threshold.check === TOTAL_THRESHOLD ? audited.length : counts[threshold.check];
+            const measured = threshold.percent ? (checkRows > 0 ? (count / checkRows) * 100 : 0) : count;
+            return { ...threshold, count: count, rows: checkRows, exceeded: measured > threshold.limit };
+        });
+        const issues = results
+            .filter(result => result.exceeded)
+            .map(result => `${result.check}: ${result.count} findings exceed the threshold of ${result.limit}${result.percent ? `% of ${result.rows} rows` : ''}`);
+        
+        return {
+            status: issues.length > 0 ? 'FAILED' : 'PASSED',
+            sheets: sheets,
+            rows: rows,
+            counts: counts,
+            thresholds: results,
+            findings: audited,
+            issues: issues
+        };
+    }
+    
+    return { addSourceRow, addTargetRow, finish };
+}
+
+/**
+ * Audits in-memory source and target rows (see createSourceAudit)
+ */
+function auditRows({ sourceRows, targetRows = [], mapping, sheets }, options = {}) {
+    const audit = createSourceAudit(mapping, options, sheets);
+    sourceRows.forEach((row, index) => audit.addSourceRow(row, index));
+    targetRows.forEach((row, index) => audit.addTargetRow(row, index));
+    return audit.finish();
+}
+
+module.exports = {
+    AUDIT_CHECKS,
+    parseAuditThresholds,
+    createSourceAudit,
+    auditRows
+};
@@ -0,0 +1,121 @@
+const path = require('path');
+const { DEFAULT_OPTIONS } = require('./config');
+const { parseDate } = require('./dates');
+
+/**
+ * Record Selection Strategies
+ *
+ * When an email has several source rows, a strategy decides which one wins.
+ * Each strategy is a sort comparator over candidates ({ row, createDate,
+ * rowNumber, ... }); the first candidate after sorting is selected.
+ *
+ *   latest-create-date         latest Most Recent Create Date (rows without a date last)
+ *   prefer-active-then-latest  active subscriptions first, then latest create date
+ *   latest-billing-end         latest Billing End Date, then latest create date
+ *
+ * Any other value is treated as the path of a custom module exporting a
+ * comparator function, or an object with a compare function (and optionally
+ * a description).
+ */
+
+const DEFAULT_STRATEGY = 'latest-create-date';
+
+/**
+ * Latest create date first, rows without a date last
+ */
+function compareByLatestCreateDate(a, b) {
+    if (!a.createDate && !b.createDate) return 0;
+    if (!a.createDate) return 1; // null dates go to end
+    if (!b.createDate) return -1;
+    return b.createDate.getTime() - a.createDate.getTime(); // Latest first
+}
+
+/**
+ * Compares two optional dates, latest first and missing dates last
+ */
+function compareDatesDescending(a, b) {
+    if (!a && !b) return 0;
+    if (!a) return 1;
+    if (!b) return -1;
+    return b.getTime() - a.getTime();
+}
+
+const BUILT_IN_STRATEGIES = {
+    'latest-create-date': {
+        label: 'Latest Date',
+        description: 'Latest Create Date',
+        createComparator: () => compareByLatestCreateDate
+    },
+    'prefer-active-then-latest': {
+        label: 'Active, then Latest Date',
+        description: 'Active subscription first, then Latest Create Date',
+        createComparator: (options) => {
+            const statusColumn = options.statusColumn || DEFAULT_OPTIONS.statusColumn;
+            const activeStatuses = (options.activeStatuses || DEFAULT_OPTIONS.activeStatuses).map(status => status.toLowerCase());
+            const isActive = candidate => activeStatuses.includes(String(candidate.row[statusColumn] || '').trim().toLowerCase());
+            
+            return (a, b) => (isActive(b) - isActive(a)) || compareByLatestCreateDate(a, b);
+        }
+    },
+    'latest-billing-end': {
+        label: 'Latest Billing End',
+        description: 'Latest Billing End Date, then Latest Create Date',
+        createComparator: (options) => {
+            const billingEndColumn = options.billingEndColumn || DEFAULT_OPTIONS.billingEndColumn;
+            const billingEnd = candidate => parseDate(candidate.row[billingEndColumn], options);
+            
+            return (a, b) => compareDatesDescending(billingEnd(a), billingEnd(b)) || compareByLatestCreateDate(a, b);
+        }
+    }
+};
+
+/**
+ * Loads a custom comparator module
+ */
+function loadCustomStrategy(spec) {
+    const modulePath = path.resolve(spec);
+    let exported;
+    try {
+        exported = require(modulePath);
+    } catch (error) {
+        throw new Error(`Unknown strategy "${spec}": not a built-in strategy (${Object.keys(BUILT_IN_STRATEGIES).join(', ')}) and the module could not be loaded (${error.message})`);
+    }
+    
+    const compare = typeof exported === 'function' ? exported : exported && exported.compare;
+    if (typeof compare !== 'function') {
+        throw new Error(`Strategy module ${modulePath} must export a comparator function or { compare }`);
+    }
+    
+    return {
+        name: modulePath,
+        label: 'Custom',
+        description: (exported && exported.description) || `Custom comparator (${path.basename(modulePath)})`,
+        compare: compare
+    };
+}
+
+/**
+ * Resolves a strategy name (or custom module path) to { name, label, description, compare }
+ */
+function resolveStrategy(spec, options = {}) {
+    const name = spec || DEFAULT_STRATEGY;
+    const builtIn = BUILT_IN_STRATEGIES[name];
+    
+    if (!builtIn) {
+        return loadCustomStrategy(name);
+    }
+    
+    return {
+        name: name,
+        label: builtIn.label,
+        description: builtIn.description,
+        compare: builtIn.createComparator(options)
+    };
+}
+
+module.exports = {
+    DEFAULT_STRATEGY,
+    BUILT_IN_STRATEGIES,
+    compareByLatestCreateDate,
+    resolveStrategy
+};
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const xlsx = require('xlsx');
+const {
+    DELIMITERS,
+    createDelimitedParser,
+    isBlankRecord,
+    recordToRow,
+    formatDelimitedValue,
+    selectSheet,
+    readDataset
+} = require('./io');
+
+/**
+ * Streaming Dataset Input/Output
+ *
+ * Reads datasets one row at a time and writes output rows as they are
+ * produced, for exports too large to hold as row arrays (see --stream).
+ *
+ *   csv, tsv  read and written in chunks; memory does not grow with the file
+ *   ndjson    read line by line and written row by row
+ *   json      written row by row; read whole (a JSON array cannot be read in parts)
+ *   xlsx      read whole: SheetJS parses the complete workbook, but rows are
+ *             converted XLSX_CHUNK_ROWS at a time instead of all at once;
+ *             cannot be written as a stream
+ *
+ * Only STREAMED_FORMATS are read in bounded memory; map --stream refuses the
+ * others, while the source audit still reads them through streamRows.
+ *
+ * Rows are numbered like readDataset's arrays (blank rows skipped), so row
+ * numbers in reports match either way.
+ */
+
+const READ_CHUNK_BYTES = 1024 * 1024;
+const WRITE_BUFFER_ROWS = 1000;
+const XLSX_CHUNK_ROWS = 10000;
+
+// Formats streamRows reads without holding the whole file
+const STREAMED_FORMATS = ['csv', 'tsv', 'ndjson'];
+
+/**
+ * Header names of an xlsx sheet, as sheet_to_json names them (blank headers
+ * become __EMPTY, repeated ones get _1, _2, ...)
+ */
+function xlsxHeader(sheet, range) {
+    const header = [];
+    const seen = {};
+    for (let column = range.s.c; column <= range.e.c; column++) {
+        const cell = sheet[xlsx.utils.encode_cell({ r: range.s.r, c: column })] || { w: '__EMPTY', t: 's' };
+        const name = xlsx.utils.format_cell(cell);
+        let unique = name;
+        let counter = seen[name] || 0;
+        if (counter) {
+            do {
+                unique = `${name}_${counter++}`;
+            } while (seen[unique]);
+            seen[unique] = 1;
+        }
+        seen[name] = counter || 1;
+        header.push(unique);
+    }
+    return header;
+}
+
+/**
+ * Calls onRow(row, index) for each row of an xlsx sheet
+ */
+function streamXlsxRows(dataset, onRow) {
+    const workbook = xlsx.readFile(dataset.file);
+    const sheet = workbook.Sheets[selectSheet(workbook, dataset)];
+    if (!sheet['!ref']) return 0;
+    
+    const range = xlsx.utils.decode_range(sheet['!ref']);
+    const header = xlsxHeader(sheet, range);
+    let index = 0;
+    
+    for (let start = range.s.r + 1; start <= range.e.r; start += XLSX_CHUNK_ROWS) {
+        const chunk = {
+            s: { r: start, c: range.s.c },
+            e: { r: Math.min(start + XLSX_CHUNK_ROWS - 1, range.e.r), c: range.e.c }
+        };
+        xlsx.utils.sheet_to_json(sheet, { header: header, range: chunk }).forEach(row => onRow(row, index++));
+    }
+    return index;
+}
+
+/**
+ * Calls onRow(row, index) for each row of a CSV or TSV file, reading it in chunks
+ */
+async function streamDelimitedRows(dataset, onRow) {
+    let header = null;
+    let index = 0;
+    const parser = createDelimitedParser(DELIMITERS[dataset.format], record => {
+        if (!header) {
+            header = record;
+        } else if (!isBlankRecord(record)) {
+            onRow(recordToRow(header, record), index++);
+        }
+    });
+    
+    let first = true;
+    const stream = fs.createReadStream(dataset.file, { encoding: 'utf8', highWaterMark: READ_CHUNK_BYTES });
+    for await (const chunk of stream) {
+        parser.write(first ? chunk.replace(/^\uFEFF/, '') : chunk);
+        first = false;
+    }
+    parser.end();
+    return index;
+}
+
+/**
+ * Calls onRow(row, index) for each line of an NDJSON file
+ */
+async function streamNdjsonRows(dataset, onRow) {
+    let index = 0;
+    const lines = readline.createInterface({
+        input: fs.createReadStream(dataset.file, { encoding: 'utf8', highWaterMark: READ_CHUNK_BYTES }),
+        crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+        if (line.trim() !== '') {
+            onRow(JSON.parse(line), index++);
+        }
+    }
+    return index;
+}
+
+/**
+ * Reads a dataset one row at a time, calling onRow(row, index) for each.
+ * Resolves to the number of rows read.
+ */
+async function streamRows(dataset, onRow) {
+    if (!fs.existsSync(dataset.file)) {
+        throw new Error(`${dataset.role} file not found: ${dataset.file}`);
+    }
+    
+    switch (dataset.format) {
+        case 'xlsx':
+            return streamXlsxRows(dataset, onRow);
+        case 'csv':
+        case 'tsv':
+            return streamDelimitedRows(dataset, onRow);
+        case 'ndjson':
+            return streamNdjsonRows(dataset, onRow);
+        case 'json': {
+            const rows = readDataset(dataset);
+            rows.forEach((row, index) => onRow(row, index));
+            return rows.length;
+        }
+        default:
+            throw new Error(`Unsupported format: ${dataset.format}`);
+    }
+}
+
+/**
+ * Opens a writer that appends rows to a dataset as they are produced.
+ * Delimited output takes its columns from the first row; every later row
+ * must have the same columns. Returns { write(row), end() }; end() closes
+ * the file and returns the number of rows written.
+ */
+function createRowWriter(dataset) {
+    if (dataset.format === 'xlsx') {
+        throw new Error(`Cannot stream xlsx output (${dataset.file}); write csv, tsv, json or ndjson when streaming`);
+    }
+    
+    fs.mkdirSync(path.dirname(dataset.file), { recursive: true });
+    const fd = fs.openSync(dataset.file, 'w');
+    const delimiter = DELIMITERS[dataset.format];
+    let columns = null;
+    let buffer = [];
+    let count = 0;
+    
+    function flush() {
+        if (buffer.length > 0) {
+            fs.writeSync(fd, buffer.join(''));
+            buffer = [];
+        }
+    }
+    
+    function write(row) {
+        if (delimiter) {
+            if (!columns) {
+                columns = Object.keys(row);
+                buffer.push(columns.map(column => formatDelimitedValue(column, delimiter)).join(delimiter) + '\n');
+            }
+            const extra = Object.keys(row).find(column => !columns.includes(column));
+            if (extra) {
+                throw new Error(`Output row ${count + 2} has a column the first row lacks ("${extra}"); streamed output needs the same columns in every row`);
+            }
+            buffer.push(columns.map(column => formatDelimitedValue(row[column], delimiter)).join(delimiter) + '\n');
+        } else if (dataset.format === 'json') {
+            buffer.push(`${count === 0 ? '[\n' : ',\n'}${JSON.stringify(row, null, 2).replace(/^/gm, '  ')}`);
+        } else {
+            buffer.push(JSON.stringify(row) + '\n');
+        }
+        
+        count++;
+        if (buffer.length >= WRITE_BUFFER_ROWS) {
+            flush();
+        }
+    }
+    
+    function end() {
+        if (dataset.format === 'json') {
+            buffer.push(count === 0 ? '[]' : '\n]');
+        }
+        flush();
+        fs.closeSync(fd);
+        return count;
+    }
+    
+    return { write, end };
+}
+
+module.exports = {
+    STREAMED_FORMATS,
+    streamRows,
+    createRowWriter
+};
@@ -0,0 +1,1323 @@
+const { DEFAULT_OPTIONS } = require('./config');
+const { validateDateOptions, parseDate } = require('./dates');
+const { OPTION_TYPES, isBlank, enumOptions, resolveEnumValue } = require('./mapping');
+const { getProfile } = require('./profiles');
+const { hubspotSettings } = require('./hubspot');
+const { normalizeEmail, normalizeKeyValue, buildLatestRecordIndex, formatSelectionReason } = require('./records');
+const {
+    CHANGED_FIELDS_COLUMN,
+    MATCH_STATUS_COLUMN,
+    SOURCE_ID_COLUMN,
+    SOURCE_RECORD_ID_COLUMN,
+    SOURCE_ROW_NUMBER_COLUMN,
+    SELECTION_REASON_COLUMN,
+    PROVENANCE_COLUMNS,
+    MATCH_METHOD_COLUMN,
+    MATCH_CONFIDENCE_COLUMN,
+    MATCH_KEY_COLUMN,
+    MATCH_KEY_VALUE_COLUMN,
+    matchStatus,
+    oldColumnName,
+    newColumnName,
+    existingTargetValue,
+    sameMappedValue,
+    changedFieldNames
+} = require('./mapper');
+const { MATCH_KEYS, parseMatchKeys, createKeyMatcher, usesKeyMatching } = require('./keys');
+const { acceptsMatch, usesExtendedMatching } = require('./matching');
+const { skipReason } = require('./policies');
+const { findDuplicateContacts, duplicateDecision } = require('./duplicates');
+const { splitMultiValue, splitWrittenValue, formatMultiValue, combinesSubscriptions } = require('./multi-values');
+const { aggregateKey, matchesWhere } = require('./aggregates');
+const { conditionKind, asOfDate } = require('./rules');
+
+/**
+ * Field Mapping Verifier
+ *
+ * Checks mapped output rows against the source rows they were built from.
+ * Every check produces a test object ({ name, status, issues, details })
+ * collected on a verification object that can be saved as a JSON report.
+ */
+
+/**
+ * Creates an empty verification result
+ */
+function createVerification() {
+    return {
+        timestamp: new Date().toISOString(),
+        script_verified: 'map-contact-fields.js',
+        status: 'UNKNOWN',
+        tests: [],
+        summary: {
+            totalTests: 0,
+            passedTests: 0,
+            failedTests: 0,
+            skippedTests: 0,
+            warnings: 0
+        },
+        issues: [],
+        warnings: [],
+        details: {}
+    };
+}
+
+/**
+ * Adds a finished test to the verification and updates the summary counts.
+ * A test with issues always fails. A SKIPPED test (with its skipReason)
+ * checked nothing and neither passes nor fails the run.
+ */
+function recordTest(verification, test) {
+    verification.summary.totalTests++;
+    
+    if (test.issues.length > 0) {
+        test.status = 'FAILED';
+    }
+    
+    if (test.status === 'PASSED') {
+        verification.summary.passedTests++;
+    } else if (test.status === 'SKIPPED') {
+        verification.summary.skippedTests++;
+    } else {
+        verification.summary.failedTests++;
+        verification.issues.push(...test.issues);
+    }
+    
+    verification.tests.push(test);
+    return test;
+}
+
+/**
+ * Sets the overall status from the recorded tests
+ */
+function generateFinalStatus(verification) {
+    verification.status = verification.summary.failedTests === 0 ? 'PASSED' : 'FAILED';
+}
+
+/**
+ * Normalizes a value for comparison (handles empty strings, null, undefined)
+ */
+function normalizeValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'string') return value.trim();
+    return String(value);
+}
+
+/**
+ * Computes the value the mapper should have written for a source value
+ */
+function expectedValue(sourceValue, column, profile = getProfile()) {
+    if (isBlank(sourceValue)) {
+        return normalizeValue(column.default);
+    }
+    if (column.type === 'date') {
+        return normalizeValue(profile.formatDate(sourceValue, column));
+    }
+    if (column.type === 'number' && !isNaN(Number(sourceValue))) {
+        return String(Number(sourceValue));
+    }
+    if (column.type === 'enum') {
+        const resolved = resolveEnumValue(sourceValue, column);
+        return normalizeValue(resolved !== null ? resolved : sourceValue);
+    }
+    if (column.type === 'multi') {
+        return formatMultiValue(sourceValue, column);
+    }
+    return normalizeValue(sourceValue);
+}
+
+// Identity column the hubspot profile copies the contact's Record ID into
+const OUTPUT_RECORD_ID_COLUMN = 'Record ID';
+
+/**
+ * Indexes target rows by normalized email (first row wins)
+ */
+function indexTargetRows(targetRows, options) {
+    const emailColumn = options.targetEmailColumn || DEFAULT_OPTIONS.targetEmailColumn;
+    const index = new Map();
+    (targetRows || []).forEach(row => {
+        const email = normalizeEmail(row[emailColumn]);
+        if (email && !index.has(email)) {
+            index.set(email, row);
+        }
+    });
+    return index;
+}
+
+/**
+ * Indexes target rows by the value of each match key besides email
+ * (key name -> Map of key value -> rows)
+ */
+function indexTargetKeys(targetRows, keys, options) {
+    const indexes = {};
+    keys.filter(key => key !== 'email').forEach(key => {
+        const column = MATCH_KEYS[key].targetColumn(options);
+        const index = new Map();
+        (targetRows || []).forEach(row => {
+            const value = normalizeKeyValue(row[column]);
+            if (value) {
+                index.set(value, [...(index.get(value) || []), row]);
+            }
+        });
+        indexes[key] = index;
+    });
+    return indexes;
+}
+
+/**
+ * Finds the target row an output row was built from: the contact
+ * resolveTargetRows gave it, otherwise (for rows no contact accounts for) by
+ * its Match Key Value when an ID key matched it, otherwise by email
+ */
+function findTargetRow(context, outputRow) {
+    if (context.outputTargets.has(outputRow)) {
+        return context.outputTargets.get(outputRow);
+    }
+    
+    const email = normalizeEmail(outputRow[context.emailColumn]);
+    const keyIndex = context.targetKeyIndexes[normalizeValue(outputRow[MATCH_KEY_COLUMN])];
+    const keyValue = normalizeKeyValue(outputRow[MATCH_KEY_VALUE_COLUMN]);
+    if (keyIndex && keyValue && keyIndex.has(keyValue)) {
+        // Several contacts may share a key value; prefer the one with this email
+        const rows = keyIndex.get(keyValue);
+        return rows.find(row => normalizeEmail(row[context.targetEmailColumn]) === email) || rows[0];
+    }
+    
+    return (email && context.targetIndex.get(email)) || null;
+}
+
+/**
+ * An email as written, compared trimmed and lowercased (invalid and blank
+ * emails included, unlike normalizeEmail)
+ */
+function emailKey(value) {
+    return normalizeValue(value).toLowerCase();
+}
+
+/**
+ * True when the mapper should write an output row for a target row: a
+ * confident match (with a change in diff mode), or any contact with
+ * includeUnmatched
+ */
+function expectedInOutput(context, targetRow) {
+    const match = context.keyMatcher.match(targetRow);
+    const selection = acceptsMatch(match, context.options) ? expectedSelection(context, match) : null;
+    if (!selection) return context.includeUnmatched;
+    return !context.diff || expectedChanges(context, selection.selected.row, targetRow).changed.length > 0;
+}
+
+/**
+ * Resolves each output row to the contact it was built from, so contacts
+ * sharing an email are each checked against their own values. The mapper
+ * writes contacts in Sheet 2 order, so the output rows of an email take the
+ * contacts of that email that should be output in turn; a Record ID on the
+ * output row (hubspot profile) picks its own contact, and so does the Match
+ * Key Value of a row matched by an ID key.
+ * Returns a Map of output row -> target row; rows left over (more output rows
+ * than contacts for their email) are not in it.
+ */
+function resolveTargetRows(context) {
+    const recordIdColumn = hubspotSettings(context.mapping).recordIdColumn;
+    const queues = new Map();
+    context.targetRows.forEach(row => {
+        if (!expectedInOutput(context, row)) return;
+        
+        const email = emailKey(row[context.targetEmailColumn]);
+        if (!queues.has(email)) {
+            queues.set(email, []);
+        }
+        queues.get(email).push(row);
+    });
+    
+    const resolved = new Map();
+    context.outputRows.forEach(outputRow => {
+        const queue = queues.get(emailKey(outputRow[context.emailColumn])) || [];
+        const recordId = normalizeKeyValue(outputRow[OUTPUT_RECORD_ID_COLUMN]);
+        let position = recordId
+            ? queue.findIndex(row => normalizeKeyValue(row[recordIdColumn]) === recordId)
+            : (queue.length > 0 ? 0 : -1);
+        
+        // Matched by an ID key: the contact holding that key value, when one does
+        const key = normalizeValue(outputRow[MATCH_KEY_COLUMN]);
+        const keyValue = normalizeKeyValue(outputRow[MATCH_KEY_VALUE_COLUMN]);
+        if (!recordId && key !== 'email' && MATCH_KEYS[key] && keyValue) {
+            const column = MATCH_KEYS[key].targetColumn(context.options);
+            const keyed = queue.findIndex(row => normalizeKeyValue(row[column]) === keyValue);
+            position = keyed !== -1 ? keyed : position;
+        }
+        if (position !== -1) {
+            resolved.set(outputRow, queue.splice(position, 1)[0]);
+        }
+    });
+    return resolved;
+}
+
+/**
+ * Output column holding the mapped value of a column (new_<column> in diff mode)
+ */
+function outputColumnName(context, column) {
+    const columnName = context.profile.columnName(column);
+    return context.diff ? newColumnName(columnName) : columnName;
+}
+
+/**
+ * The contact's current value for a mapped column, as the mapper formats it
+ */
+function expectedExistingValue(context, targetRow, column) {
+    const existing = targetRow ? existingTargetValue(targetRow, column, context.profile) : undefined;
+    if (isBlank(existing)) return '';
+    return expectedValue(column.type === 'multi' ? splitWrittenValue(existing) : existing, column, context.profile);
+}
+
+/**
+ * Groups the source rows by email, in sheet order, without the mapper's
+ * record index
+ */
+function groupSourceRows(sourceRows, options) {
+    const sourceEmailColumn = options.sourceEmailColumn || DEFAULT_OPTIONS.sourceEmailColumn;
+    const groups = new Map();
+    sourceRows.forEach(row => {
+        const email = normalizeEmail(row[sourceEmailColumn]);
+        if (!email) return;
+        
+        if (!groups.has(email)) {
+            groups.set(email, []);
+        }
+        groups.get(email).push(row);
+    });
+    return groups;
+}
+
+/**
+ * Every source row of the selected row's email, in sheet order
+ */
+function emailRows(context, sourceRow) {
+    const sourceEmailColumn = context.options.sourceEmailColumn || DEFAULT_OPTIONS.sourceEmailColumn;
+    return context.sourceGroups.get(normalizeEmail(sourceRow[sourceEmailColumn])) || [];
+}
+
+/**
+ * Recomputes an aggregate column from every source row of the selected row's
+ * email, sorting the rows where the mapper folds them one at a time
+ */
+function recomputeAggregate(context, column, sourceRow) {
+    const rows = emailRows(context, sourceRow).filter(row => matchesWhere(row, column.where));
+    
+    if (column.aggregate === 'count') {
+        return rows.filter(row => !column.source || !isBlank(row[column.source])).length;
+    }
+    if (column.aggregate === 'concat-distinct') {
+        const items = rows.flatMap(row => splitMultiValue(row[column.source], column));
+        return items.length > 0 ? items : '';
+    }
+    
+    // min, max and first-by: the first row sorted by its key; the sort is
+    // stable, so ties stay in sheet order, and rows without a key go last
+    const firstBy = column.aggregate === 'first-by';
+    const descending = column.aggregate === 'max' || (firstBy && column.order === 'desc');
+    const keyed = rows
+        .map(row => ({ row: row, key: aggregateKey(firstBy ? row[column.by] : row[column.source], firstBy ? column.byType : column.type, context.options) }))
+        .filter(entry => firstBy || entry.key !== null)
+        .sort((a, b) => {
+            if (a.key === b.key) return 0;
+            if (a.key === null) return 1;
+            if (b.key === null) return -1;
+            return (a.key < b.key) !== descending ? -1 : 1;
+        });
+    return keyed.length > 0 ? keyed[0].row[column.source] : '';
+}
+
+/**
+ * Recomputes a rule column from every source row of the selected row's email:
+ * the value of the first rule whose conditions all hold over the rows, or the
+ * column's default
+ */
+function recomputeRule(context, column, sourceRow) {
+    const rows = emailRows(context, sourceRow);
+    const fallback = column.default !== undefined ? column.default : '';
+    if (rows.length === 0) return fallback;
+    const now = asOfDate(context.options);
+    
+    const holds = condition => {
+        const kind = conditionKind(condition);
+        const matches = row => matchesWhere(row, { [condition[kind]]: condition.in });
+        if (kind === 'every') return rows.every(matches);
+        if (kind === 'any') return rows.some(matches);
+        if (kind === 'none') return !rows.some(matches);
+        
+        const times = rows
+            .map(row => isBlank(row[condition[kind]]) ? null : parseDate(row[condition[kind]], context.options))
+            .filter(Boolean)
+            .map(date => date.getTime());
+        if (times.length === 0) return false;
+        const time = kind === 'latest' ? Math.max(...times) : Math.min(...times);
+        const bound = condition.before !== undefined ? condition.before : condition.after;
+        const boundTime = bound === 'now' ? now.getTime() : parseDate(bound, context.options).getTime();
+        return condition.before !== undefined ? time < boundTime : time > boundTime;
+    };
+    
+    const fired = column.rules.find(rule => rule.when.every(holds));
+    return fired ? fired.value : fallback;
+}
+
+/**
+ * Recomputes a combined multi-value column: the selected row's items, then
+ * those of every row of the email whose Status the column counts, each item
+ * once ('' when there are none)
+ */
+function recomputeCombined(context, column, sourceRow) {
+    const statusColumn = context.options.statusColumn || DEFAULT_OPTIONS.statusColumn;
+    const statuses = (column.combineStatuses || context.options.activeStatuses || DEFAULT_OPTIONS.activeStatuses)
+        .map(status => String(status).trim().toLowerCase());
+    const others = emailRows(context, sourceRow)
+        .filter(row => statuses.includes(String(row[statusColumn] || '').trim().toLowerCase()))
+        .flatMap(row => splitMultiValue(row[column.source], column));
+    const items = splitMultiValue(splitMultiValue(sourceRow[column.source], column).concat(others), column);
+    return items.length > 0 ? items : '';
+}
+
+/**
+ * The source value the mapper reads for a column: recomputed for combined
+ * multi-value, aggregate and rule columns
+ */
+function expectedSourceValue(context, column, sourceRow) {
+    if (column.rules) {
+        return recomputeRule(context, column, sourceRow);
+    }
+    if (column.aggregate) {
+        return recomputeAggregate(context, column, sourceRow);
+    }
+    if (combinesSubscriptions(column)) {
+        return recomputeCombined(context, column, sourceRow);
+    }
+    return sourceRow[column.source];
+}
+
+/**
+ * Computes the value a mapped column should hold under the column's overwrite
+ * policy. Returns { expected, existing, skipped } where skipped is the reason
+ * the contact's current value was kept (null when the source value applies).
+ */
+function expectedField(context, column, sourceRow, targetRow) {
+    const incoming = expectedValue(expectedSourceValue(context, column, sourceRow), column, context.profile);
+    const existing = expectedExistingValue(context, targetRow, column);
+    const skipped = targetRow
+        ? skipReason(column, { incoming: incoming, existing: existing, sourceRow: sourceRow, targetRow: targetRow }, context.options)
+        : null;
+    
+    return { expected: skipped ? existing : incoming, existing, skipped };
+}
+
+/**
+ * Works out which mapped columns change for a contact in diff mode, and the
+ * old value the output should show for each column
+ */
+function expectedChanges(context, sourceRow, targetRow) {
+    const changed = [];
+    const oldValues = {};
+    
+    context.mapping.columns.forEach(column => {
+        const columnName = context.profile.columnName(column);
+        const field = expectedField(context, column, sourceRow, targetRow);
+        
+        oldValues[columnName] = field.existing;
+        if (!sameMappedValue(column, field.existing, field.expected)) {
+            changed.push(columnName);
+        }
+    });
+    
+    return { changed, oldValues };
+}
+
+/**
+ * Matches an output row's contact against the source the way the mapper
+ * does. Without target rows only the output email can be matched.
+ */
+function outputMatch(context, outputRow) {
+    const targetRow = findTargetRow(context, outputRow) || { [context.targetEmailColumn]: outputRow[context.emailColumn] };
+    return context.keyMatcher.match(targetRow);
+}
+
+/**
+ * The output row's match, only when it is confident enough to have been written
+ */
+function acceptedMatch(context, outputRow) {
+    const match = outputMatch(context, outputRow);
+    return acceptsMatch(match, context.options) ? match : null;
+}
+
+/**
+ * The output row's Match Status, or the status its contact gets when the
+ * profile leaves the match columns out
+ */
+function outputStatus(context, outputRow) {
+    if (context.auditColumns) {
+        return normalizeValue(outputRow[MATCH_STATUS_COLUMN]);
+    }
+    return matchStatus(outputRow[context.emailColumn], outputMatch(context, outputRow), context.options);
+}
+
+/**
+ * The key the output row says it was matched by (blank when unmatched), or
+ * the key its contact matches by when the profile leaves the match columns out
+ */
+function outputMatchKey(context, outputRow) {
+    if (context.auditColumns) {
+        return normalizeValue(outputRow[MATCH_KEY_COLUMN]);
+    }
+    const match = acceptedMatch(context, outputRow);
+    return match ? match.key : '';
+}
+
+/**
+ * Rank key of an optional date: later dates rank higher, a missing one lowest
+ */
+function dateRank(date) {
+    return date ? date.getTime() : -Infinity;
+}
+
+/**
+ * The built-in strategies ranked here, apart from the comparators in
+ * strategies.js, so a bug there does not pass verification. Each returns a
+ * candidate's rank keys, compared in turn with the larger first.
+ */
+const SELECTION_RANKS = {
+    'latest-create-date': () => candidate => [dateRank(candidate.createDate)],
+    'prefer-active-then-latest': (options) => {
+        const statusColumn = options.statusColumn || DEFAULT_OPTIONS.statusColumn;
+        const activeStatuses = (options.activeStatuses || DEFAULT_OPTIONS.activeStatuses).map(status => String(status).trim().toLowerCase());
+        return candidate => [
+            activeStatuses.includes(String(candidate.row[statusColumn] || '').trim().toLowerCase()) ? 1 : 0,
+            dateRank(candidate.createDate)
+        ];
+    },
+    'latest-billing-end': (options) => {
+        const billingEndColumn = options.billingEndColumn || DEFAULT_OPTIONS.billingEndColumn;
+        return candidate => [dateRank(parseDate(candidate.row[billingEndColumn], options)), dateRank(candidate.createDate)];
+    }
+};
+
+/**
+ * Compares candidates by their rank keys: negative when a ranks first
+ */
+function compareRanks(a, b) {
+    for (let i = 0; i < a.rank.length; i++) {
+        if (a.rank[i] !== b.rank[i]) {
+            return a.rank[i] > b.rank[i] ? -1 : 1;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Works out, without the mapper's record index, which source row each value
+ * of a match key should select: a single pass over the source rows keeps the
+ * row the strategy ranks first (the earlier row on a tie) and the runner-up.
+ * Built-in strategies are ranked by SELECTION_RANKS; only a custom strategy's
+ * comparator is shared with the mapper.
+ *
+ * Returns Map of key value -> { selected, runnerUp, count, tied }
+ */
+function expectedSelections(context, key) {
+    if (context.expectedSelections[key]) {
+        return context.expectedSelections[key];
+    }
+    
+    const column = MATCH_KEYS[key].sourceColumn(context.options);
+    const emailColumn = MATCH_KEYS.email.sourceColumn(context.options);
+    const strategy = context.sourceIndex.strategy;
+    const rankOf = SELECTION_RANKS[strategy.name] ? SELECTION_RANKS[strategy.name](context.options) : null;
+    const compare = rankOf ? compareRanks : strategy.compare;
+    const selections = new Map();
+    
+    context.sourceRows.forEach((row, index) => {
+        const value = key === 'email' ? normalizeEmail(row[column]) : normalizeKeyValue(row[column]);
+        if (!value) return;
+        
+        const candidate = {
+            row: row,
+            index: index,
+            rowNumber: index + 2,
+            email: normalizeEmail(row[emailColumn]),
+            createDate: parseDate(row[context.createDateColumn], context.options)
+        };
+        if (rankOf) {
+            candidate.rank = rankOf(candidate);
+        }
+        const selection = selections.get(value);
+        if (!selection) {
+            selections.set(value, { selected: candidate, runnerUp: null, count: 1 });
+            return;
+        }
+        
+        selection.count++;
+        if (compare(candidate, selection.selected) < 0) {
+            selection.runnerUp = selection.selected;
+            selection.selected = candidate;
+        } else if (!selection.runnerUp || compare(candidate, selection.runnerUp) < 0) {
+            selection.runnerUp = candidate;
+        }
+    });
+    
+    selections.forEach(selection => {
+        selection.tied = selection.runnerUp !== null && compare(selection.selected, selection.runnerUp) === 0;
+    });
+    context.expectedSelections[key] = selections;
+    return selections;
+}
+
+/**
+ * The independently selected source row for a match (see expectedSelections)
+ */
+function expectedSelection(context, match) {
+    const value = match.key === 'email' ? match.email : match.keyValue;
+    return expectedSelections(context, match.key).get(value) || null;
+}
+
+/**
+ * Looks up the source row an output row should have been mapped from
+ */
+function findSourceRow(context, outputRow) {
+    const match = acceptedMatch(context, outputRow);
+    const selection = match ? expectedSelection(context, match) : null;
+    return selection ? selection.selected.row : null;
+}
+
+/**
+ * Spreadsheet row number of the source row an output row should have been
+ * mapped from, so reports can point at it; null when there is none
+ */
+function findSourceRowNumber(context, outputRow) {
+    const match = acceptedMatch(context, outputRow);
+    const selection = match ? expectedSelection(context, match) : null;
+    return selection ? selection.selected.rowNumber : null;
+}
+
+/**
+ * Every output contact must match the source data (by email, or by the
+ * match key recorded in the output)
+ */
+function checkEmailMatching(context) {
+    const test = {
+        name: 'Email Matching',
+        status: 'PASSED',
+        issues: [],
+        details: {
+            totalOutputEmails: context.outputRows.length,
+            matchedEmails: 0,
+            unmatchedEmails: []
+        }
+    };
+    
+    context.outputRows.forEach((row) => {
+        const email = row[context.emailColumn];
+        if (context.includeUnmatched && outputStatus(context, row) !== 'matched') {
+            return; // Kept unmatched contacts are checked in the match status test
+        }
+        const matchKey = outputMatchKey(context, row);
+        const matchedByKey = matchKey !== '' && matchKey !== 'email';
+        if (!email && !matchedByKey) {
+            test.issues.push('Found row without Email in output');
+            return;
+        }
+        
+        const normalizedEmail = normalizeEmail(email);
+        
+        if (!acceptedMatch(context, row)) {
+            const contact = email || `${row[MATCH_KEY_COLUMN]} ${row[MATCH_KEY_VALUE_COLUMN]}`;
+            test.details.unmatchedEmails.push(normalizedEmail || contact);
+            test.issues.push(`${email ? 'Email' : 'Contact'} in output not found in Sheet 1: ${contact}`);
+        } else {
+            test.details.matchedEmails++;
+        }
+    });
+    
+    return test;
+}
+
+/**
+ * Emails with several source rows must select the row the strategy ranks
+ * first. The provenance columns of every matched output row are checked
+ * against the independently computed selection (see expectedSelections).
+ * Without provenance columns there is nothing to check and the test is
+ * SKIPPED.
+ */
+function checkRowSelection(context) {
+    const strategy = context.sourceIndex.strategy;
+    const test = {
+        name: `Row Selection (${strategy.label})`,
+        status: 'PASSED',
+        issues: [],
+        details: {
+            strategy: strategy.name,
+            provenance: context.provenance,
+            emailsWithMultipleIds: 0,
+            rowsChecked: 0,
+            multipleIdRowsChecked: 0,
+            correctSelections: 0,
+            incorrectSelections: []
+        }
+    };
+    
+    expectedSelections(context, 'email').forEach(selection => {
+        if (selection.count > 1) {
+            test.details.emailsWithMultipleIds++;
+        }
+    });
+    if (!context.provenance) {
+        // Nothing to check in the output; field accuracy still uses the expected rows
+        test.status = 'SKIPPED';
+        test.skipReason = context.auditColumns
+            ? 'provenance columns are off (--provenance=false)'
+            : `the ${context.profile.name} profile leaves the provenance columns out`;
+        return test;
+    }
+    
+    context.outputRows.forEach((outputRow, index) => {
+        const email = outputRow[context.emailColumn];
+        if (context.includeUnmatched && outputStatus(context, outputRow) !== 'matched') {
+            return; // Unmatched contacts have blank provenance (checked in the match status test)
+        }
+        
+        const match = acceptedMatch(context, outputRow);
+        const selection = match ? expectedSelection(context, match) : null;
+        if (!selection) {
+            return; // Reported by the email matching test
+        }
+        
+        test.details.rowsChecked++;
+        if (selection.count > 1) {
+            test.details.multipleIdRowsChecked++;
+        }
+        
+        const expected = {
+            [SOURCE_ID_COLUMN]: normalizeValue(selection.selected.row[context.sourceIdColumn]),
+            [SOURCE_RECORD_ID_COLUMN]: normalizeValue(selection.selected.row[context.sourceRecordIdColumn]),
+            [SOURCE_ROW_NUMBER_COLUMN]: String(selection.selected.rowNumber),
+            [SELECTION_REASON_COLUMN]: formatSelectionReason(selection.count, selection.tied, strategy)
+        };
+        const mismatches = PROVENANCE_COLUMNS.filter(column => normalizeValue(outputRow[column]) !== expected[column]);
+        
+        if (mismatches.length > 0) {
+            test.details.incorrectSelections.push({
+                email: email,
+                rowIndex: index,
+                sourceRowNumber: selection.selected.rowNumber,
+                expected: expected,
+                actual: PROVENANCE_COLUMNS.reduce((actual, column) => ({ ...actual, [column]: normalizeValue(outputRow[column]) }), {})
+            });
+            mismatches.forEach(column => {
+                test.issues.push(`Incorrect ${column} for ${email}. Expected: "${expected[column]}", Got: "${normalizeValue(outputRow[column])}"`);
+            });
+        } else {
+            test.details.correctSelections++;
+        }
+    });
+    
+    return test;
+}
+
+/**
+ * Every mapped column must hold the value derived from the selected source row,
+ * or the contact's current value where the column's overwrite policy kept it
+ */
+function checkFieldAccuracy(context) {
+    const test = {
+        name: 'Field Mapping Accuracy',
+        status: 'PASSED',
+        issues: [],
+        details: {
+            totalFieldsChecked: 0,
+            correctFields: 0,
+            skippedByPolicy: 0,
+            incorrectFields: []
+        }
+    };
+    
+    context.outputRows.forEach((outputRow, index) => {
+        const email = outputRow[context.emailColumn];
+        const sourceRow = findSourceRow(context, outputRow);
+        
+        if (!sourceRow) {
+            return; // Already handled in email matching test
+        }
+        
+        // Identity columns (e.g. HubSpot Record ID) must come from the contact's target row
+        const targetRow = findTargetRow(context, outputRow);
+        if (targetRow) {
+            Object.entries(context.profile.identityColumns(targetRow, context.mapping)).forEach(([columnName, value]) => {
+                test.details.totalFieldsChecked++;
+                
+                const expected = normalizeValue(value);
+                const actual = normalizeValue(outputRow[columnName]);
+                
+                if (expected !== actual) {
+                    test.details.incorrectFields.push({
+                        email: email,
+                        column: columnName,
+                        expected: expected,
+                        actual: actual,
+                        rowIndex: index,
+                        sourceRowNumber: findSourceRowNumber(context, outputRow)
+                    });
+                    test.issues.push(`Field mismatch for ${email}: ${columnName}. Expected: "${expected}", Got: "${actual}"`);
+                } else {
+                    test.details.correctFields++;
+                }
+            });
+        }
+        
+        // Check each mapped column
+        context.mapping.columns.forEach(column => {
+            test.details.totalFieldsChecked++;
+            
+            const columnName = outputColumnName(context, column);
+            const field = expectedField(context, column, sourceRow, targetRow);
+            const expected = field.expected;
+            const actual = normalizeValue(outputRow[columnName]);
+            if (field.skipped) {
+                test.details.skippedByPolicy++;
+            }
+            
+            // Multi-value columns hold a set of items, in any order
+            if (!sameMappedValue(column, expected, actual)) {
+                test.details.incorrectFields.push({
+                    email: email,
+                    column: columnName,
+                    expected: expected,
+                    actual: actual,
+                    rowIndex: index,
+                    sourceRowNumber: findSourceRowNumber(context, outputRow)
+                });
+                test.issues.push(`Field mismatch for ${email}: ${columnName}. Expected: "${expected}", Got: "${actual}"`);
+            } else {
+                test.details.correctFields++;
+            }
+        });
+    });
+    
+    return test;
+}
+
+/**
+ * The output must contain the email column and every mapped column
+ */
+function checkDataCompleteness(context) {
+    const test = {
+        name: 'Data Completeness',
+        status: 'PASSED',
+        issues: [],
+        details: {
+            missingColumns: [],
+            missingRequiredFields: []
+        }
+    };
+    
+    // Check that all required columns exist in output
+    const mappedColumns = context.mapping.columns.map(column => context.profile.columnName(column));
+    const requiredColumns = context.diff
+        ? [context.emailColumn, ...mappedColumns.flatMap(name => [oldColumnName(name), newColumnName(name)]), CHANGED_FIELDS_COLUMN]
+        : [context.emailColumn, ...mappedColumns];
+    if (context.includeUnmatched && context.auditColumns) {
+        requiredColumns.push(MATCH_STATUS_COLUMN, SOURCE_ID_COLUMN);
+    }
+    if (context.provenance) {
+        requiredColumns.push(...PROVENANCE_COLUMNS.filter(column => !requiredColumns.includes(column)));
+    }
+    if (usesKeyMatching(context.options) && context.auditColumns) {
+        requiredColumns.push(MATCH_KEY_COLUMN, MATCH_KEY_VALUE_COLUMN);
+    }
+    if (usesExtendedMatching(context.options) && context.auditColumns) {
+        requiredColumns.push(MATCH_METHOD_COLUMN, MATCH_CONFIDENCE_COLUMN);
+    }
+    const outputColumns = context.outputRows.length > 0 ? Object.keys(context.outputRows[0]) : [];
+    
+    requiredColumns.forEach(column => {
+        if (!outputColumns.includes(column)) {
+            test.issues.push(`Required column missing in output: ${column}`);
+            test.details.missingColumns.push(column);
+        }
+    });
+    
+    // Check that all output rows have an email (kept contacts, and contacts
+    // matched by another key, may be missing one)
+    context.outputRows.forEach((row, index) => {
+        if (context.includeUnmatched && outputStatus(context, row) === 'missing-email') {
+            return;
+        }
+        const matchKey = outputMatchKey(context, row);
+        if (matchKey !== '' && matchKey !== 'email') {
+            return;
+        }
+        if (!row[context.emailColumn]) {
+            test.issues.push(`Row ${index + 1} missing Email field`);
+            test.details.missingRequiredFields.push(index + 1);
+        }
+    });
+    
+    return test;
+}
+
+/**
+ * Date columns must use the profile's output format
+ * (MM/DD/YYYY HH:MM:SS by default, YYYY-MM-DD or ISO 8601 for HubSpot)
+ */
+function checkDateFormatting(context) {
+    const test = {
+        name: 'Date Formatting',
+        status: 'PASSED',
+        issues: [],
+        details: {
+            dateFieldsChecked: 0,
+            correctlyFormatted: 0,
+            incorrectlyFormatted: []
+        }
+    };
+    
+    const dateColumns = context.mapping.columns.filter(column => column.type === 'date');
+    
+    context.outputRows.forEach((outputRow, index) => {
+        const email = outputRow[context.emailColumn];
+        const sourceRow = findSourceRow(context, outputRow);
+        
+        if (!sourceRow) return;
+        const targetRow = findTargetRow(context, outputRow);
+        
+        dateColumns.forEach(column => {
+            const sourceValue = expectedSourceValue(context, column, sourceRow);
+            
+            // Fields kept by an overwrite policy hold the contact's own value
+            if (!isBlank(sourceValue) && !expectedField(context, column, sourceRow, targetRow).skipped) {
+                test.details.dateFieldsChecked++;
+                
+                const columnName = outputColumnName(context, column);
+                const expectedFormatted = normalizeValue(context.profile.formatDate(sourceValue, column));
+                const actualFormatted = normalizeValue(outputRow[columnName]);
+                
+                if (!context.profile.datePattern(column).test(actualFormatted) && actualFormatted !== '') {
+                    test.details.incorrectlyFormatted.push({
+                        email: email,
+                        column: columnName,
+                        value: actualFormatted,
+                        rowIndex: index,
+                        sourceRowNumber: findSourceRowNumber(context, outputRow)
+                    });
+                    test.issues.push(`Incorrect date format for ${email}: ${columnName}. Value: "${actualFormatted}"`);
+                } else if (expectedFormatted === actualFormatted) {
+                    test.details.correctlyFormatted++;
+                }
+            }
+        });
+    });
+    
+    return test;
+}
+
+/**
+ * Enum and multi columns with options (values, a valueMap or property
+ * definitions) may only hold those options where the value came from the source, unless
+ * unmapped values were allowed (options.allowUnmappedValues)
+ */
+function checkEnumOptions(context) {
+    const test = {
+        name: 'Enum Options',
+        status: 'PASSED',
+        issues: [],
+        details: {
+            valuesChecked: 0,
+            allowedUnmapped: 0,
+            unmappedValues: []
+        }
+    };
+    
+    const enumColumns = context.mapping.columns.filter(column => OPTION_TYPES.includes(column.type) && enumOptions(column));
+    
+    context.outputRows.forEach((outputRow, index) => {
+        const email = outputRow[context.emailColumn];
+        const sourceRow = findSourceRow(context, outputRow);
+        
+        if (!sourceRow) return;
+        const targetRow = findTargetRow(context, outputRow);
+        
+        enumColumns.forEach(column => {
+            // Fields kept by an overwrite policy hold the contact's own value
+            if (isBlank(expectedSourceValue(context, column, sourceRow)) || expectedField(context, column, sourceRow, targetRow).skipped) {
+                return;
+            }
+            
+            const columnName = outputColumnName(context, column);
+            const values = column.type === 'multi' ? splitWrittenValue(outputRow[columnName]) : [normalizeValue(outputRow[columnName])];
+            values.forEach(actual => {
+                test.details.valuesChecked++;
+                if (enumOptions(column).some(option => normalizeValue(option) === actual)) {
+                    return;
+                }
+                if (context.options.allowUnmappedValues) {
+                    test.details.allowedUnmapped++;
+                    return;
+                }
+                test.details.unmappedValues.push({
+                    email: email,
+                    column: columnName,
+                    value: actual,
+                    rowIndex: index,
+                    sourceRowNumber: findSourceRowNumber(context, outputRow)
+                });
+                test.issues.push(`Value outside the options of ${columnName} for ${email}: "${actual}"`);
+            });
+        });
+    });
+    
+    return test;
+}
+
+/**
+ * Diff mode: each output row must show the contact's current values, list
+ * exactly the columns that change, and every matched contact with a change
+ * must be in the output
+ */
+function checkChangeDetection(context) {
+    const test = {
+        name: 'Change Detection',
+        status: 'PASSED',
+        issues: [],
+        details: {
+            contactsWithChanges: 0,
+            unchangedContacts: 0,
+            outputContacts: context.outputRows.length,
+            incorrectOldValues: [],
+            incorrectChangeLists: [],
+            missingChangedContacts: []
+        }
+    };
+    
+    context.outputRows.forEach((outputRow, index) => {
+        const email = outputRow[context.emailColumn];
+        const sourceRow = findSourceRow(context, outputRow);
+        const targetRow = findTargetRow(context, outputRow);
+        
+        if (!sourceRow || !targetRow) {
+            return; // Already handled in email matching test
+        }
+        
+        const { changed, oldValues } = expectedChanges(context, sourceRow, targetRow);
+        
+        Object.entries(oldValues).forEach(([columnName, expected]) => {
+            const actual = normalizeValue(outputRow[oldColumnName(columnName)]);
+            if (expected !== actual) {
+                test.details.incorrectOldValues.push({ email: email, column: columnName, expected: expected, actual: actual, rowIndex: index, sourceRowNumber: findSourceRowNumber(context, outputRow) });
+                test.issues.push(`Old value mismatch for ${email}: ${columnName}. Expected: "${expected}", Got: "${actual}"`);
+            }
+        });
+        
+        const actualChanged = changedFieldNames(outputRow);
+        if (changed.length === 0 || changed.join(', ') !== actualChanged.join(', ')) {
+            test.details.incorrectChangeLists.push({ email: email, expected: changed, actual: actualChanged, rowIndex: index, sourceRowNumber: findSourceRowNumber(context, outputRow) });
+            test.issues.push(`Changed fields mismatch for ${email}. Expected: "${changed.join(', ')}", Got: "${actualChanged.join(', ')}"`);
+        }
+    });
+    
+    // Every matched contact with a change must have been output, each
+    // contact sharing an email on its own row
+    const outputContacts = new Set(context.outputTargets.values());
+    context.targetRows.forEach(targetRow => {
+        const email = normalizeEmail(targetRow[context.targetEmailColumn]);
+        const match = context.keyMatcher.match(targetRow);
+        const selection = acceptsMatch(match, context.options) ? expectedSelection(context, match) : null;
+        if (!selection) return;
+        
+        if (expectedChanges(context, selection.selected.row, targetRow).changed.length === 0) {
+            test.details.unchangedContacts++;
+            return;
+        }
+        
+        test.details.contactsWithChanges++;
+        if (!outputContacts.has(targetRow)) {
+            test.details.missingChangedContacts.push(email);
+            test.issues.push(`Contact with changes missing from output: ${email}`);
+        }
+    });
+    
+    return test;
+}
+
+/**
+ * includeUnmatched: every contact must be in the output with the right Match
+ * Status and Source Id (when the profile writes them), and unmatched contacts
+ * must keep their current values
+ */
+function checkMatchStatuses(context) {
+    const test = {
+        name: 'Match Status',
+        status: 'PASSED',
+        issues: [],
+        details: {
+            statusCounts: {},
+            expectedUnmatchedRows: 0,
+            outputUnmatchedRows: 0,
+            incorrectStatuses: [],
+            incorrectSourceIds: [],
+            changedUnmatchedFields: []
+        }
+    };
+    
+    context.outputRows.forEach((row, index) => {
+        const email = row[context.emailColumn];
+        const match = outputMatch(context, row);
+        const expectedStatus = matchStatus(email, match, context.options);
+        const actualStatus = outputStatus(context, row);
+        test.details.statusCounts[actualStatus] = (test.details.statusCounts[actualStatus] || 0) + 1;
+        
+        const selection = expectedStatus === 'matched' ? expectedSelection(context, match) : null;
+        const record = selection ? selection.selected : null;
+        const sourceRowNumber = record ? record.rowNumber : null;
+        if (expectedStatus !== actualStatus) {
+            test.details.incorrectStatuses.push({ email: email, expected: expectedStatus, actual: actualStatus, rowIndex: index, sourceRowNumber: sourceRowNumber });
+            test.issues.push(`Match status mismatch for ${email || `row ${index + 1}`}. Expected: "${expectedStatus}", Got: "${actualStatus}"`);
+        }
+        
+        const expectedId = record ? normalizeValue(record.row[context.sourceIdColumn]) : '';
+        const actualId = normalizeValue(row[SOURCE_ID_COLUMN]);
+        if (context.auditColumns && expectedId !== actualId) {
+            test.details.incorrectSourceIds.push({ email: email, expected: expectedId, actual: actualId, rowIndex: index, sourceRowNumber: sourceRowNumber });
+            test.issues.push(`Source Id mismatch for ${email}. Expected: "${expectedId}", Got: "${actualId}"`);
+        }
+        
+        if (record) return;
+        test.details.outputUnmatchedRows++;
+        
+        // Unmatched contacts keep their current values
+        const targetRow = findTargetRow(context, row);
+        if (!targetRow) return;
+        context.mapping.columns.forEach(column => {
+            const columnName = context.profile.columnName(column);
+            const expected = expectedExistingValue(context, targetRow, column);
+            const outputColumns = context.diff ? [oldColumnName(columnName), newColumnName(columnName)] : [columnName];
+            
+            outputColumns.forEach(outputColumn => {
+                const actual = normalizeValue(row[outputColumn]);
+                if (expected !== actual) {
+                    test.details.changedUnmatchedFields.push({ email: email, column: outputColumn, expected: expected, actual: actual, rowIndex: index });
+                    test.issues.push(`Unmatched contact ${email} changed: ${outputColumn}. Expected: "${expected}", Got: "${actual}"`);
+                }
+            });
+        });
+    });
+    
+    // Every unmatched contact must be kept (matched ones may be left out in diff mode)
+    const targetEmailColumn = context.options.targetEmailColumn || DEFAULT_OPTIONS.targetEmailColumn;
+    test.details.expectedUnmatchedRows = context.targetRows
+        .filter(row => matchStatus(row[targetEmailColumn], context.keyMatcher.match(row), context.options) !== 'matched').length;
+    if (test.details.outputUnmatchedRows !== test.details.expectedUnmatchedRows) {
+        test.issues.push(`Expected ${test.details.expectedUnmatchedRows} unmatched contacts in output, found ${test.details.outputUnmatchedRows}`);
+    }
+    if (!context.diff && context.outputRows.length !== context.targetRows.length) {
+        test.issues.push(`Expected every contact in output (${context.targetRows.length} rows), found ${context.outputRows.length}`);
+    }
+    
+    return test;
+}
+
+/**
+ * No email may be on several output rows, except contacts that share an
+ * email in Sheet 2 when the duplicate policy is emit-all, and no contact the
+ * policy leaves out may be output under its Record ID
+ */
+function checkDuplicateContacts(context) {
+    const test = {
+        name: 'Duplicate Contacts',
+        status: 'PASSED',
+        issues: [],
+        details: {
+            policy: context.duplicates.policy,
+            targetDuplicateEmails: context.duplicates.stats.emails,
+            contactsLeftOut: context.duplicates.stats.leftOut,
+            outputDuplicateEmails: 0,
+            unexpectedDuplicateEmails: [],
+            leftOutContactsInOutput: []
+        }
+    };
+    
+    const counts = new Map();
+    context.outputRows.forEach(row => {
+        const email = normalizeEmail(row[context.emailColumn]);
+        if (email) {
+            counts.set(email, (counts.get(email) || 0) + 1);
+        }
+    });
+    
+    counts.forEach((count, email) => {
+        if (count < 2) return;
+        test.details.outputDuplicateEmails++;
+        
+        const group = context.duplicates.groups.get(email);
+        if (context.duplicates.policy === 'emit-all' && group && count <= group.rows) {
+            return; // The contacts share the email in Sheet 2 and emit-all keeps them all
+        }
+        test.details.unexpectedDuplicateEmails.push(email);
+        test.issues.push(`Email on ${count} output rows (duplicate policy ${context.duplicates.policy}): ${email}`);
+    });
+    
+    // A Record ID in the output (hubspot profile) must be one of the contacts the policy keeps
+    const recordIdColumn = hubspotSettings(context.mapping).recordIdColumn;
+    const keptRecordIds = new Set(context.targetRows.map(row => normalizeKeyValue(row[recordIdColumn])).filter(Boolean));
+    context.outputRows.forEach(row => {
+        const email = normalizeEmail(row[context.emailColumn]);
+        const recordId = normalizeKeyValue(row[OUTPUT_RECORD_ID_COLUMN]);
+        if (!email || !recordId || !context.duplicates.groups.has(email) || keptRecordIds.has(recordId)) return;
+        
+        test.details.leftOutContactsInOutput.push({ email: email, recordId: recordId });
+        test.issues.push(`Record ID ${recordId} is a contact the ${context.duplicates.policy} policy leaves out: ${email}`);
+    });
+    
+    return test;
+}
+
+/**
+ * Alias or fuzzy matching and match keys: Match Method and Match Confidence
+ * (or Match Key and Match Key Value) must be what the matcher gives when the
+ * profile writes them, and no match below the review threshold may be written
+ */
+function checkMatchMethods(context) {
+    const test = {
+        name: 'Match Method',
+        status: 'PASSED',
+        issues: [],
+        details: {
+            methodCounts: {},
+            keyCounts: {},
+            incorrectMethods: [],
+            lowConfidenceRows: []
+        }
+    };
+    
+    context.outputRows.forEach((row, index) => {
+        const email = row[context.emailColumn];
+        if (context.includeUnmatched && outputStatus(context, row) !== 'matched') {
+            return; // Unmatched contacts have no method (checked in the match status test)
+        }
+        
+        const match = outputMatch(context, row);
+        if (!match) {
+            return; // Reported by the email matching test
+        }
+        if (!acceptsMatch(match, context.options)) {
+            test.details.lowConfidenceRows.push({ email: email, sourceEmail: match.email, confidence: match.confidence, rowIndex: index, sourceRowNumber: match.record.rowNumber });
+            test.issues.push(`Low-confidence match written for ${email} (${match.method} to ${match.email}, confidence ${match.confidence}); it should be in the review file`);
+            return;
+        }
+        
+        const expectedParts = [];
+        const actualParts = [];
+        if (usesKeyMatching(context.options)) {
+            expectedParts.push(match.key, normalizeValue(match.keyValue));
+            actualParts.push(normalizeValue(row[MATCH_KEY_COLUMN]), normalizeValue(row[MATCH_KEY_VALUE_COLUMN]));
+            test.details.keyCounts[match.key] = (test.details.keyCounts[match.key] || 0) + 1;
+        }
+        if (usesExtendedMatching(context.options)) {
+            expectedParts.push(match.method, String(match.confidence));
+            actualParts.push(normalizeValue(row[MATCH_METHOD_COLUMN]), String(Number(row[MATCH_CONFIDENCE_COLUMN])));
+            test.details.methodCounts[match.method] = (test.details.methodCounts[match.method] || 0) + 1;
+        }
+        if (!context.auditColumns) {
+            return; // The profile leaves the match columns out of the output
+        }
+        
+        const expected = expectedParts.join(' ');
+        const actual = actualParts.join(' ');
+        if (expected !== actual) {
+            test.details.incorrectMethods.push({ email: email, expected: expected, actual: actual, rowIndex: index, sourceRowNumber: match.record.rowNumber });
+            test.issues.push(`Match method mismatch for ${email}. Expected: "${expected}", Got: "${actual}"`);
+        }
+    });
+    
+    return test;
+}
+
+/**
+ * Runs every mapping check and returns the verification.
+ *
+ * inputs: { sourceRows, targetRows, outputRows, mapping } - outputRows are the rows the
+ * mapper wrote; targetRows are optional and used to check carried-over identity columns.
+ * Pass an existing verification to append to tests that ran earlier (e.g. file checks).
+ * options.diff checks diff mode output and adds the change detection check;
+ * options.provenance checks the provenance columns in the row selection test
+ * (unless the profile leaves the match and provenance columns out);
+ * options.includeUnmatched adds the match status check; alias rules or fuzzy
+ * matching (options.matchRules, options.fuzzyDistance) or extra match keys
+ * (options.matchKeys) add the match method check; enum columns with options
+ * add the enum options check. Contacts that
+ * options.duplicatePolicy leaves out are not expected in the output, and the
+ * duplicate contacts check fails on emails the policy should have deduplicated.
+ */
+function verifyMapping(inputs, options = {}, verification = createVerification()) {
+    validateDateOptions(options);
+    const profile = getProfile(options.profile, options);
+    const sourceIndex = buildLatestRecordIndex(inputs.sourceRows, options);
+    // Contacts the duplicate policy leaves out are not expected in the output
+    const duplicates = findDuplicateContacts(inputs.targetRows || [], options);
+    const targetRows = (inputs.targetRows || []).filter((row, index) => {
+        const decision = duplicateDecision(duplicates, row, index, options);
+        return !decision || decision.output;
+    });
+    const context = {
+        sourceIndex: sourceIndex,
+        keyMatcher: createKeyMatcher(sourceIndex, options),
+        targetIndex: indexTargetRows(targetRows, options),
+        targetKeyIndexes: indexTargetKeys(targetRows, parseMatchKeys(options.matchKeys), options),
+        outputRows: inputs.outputRows,
+        mapping: inputs.mapping,
+        profile: profile,
+        emailColumn: profile.emailColumn(inputs.mapping, options),
+        targetEmailColumn: options.targetEmailColumn || DEFAULT_OPTIONS.targetEmailColumn,
+        createDateColumn: options.createDateColumn || DEFAULT_OPTIONS.createDateColumn,
+        diff: Boolean(options.diff),
+        includeUnmatched: Boolean(options.includeUnmatched),
+        sourceIdColumn: options.sourceIdColumn || DEFAULT_OPTIONS.sourceIdColumn,
+        sourceRecordIdColumn: options.sourceRecordIdColumn || DEFAULT_OPTIONS.sourceRecordIdColumn,
+        auditColumns: profile.auditColumns,
+        provenance: Boolean(options.provenance) && profile.auditColumns,
+        sourceRows: inputs.sourceRows,
+        expectedSelections: {},
+        targetRows: targetRows,
+        duplicates: duplicates,
+        sourceGroups: groupSourceRows(inputs.sourceRows, options),
+        outputTargets: new Map(),
+        options: options
+    };
+    context.outputTargets = resolveTargetRows(context);
+    
+    const checks = [
+        checkEmailMatching,
+        checkRowSelection,
+        checkFieldAccuracy,
+        checkDataCompleteness,
+        checkDateFormatting,
+        checkDuplicateContacts
+    ];
+    if (context.mapping.columns.some(column => OPTION_TYPES.includes(column.type) && enumOptions(column))) {
+        checks.push(checkEnumOptions);
+    }
+    if (context.diff) {
+        checks.push(checkChangeDetection);
+    }
+    if (context.includeUnmatched) {
+        checks.push(checkMatchStatuses);
+    }
+    if (usesExtendedMatching(options) || usesKeyMatching(options)) {
+        checks.push(checkMatchMethods);
+    }
+    
+    checks.forEach(check => recordTest(verification, check(context)));
+    
+    generateFinalStatus(verification);
+    return verification;
+}
+
+module.exports = {
+    createVerification,
+    recordTest,
+    generateFinalStatus,
+    normalizeValue,
+    expectedValue,
+    verifyMapping
+};
@@ -1,65 +1,39 @@
-const xlsx = require('xlsx');
+const fs = require('fs');
 const path = require('path');
+const { resolveOptions } = require('./lib/config');
+const { datasetFor, readDataset } = require('./lib/io');
+const { buildLatestRecordIndex } = require('./lib/records');
+const { findUnmatchedContacts } = require('./lib/mapper');
 
 /**
  * List emails from Sheet 2 that don't have matches in Sheet 1
  * These are the emails that were excluded from the output
  */
 
-// Configuration
-const INPUT_FILE = path.join(__dirname, 'input_files/subscriptions_contact_map_fields.xlsx');
-const SHEET1_NAME = 'Export For Stripe Subs Field Up';
-const SHEET2_NAME = 'Export For Contact Field Update';
+// Low-confidence matches are listed with the unmatched emails, flagged for review
+function reviewNote(item) {
+    return item.status === 'needs-review' ? ` (${item.reason})` : '';
+}
+
+function listUnmatchedEmails(overrides = {}) {
+    const options = resolveOptions(overrides);
 
-function listUnmatchedEmails() {
     console.log('🔍 Finding unmatched emails (excluded from output)');
     console.log('='.repeat(80));
     
     try {
-        // Load workbook
-        const workbook = xlsx.readFile(INPUT_FILE);
-        
-        // Load Sheet 1 and create email map
-        const sheet1 = xlsx.utils.sheet_to_json(workbook.Sheets[SHEET1_NAME]);
-        const sheet1Emails = new Set();
+        // Load Sheet 1 and index it by email
+        const sheet1 = readDataset(datasetFor(options, 'source'));
+        const sourceIndex = buildLatestRecordIndex(sheet1, options);
         
-        sheet1.forEach((row) => {
-            const email = row['Stripe Customer Email'];
-            if (email && typeof email === 'string') {
-                sheet1Emails.add(email.toLowerCase().trim());
-            }
-        });
-        
-        console.log(`\n📊 Sheet 1: ${sheet1.length} rows, ${sheet1Emails.size} unique emails`);
+        console.log(`\n📊 Sheet 1: ${sheet1.length} rows, ${sourceIndex.records.size} unique emails`);
         
         // Load Sheet 2
-        const sheet2 = xlsx.utils.sheet_to_json(workbook.Sheets[SHEET2_NAME]);
+        const sheet2 = readDataset(datasetFor(options, 'target'));
         console.log(`📊 Sheet 2: ${sheet2.length} rows`);
         
         // Find unmatched emails
-        const unmatchedEmails = [];
-        
-        sheet2.forEach((row, index) => {
-            const email = row['Email'];
-            if (!email || typeof email !== 'string') {
-                // Also track rows without email
-                unmatchedEmails.push({
-                    rowIndex: index + 2, // Excel row number
-                    email: '(no email)',
-                    reason: 'Missing email field'
-                });
-                return;
-            }
-            
-            const normalizedEmail = email.toLowerCase().trim();
-            if (!sheet1Emails.has(normalizedEmail)) {
-                unmatchedEmails.push({
-                    rowIndex: index + 2, // Excel row number
-                    email: email,
-                    normalizedEmail: normalizedEmail
-                });
-            }
-        });
+        const unmatchedEmails = findUnmatchedContacts(sourceIndex, sheet2, options);
         
         console.log(`\n❌ Unmatched emails: ${unmatchedEmails.length}`);
         console.log(`\n📋 List of unmatched emails:\n`);
@@ -72,7 +46,7 @@ function listUnmatchedEmails() {
             console.log(`Emails not found in Sheet 1 (${noMatch.length}):`);
             console.log('-'.repeat(80));
             noMatch.forEach((item, index) => {
-                console.log(`${index + 1}. Row ${item.rowIndex}: ${item.email}`);
+                console.log(`${index + 1}. Row ${item.rowNumber}: ${item.email}${reviewNote(item)}`);
             });
         }
         
@@ -80,7 +54,7 @@ function listUnmatchedEmails() {
             console.log(`\nRows with missing email field (${missingEmail.length}):`);
             console.log('-'.repeat(80));
             missingEmail.forEach((item, index) => {
-                console.log(`${index + 1}. Row ${item.rowIndex}: ${item.reason}`);
+                console.log(`${index + 1}. Row ${item.rowNumber}: ${item.reason}`);
             });
         }
         
@@ -93,8 +67,7 @@ function listUnmatchedEmails() {
         console.log(`     - Missing email field: ${missingEmail.length}`);
         
         // Export to text file
-        const fs = require('fs');
-        const outputPath = path.join(__dirname, 'logging_files', 'unmatched-emails.txt');
+        const outputPath = path.join(options.reportDir, 'unmatched-emails.txt');
         const outputDir = path.dirname(outputPath);
         
         if (!fs.existsSync(outputDir)) {
@@ -109,7 +82,7 @@ function listUnmatchedEmails() {
             outputText += `Emails not found in Sheet 1 (${noMatch.length}):\n`;
             outputText += '-'.repeat(80) + '\n';
             noMatch.forEach((item, index) => {
-                outputText += `${index + 1}. Row ${item.rowIndex}: ${item.email}\n`;
+                outputText += `${index + 1}. Row ${item.rowNumber}: ${item.email}${reviewNote(item)}\n`;
             });
             outputText += '\n';
         }
@@ -118,7 +91,7 @@ function listUnmatchedEmails() {
             outputText += `Rows with missing email field (${missingEmail.length}):\n`;
             outputText += '-'.repeat(80) + '\n';
             missingEmail.forEach((item, index) => {
-                outputText += `${index + 1}. Row ${item.rowIndex}: ${item.reason}\n`;
+                outputText += `${index + 1}. Row ${item.rowNumber}: ${item.reason}\n`;
             });
         }
         
@@ -127,10 +100,19 @@ function listUnmatchedEmails() {
         
     } catch (error) {
         console.error('❌ Error:', error.message);
-        process.exit(1);
+        throw error;
     }
 }
 
-// Run the script
-listUnmatchedEmails();
+module.exports = {
+    listUnmatchedEmails
+};
 
+// Run the script when executed directly
+if (require.main === module) {
+    try {
+        listUnmatchedEmails();
+    } catch (error) {
+        process.exit(1);
+    }
+}
@@ -1,347 +1,550 @@
-const xlsx = require('xlsx');
-const path = require('path');
+const fs = require('fs');
+const { resolveOptions } = require('./lib/config');
+const { datasetFor, readDataset, writeDataset, writeWorkbook, describeDataset, detectFormat } = require('./lib/io');
+const { loadMapping } = require('./lib/mapping');
+const { mapContacts, createContactMapper, oldColumnName, newColumnName, changedFieldNames } = require('./lib/mapper');
+const { createStreamingRecordIndex } = require('./lib/records');
+const { STREAMED_FORMATS, streamRows, createRowWriter } = require('./lib/streams');
+const { getProfile } = require('./lib/profiles');
+const { writeManifest } = require('./lib/manifest');
+const { buildAuditSheets } = require('./lib/audit');
+const { parseMatchRules } = require('./lib/matching');
+const { MATCH_KEYS, parseMatchKeys, usesKeyMatching } = require('./lib/keys');
+const { resolveDuplicatePolicy } = require('./lib/duplicates');
+const { createCombinedValueIndex } = require('./lib/multi-values');
+const { createAggregateIndex } = require('./lib/aggregates');
+const { createRuleIndex } = require('./lib/rules');
 
 /**
  * Excel Email Field Mapping Script
- * 
- * Reads an Excel file with two sheets, matches emails between them,
- * handles multiple Stripe IDs per email by selecting the one with the latest create date,
- * and outputs a new Excel file with updated field mappings.
+ *
+ * Reads the Stripe subscription rows and the contact rows (two sheets of one
+ * workbook, or separate xlsx/CSV/TSV/JSON/NDJSON files), matches emails between them,
+ * handles multiple Stripe IDs per email by selecting one with the configured strategy
+ * (latest create date by default), and outputs a new file with updated field mappings.
+ * A manifest next to the output records the strategy for the verifier.
+ * Low-confidence email matches are written to a review file next to the output,
+ * contacts whose match keys disagree to a key conflicts file, contacts
+ * left out by the duplicate email policy to a duplicates file, and source
+ * values with no enum option to an unmapped values file (which stops the run
+ * unless --allow-unmapped-values). With
+ * --audit-workbook the results, unmatched contacts, multi-ID decisions and
+ * summary are also written to the sheets of one xlsx workbook.
+ * With --stream the rows are read and written one at a time (see lib/streams.js)
+ * so very large exports fit in memory. Rule columns (--rules) record the rule
+ * that set each contact's value on the audit workbook's Rule Decisions sheet.
+ *
+ * The matching and mapping logic lives in lib/; this script handles files and console output.
  */
 
-// Configuration
-const INPUT_FILE = path.join(__dirname, 'input_files/subscriptions_contact_map_fields.xlsx');
-const OUTPUT_FILE = path.join(__dirname, 'input_files/contacts_with_updated_fields.xlsx');
-
-// Sheet names
-const SHEET1_NAME = 'Export For Stripe Subs Field Up';
-const SHEET2_NAME = 'Export For Contact Field Update';
-
-// Columns to map from Sheet 1 to Sheet 2
-const COLUMNS_TO_MAP = [
-    'Billing Start Date',
-    'Billing End Date',
-    'Status',
-    'Products',
-    'Discount',
-    'Coupon'
-];
-
-/**
- * Converts Excel serial date number to JavaScript Date object.
- * Handles potential non-numeric input gracefully.
- */
-function excelSerialDateToJSDate(serial) {
-    const serialNumber = Number(serial);
-    if (isNaN(serialNumber) || serialNumber <= 0) {
-        // Handle non-numeric input or dates before 1900
-        // Also handle cases where the date might already be in a standard string format
-        if (typeof serial === 'string' && !isNaN(Date.parse(serial))) {
-            return new Date(serial);
-        }
-        return null;
-    }
-
-    // Excel's epoch starts January 1, 1900 (Windows Excel format)
-    // Base date: Dec 30, 1899. Days are 1-based from Jan 1, 1900.
-    const excelEpochOffsetDays = 25569; // Days between 1970-01-01 and 1899-12-30
-    const daysInMilliseconds = (serialNumber - excelEpochOffsetDays) * 86400000; // 24 * 60 * 60 * 1000
-
-    const jsDate = new Date(daysInMilliseconds);
-
-    // Validate the date
-    if (jsDate.getFullYear() < 1900 || jsDate.getFullYear() > 2100) {
-        // Attempt parsing as a string just in case
-        if (typeof serial === 'string' && !isNaN(Date.parse(serial))) {
-            return new Date(serial);
-        }
-        return null;
-    }
-
-    return jsDate;
-}
-
-/**
- * Parses a date value from Excel (handles serial numbers and string formats)
- * Returns a Date object for comparison, or null if invalid
- */
-function parseDate(dateValue) {
-    if (!dateValue) return null;
-    if (dateValue instanceof Date) return dateValue;
-    
-    // Handle Excel date serial number
-    if (typeof dateValue === 'number') {
-        return excelSerialDateToJSDate(dateValue);
-    }
-    
-    // Handle string dates
-    if (typeof dateValue === 'string') {
-        const parsed = new Date(dateValue);
-        return isNaN(parsed.getTime()) ? null : parsed;
-    }
-    
-    return null;
-}
-
-/**
- * Formats a date to a standardized string format for output
- */
-function formatDate(date) {
-    if (!date) return '';
-    if (!(date instanceof Date)) {
-        const parsed = parseDate(date);
-        if (!parsed) return date; // Return original if can't parse
-        date = parsed;
-    }
-    
-    // Format as MM/DD/YYYY HH:MM:SS
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const year = date.getFullYear();
-    const hours = String(date.getHours()).padStart(2, '0');
-    const minutes = String(date.getMinutes()).padStart(2, '0');
-    const seconds = String(date.getSeconds()).padStart(2, '0');
-    
-    return `${month}/${day}/${year} ${hours}:${minutes}:${seconds}`;
-}
+// Console labels of the files written next to the output
+const COMPANION_LABELS = {
+    review: '🔎 Matches to review',
+    keyConflicts: '🔑 Match key conflicts',
+    duplicates: '👥 Duplicate contacts left out',
+    unmappedValues: '🏷️  Values with no enum option'
+};
 
 /**
  * Main function to process the Excel file and map fields
+ * Returns the matched data; throws on failure so callers decide how to exit.
  */
-async function mapContactFields() {
+async function mapContactFields(overrides = {}) {
+    const options = resolveOptions(overrides);
+    
     console.log('🔄 Starting Excel Email Field Mapping Process');
     console.log('='.repeat(60));
     
     try {
-        // Step 1: Load the workbook
-        console.log('\n📖 STEP 1: Loading workbook...');
-        const workbook = xlsx.readFile(INPUT_FILE);
-        console.log(`   ✅ Loaded: ${INPUT_FILE}`);
-        console.log(`   📋 Sheets found: ${workbook.SheetNames.join(', ')}`);
-        
-        // Verify sheets exist
-        if (!workbook.SheetNames.includes(SHEET1_NAME)) {
-            throw new Error(`Sheet "${SHEET1_NAME}" not found in workbook`);
+        const mapping = loadMapping(options.mapping, options);
+        console.log(`\n🗺️  Column mapping: ${options.mapping} (${mapping.columns.length} columns)`);
+        if (mapping.propertyDefinitions) {
+            console.log(`🏷️  Property definitions: ${mapping.propertyDefinitions}`);
         }
-        if (!workbook.SheetNames.includes(SHEET2_NAME)) {
-            throw new Error(`Sheet "${SHEET2_NAME}" not found in workbook`);
+        if (mapping.columns.some(column => column.rules)) {
+            // Fixed for the whole run and recorded so verify evaluates "now" the same way
+            options.asOf = options.asOf || new Date().toISOString();
+            console.log(`📐 Rules: ${mapping.rules || options.mapping} (as of ${options.asOf})`);
         }
+        console.log(`🧾 Output profile: ${getProfile(options.profile).name}`);
+        console.log(`🕒 Dates: ${options.dateFormat} in ${options.timeZone}`);
+        console.log(`📧 Email matching: ${describeMatching(options)}`);
+        console.log(`🔑 Match keys: ${parseMatchKeys(options.matchKeys).join(' → ')}`);
+        console.log(`👥 Duplicate contacts: ${resolveDuplicatePolicy(options)}`);
         
-        // Step 2: Load and process Sheet 1 data
-        console.log('\n📊 STEP 2: Processing Sheet 1 (Stripe Subs)...');
-        const sheet1Data = processSheet1(workbook);
-        
-        // Step 3: Load and process Sheet 2 data
-        console.log('\n📊 STEP 3: Processing Sheet 2 (Contact Field Update)...');
-        const sheet2Data = processSheet2(workbook);
-        
-        // Step 4: Match emails and map fields
-        console.log('\n🔄 STEP 4: Matching emails and mapping fields...');
-        const matchedData = matchAndMapFields(sheet1Data, sheet2Data);
+        // Step 1: Resolve where the source and target data live
+        console.log('\n📖 STEP 1: Resolving datasets...');
+        const sourceDataset = datasetFor(options, 'source');
+        const targetDataset = datasetFor(options, 'target');
+        const outputDataset = datasetFor(options, 'output');
+        const reviewDataset = datasetFor(options, 'review');
+        const conflictsDataset = datasetFor(options, 'conflicts');
+        const duplicatesDataset = datasetFor(options, 'duplicates');
+        const unmappedDataset = datasetFor(options, 'unmapped');
+        if (options.auditWorkbook && detectFormat(options.auditWorkbook) !== 'xlsx') {
+            throw new Error(`Audit workbook must be an .xlsx file: ${options.auditWorkbook}`);
+        }
+        console.log(`   📋 Source: ${describeDataset(sourceDataset)}`);
+        console.log(`   📋 Target: ${describeDataset(targetDataset)}`);
         
-        // Step 5: Create output Excel file
-        console.log('\n📁 STEP 5: Creating output Excel file...');
-        await createOutputFile(matchedData);
+        const companionDatasets = {
+            review: reviewDataset,
+            keyConflicts: conflictsDataset,
+            duplicates: duplicatesDataset,
+            unmappedValues: unmappedDataset
+        };
+        let matchedData;
+        let files;
+        if (options.stream) {
+            ({ matchedData, files } = await mapContactsStreaming(mapping, options, sourceDataset, targetDataset, outputDataset, companionDatasets));
+        } else {
+            // Step 2: Load Sheet 1 and Sheet 2 data
+            console.log('\n📊 STEP 2: Reading datasets...');
+            const sourceRows = readDataset(sourceDataset);
+            const targetRows = readDataset(targetDataset);
+            console.log(`   📋 Total rows in Sheet 1: ${sourceRows.length}`);
+            console.log(`   📋 Total rows in Sheet 2: ${targetRows.length}`);
+            warnMissingKeyColumns(sourceRows, targetRows, options);
+            
+            // Step 3: Match emails and map fields
+            console.log('\n🔄 STEP 3: Matching emails and mapping fields...');
+            matchedData = mapContacts(sourceRows, targetRows, mapping, options);
+            console.log(`   🧭 Selection strategy: ${matchedData.strategy.description}`);
+            displaySourceStats(matchedData.sourceIndex.stats);
+            const unmappedFile = reportUnmappedValues(matchedData, options, unmappedDataset, outputDataset);
+            
+            // Step 4: Create output file
+            console.log('\n📁 STEP 4: Creating output file...');
+            await createOutputFile(matchedData, outputDataset);
+            files = {
+                review: createCompanionFile(matchedData.review, reviewDataset, COMPANION_LABELS.review),
+                keyConflicts: createCompanionFile(matchedData.keyConflicts, conflictsDataset, COMPANION_LABELS.keyConflicts),
+                duplicates: createCompanionFile(matchedData.duplicates, duplicatesDataset, COMPANION_LABELS.duplicates),
+                unmappedValues: unmappedFile
+            };
+        }
+        const manifestFile = writeManifest(outputDataset.file, {
+            createdAt: new Date().toISOString(),
+            strategy: matchedData.strategy.name,
+            profile: getProfile(options.profile).name,
+            mapping: options.mapping,
+            timeZone: options.timeZone,
+            dateFormat: options.dateFormat,
+            diff: Boolean(options.diff),
+            provenance: Boolean(options.provenance),
+            includeUnmatched: Boolean(options.includeUnmatched),
+            matchRules: parseMatchRules(options.matchRules),
+            fuzzyDistance: Number(options.fuzzyDistance) || 0,
+            reviewThreshold: Number(options.reviewThreshold),
+            matchKeys: parseMatchKeys(options.matchKeys),
+            duplicatePolicy: resolveDuplicatePolicy(options),
+            propertyDefinitions: mapping.propertyDefinitions || null,
+            allowUnmappedValues: Boolean(options.allowUnmappedValues),
+            rules: mapping.rules || null,
+            asOf: options.asOf || null,
+            review: files.review,
+            keyConflicts: files.keyConflicts,
+            duplicates: files.duplicates,
+            unmappedValues: files.unmappedValues,
+            auditWorkbook: options.auditWorkbook || null,
+            source: sourceDataset.file,
+            target: targetDataset.file
+        });
+        console.log(`   🧾 Run manifest: ${manifestFile}`);
+        if (options.auditWorkbook) {
+            createAuditWorkbook(matchedData, mapping, options, sourceDataset, targetDataset);
+        }
         
-        // Step 6: Display results
-        displayResults(matchedData);
+        // Step 5: Display results
+        displayResults(matchedData, mapping, options);
         
         console.log('\n✅ PROCESS COMPLETE!');
-        console.log(`📁 Output file: ${OUTPUT_FILE}`);
+        console.log(`📁 Output file: ${options.output}`);
+        
+        return matchedData;
         
     } catch (error) {
         console.error('\n❌ Error during processing:', error.message);
-        console.error(error.stack);
-        process.exit(1);
+        throw error;
     }
 }
 
 /**
- * Process Sheet 1: Group by email and select latest row per email
+ * Steps 2-4 in streaming mode: index Sheet 1 one row at a time, keeping only
+ * the selected row per email (and the items of combined multi-value
+ * columns, the running aggregates and rule conditions), then map each
+ * contact as it is read from Sheet 2 and append it to the output file.
+ * Memory grows with the distinct Sheet 1 emails only: review rows and
+ * values with no enum option go straight to their companion files, and
+ * unmatched contacts, skipped fields and rule decisions are only counted.
+ * Returns { matchedData, files } with the companion files written.
  */
-function processSheet1(workbook) {
-    const worksheet = workbook.Sheets[SHEET1_NAME];
-    const jsonData = xlsx.utils.sheet_to_json(worksheet);
-    
-    console.log(`   📋 Total rows in Sheet 1: ${jsonData.length}`);
+async function mapContactsStreaming(mapping, options, sourceDataset, targetDataset, outputDataset, companionDatasets) {
+    if (options.auditWorkbook) {
+        throw new Error('--audit-workbook needs every row in memory; run without --stream');
+    }
+    if (outputDataset.format === 'xlsx') {
+        throw new Error(`Cannot stream xlsx output (${outputDataset.file}); write csv, tsv, json or ndjson with --stream`);
+    }
+    [sourceDataset, targetDataset].forEach(dataset => {
+        if (!STREAMED_FORMATS.includes(dataset.format)) {
+            throw new Error(`Cannot stream ${dataset.format} input (${dataset.file}): it is parsed whole; save it as csv, tsv or ndjson to use --stream`);
+        }
+    });
+    if (usesKeyMatching(options)) {
+        throw new Error('Match keys other than email need every source row in memory; run without --stream');
+    }
+    if (resolveDuplicatePolicy(options) !== 'emit-all') {
+        throw new Error(`Duplicate policy ${resolveDuplicatePolicy(options)} needs every Sheet 2 email in memory; run without --stream`);
+    }
     
-    // Group rows by email
-    const emailGroups = new Map();
+    // Step 2: Index Sheet 1
+    console.log('\n📊 STEP 2: Indexing Sheet 1 (streaming)...');
+    const sourceIndexBuilder = createStreamingRecordIndex(options);
+    const combiner = createCombinedValueIndex(mapping, options);
+    const aggregator = createAggregateIndex(mapping, options);
+    const ruleIndex = createRuleIndex(mapping, options);
+    const sourceCount = await streamRows(sourceDataset, (row, index) => {
+        sourceIndexBuilder.add(row, index);
+        combiner.add(row);
+        aggregator.add(row);
+        ruleIndex.add(row);
+    });
+    const sourceIndex = {
+        ...sourceIndexBuilder.finish(),
+        combined: combiner.finish(),
+        aggregates: aggregator.finish(),
+        decisions: ruleIndex.finish()
+    };
+    console.log(`   📋 Total rows in Sheet 1: ${sourceCount}`);
+    console.log(`   🧭 Selection strategy: ${sourceIndex.strategy.description}`);
+    displaySourceStats(sourceIndex.stats);
     
-    jsonData.forEach((row, index) => {
-        const email = row['Stripe Customer Email'];
-        if (!email || typeof email !== 'string') {
-            return; // Skip rows without valid email
-        }
-        
-        const normalizedEmail = email.toLowerCase().trim();
-        const createDate = parseDate(row['Most Recent Create Date']);
-        
-        if (!emailGroups.has(normalizedEmail)) {
-            emailGroups.set(normalizedEmail, []);
+    // Step 3 and 4: Map each contact straight into the output file
+    console.log('\n🔄 STEP 3: Matching emails and mapping fields (streaming to the output file)...');
+    const reviewWriter = createCompanionWriter(companionDatasets.review, COMPANION_LABELS.review);
+    const conflictsWriter = createCompanionWriter(companionDatasets.keyConflicts, COMPANION_LABELS.keyConflicts);
+    const unmappedWriter = createCompanionWriter(companionDatasets.unmappedValues, COMPANION_LABELS.unmappedValues);
+    const unmappedSamples = [];
+    const mapper = createContactMapper(sourceIndex, mapping, options, null, {
+        unmatched: false,
+        skippedFields: false,
+        ruleDecisions: false,
+        review: reviewWriter.write,
+        keyConflicts: conflictsWriter.write,
+        unknownEnumValues: entry => {
+            const row = unmappedValueRow(entry);
+            unmappedWriter.write(row);
+            if (unmappedSamples.length < 10) {
+                unmappedSamples.push(row);
+            }
         }
-        
-        emailGroups.get(normalizedEmail).push({
-            rowIndex: index,
-            row: row,
-            createDate: createDate,
-            email: normalizedEmail
-        });
     });
+    const writer = createRowWriter(outputDataset);
+    const samples = [];
+    let targetCount;
+    let written;
+    const files = {};
+    try {
+        targetCount = await streamRows(targetDataset, (row, index) => {
+            const outputRow = mapper.mapRow(row, index);
+            if (!outputRow) return;
+            writer.write(mapper.outputRow(outputRow));
+            if (samples.length < 3) {
+                samples.push(outputRow); // Shown in the results
+            }
+        });
+    } finally {
+        written = writer.end();
+        files.review = reviewWriter.end();
+        files.keyConflicts = conflictsWriter.end();
+        files.unmappedValues = unmappedWriter.end();
+    }
+    console.log(`   📋 Total rows in Sheet 2: ${targetCount}`);
     
-    console.log(`   📧 Unique emails found: ${emailGroups.size}`);
+    const matchedData = mapper.finish(samples, written);
+    checkUnmappedValues(files.unmappedValues, matchedData.stats.unknownEnumValues, unmappedSamples, options, outputDataset);
+    files.duplicates = createCompanionFile([], companionDatasets.duplicates, COMPANION_LABELS.duplicates);
     
-    // For each email, select the row with the latest create date
-    const emailToRowMap = new Map();
-    let multipleIdCount = 0;
+    console.log('\n📁 STEP 4: Output file written while mapping');
+    console.log(`   ✅ Output file created: ${describeDataset(outputDataset)}`);
+    console.log(`   📊 Records written: ${written}`);
     
-    emailGroups.forEach((rows, email) => {
-        if (rows.length > 1) {
-            multipleIdCount++;
-        }
-        
-        // Sort by create date (latest first), handling null dates
-        rows.sort((a, b) => {
-            if (!a.createDate && !b.createDate) return 0;
-            if (!a.createDate) return 1; // null dates go to end
-            if (!b.createDate) return -1;
-            return b.createDate.getTime() - a.createDate.getTime(); // Latest first
-        });
-        
-        // Select the row with the latest date
-        const selectedRow = rows[0];
-        emailToRowMap.set(email, selectedRow.row);
+    return { matchedData, files };
+}
+
+/**
+ * Write the source values that have no enum option to the unmapped values
+ * file and list the first of them. Unless options.allowUnmappedValues, stop
+ * the run, removing any output file so it cannot be imported by mistake.
+ * Returns the unmapped values file, or null when every value has an option.
+ */
+function reportUnmappedValues(matchedData, options, unmappedDataset, outputDataset) {
+    const rows = matchedData.unknownEnumValues.map(unmappedValueRow);
+    const file = createCompanionFile(rows, unmappedDataset, COMPANION_LABELS.unmappedValues);
+    return checkUnmappedValues(file, rows.length, rows.slice(0, 10), options, outputDataset);
+}
+
+/**
+ * Unmapped values file row for a source value with no enum option
+ */
+function unmappedValueRow(entry) {
+    return {
+        'Row Number': entry.rowNumber,
+        'Email': entry.email,
+        'Column': entry.column,
+        'Property': entry.property,
+        'Value': entry.value,
+        'Source Id': entry.sourceId
+    };
+}
+
+/**
+ * List the first unmapped values written to file and, unless
+ * options.allowUnmappedValues, remove the output and stop the run.
+ * Returns file, or null when there are none.
+ */
+function checkUnmappedValues(file, count, firstRows, options, outputDataset) {
+    if (count === 0) {
+        return null;
+    }
+    
+    firstRows.forEach(row => {
+        console.log(`      Row ${row['Row Number']} (${row.Email}): ${row.Column} "${row.Value}"`);
     });
+    if (count > firstRows.length) {
+        console.log(`      ... and ${count - firstRows.length} more`);
+    }
+    if (options.allowUnmappedValues) {
+        console.log('   ⚠️  Written as they are (--allow-unmapped-values)');
+        return file;
+    }
     
-    console.log(`   🔄 Emails with multiple IDs: ${multipleIdCount}`);
-    console.log(`   ✅ Processed ${emailToRowMap.size} unique email mappings`);
+    if (fs.existsSync(outputDataset.file)) {
+        fs.unlinkSync(outputDataset.file);
+    }
+    throw new Error(`${count} source values have no enum option (see ${file}); add them to the column's valueMap or pass --allow-unmapped-values`);
+}
+
+/**
+ * Display how Sheet 1 rows were grouped by email
+ */
+function displaySourceStats(stats) {
+    console.log(`   📧 Unique emails found: ${stats.uniqueEmails}`);
+    console.log(`   🔄 Emails with multiple IDs: ${stats.multipleIdEmails}`);
+    if (stats.skippedRows > 0) {
+        console.log(`   ⚠️  Sheet 1 rows without a valid email: ${stats.skippedRows}`);
+    }
+}
+
+/**
+ * Create output file with matched rows
+ */
+async function createOutputFile(matchedData, outputDataset) {
+    writeDataset(outputDataset, matchedData.rows);
     
-    return emailToRowMap;
+    console.log(`   ✅ Output file created: ${describeDataset(outputDataset)}`);
+    console.log(`   📊 Records written: ${matchedData.rows.length}`);
 }
 
 /**
- * Process Sheet 2: Extract all rows
+ * Write the audit workbook (Results, Unmatched, Multi-ID Decisions, Rule Decisions, Summary)
  */
-function processSheet2(workbook) {
-    const worksheet = workbook.Sheets[SHEET2_NAME];
-    const jsonData = xlsx.utils.sheet_to_json(worksheet);
+function createAuditWorkbook(matchedData, mapping, options, sourceDataset, targetDataset) {
+    const sheets = buildAuditSheets(matchedData, options, {
+        source: describeDataset(sourceDataset),
+        target: describeDataset(targetDataset),
+        output: options.output,
+        mapping: options.mapping,
+        profile: getProfile(options.profile).name,
+        rules: matchedData.ruleDecisions.length > 0 ? mapping.rules || options.mapping : undefined,
+        asOf: matchedData.ruleDecisions.length > 0 ? options.asOf : undefined
+    });
+    writeWorkbook(options.auditWorkbook, sheets);
     
-    console.log(`   📋 Total rows in Sheet 2: ${jsonData.length}`);
+    console.log(`   📒 Audit workbook: ${options.auditWorkbook}`);
+    Object.entries(sheets).forEach(([name, rows]) => {
+        console.log(`      ${name}: ${rows.length} rows`);
+    });
+}
+
+/**
+ * Write rows to a file next to the output (review, key conflicts, ...), or remove
+ * a stale one. Returns the file path, or null when there are no rows.
+ */
+function createCompanionFile(rows, dataset, label) {
+    if (rows.length === 0) {
+        if (fs.existsSync(dataset.file)) {
+            fs.unlinkSync(dataset.file); // Left over from an earlier run
+        }
+        return null;
+    }
     
-    return jsonData;
+    writeDataset(dataset, rows);
+    console.log(`   ${label}: ${rows.length} (${describeDataset(dataset)})`);
+    return dataset.file;
 }
 
 /**
- * Match emails between sheets and map the specified columns
+ * Streaming counterpart of createCompanionFile: removes a stale file, then
+ * opens it on the first row written. Returns { write(row), end() }; end()
+ * returns the file path, or null when no rows were written.
  */
-function matchAndMapFields(sheet1Data, sheet2Data) {
-    const matchedRows = [];
-    let matchCount = 0;
-    let noMatchCount = 0;
+function createCompanionWriter(dataset, label) {
+    if (fs.existsSync(dataset.file)) {
+        fs.unlinkSync(dataset.file); // Left over from an earlier run
+    }
+    let writer = null;
     
-    sheet2Data.forEach((row, index) => {
-        const email = row['Email'];
-        if (!email || typeof email !== 'string') {
-            noMatchCount++;
-            return; // Skip rows without valid email
+    function write(row) {
+        if (!writer) {
+            writer = createRowWriter(dataset);
         }
-        
-        const normalizedEmail = email.toLowerCase().trim();
-        const sheet1Row = sheet1Data.get(normalizedEmail);
-        
-        if (!sheet1Row) {
-            noMatchCount++;
-            return; // No match found, skip this row (per requirements: exclude unmatched)
+        writer.write(row);
+    }
+    
+    function end() {
+        if (!writer) {
+            return null;
         }
-        
-        // Match found - create new row with mapped columns
-        const matchedRow = {
-            'Email': email, // Keep original email from Sheet 2
-        };
-        
-        // Copy the 6 specified columns from Sheet 1
-        COLUMNS_TO_MAP.forEach(columnName => {
-            const value = sheet1Row[columnName];
-            
-            // Format dates if they are date columns
-            if ((columnName === 'Billing Start Date' || columnName === 'Billing End Date') && value) {
-                matchedRow[columnName] = formatDate(value);
-            } else {
-                // Copy value as-is (including empty values)
-                matchedRow[columnName] = value !== undefined && value !== null ? value : '';
+        console.log(`   ${label}: ${writer.end()} (${describeDataset(dataset)})`);
+        return dataset.file;
+    }
+    
+    return { write, end };
+}
+
+/**
+ * Warn about match keys whose column is missing from either dataset, since
+ * they can never match
+ */
+function warnMissingKeyColumns(sourceRows, targetRows, options) {
+    parseMatchKeys(options.matchKeys).forEach(key => {
+        const columns = [
+            ['Sheet 1', sourceRows, MATCH_KEYS[key].sourceColumn(options)],
+            ['Sheet 2', targetRows, MATCH_KEYS[key].targetColumn(options)]
+        ];
+        columns.forEach(([sheet, rows, column]) => {
+            if (rows.length > 0 && !rows.some(row => row[column] !== undefined)) {
+                console.log(`   ⚠️  Match key ${key}: ${sheet} has no "${column}" column`);
             }
         });
-        
-        matchedRows.push(matchedRow);
-        matchCount++;
     });
-    
-    console.log(`   ✅ Matched rows: ${matchCount}`);
-    console.log(`   ❌ Unmatched rows (excluded): ${noMatchCount}`);
-    console.log(`   📊 Match rate: ${((matchCount / sheet2Data.length) * 100).toFixed(2)}%`);
-    
-    return {
-        rows: matchedRows,
-        stats: {
-            total: sheet2Data.length,
-            matched: matchCount,
-            unmatched: noMatchCount,
-            matchRate: ((matchCount / sheet2Data.length) * 100).toFixed(2)
-        }
-    };
 }
 
 /**
- * Create output Excel file with matched rows
+ * One-line description of the email matching settings
  */
-async function createOutputFile(matchedData) {
-    // Create new workbook
-    const newWorkbook = xlsx.utils.book_new();
-    
-    // Convert matched data to worksheet
-    const worksheet = xlsx.utils.json_to_sheet(matchedData.rows);
-    
-    // Add worksheet to workbook
-    xlsx.utils.book_append_sheet(newWorkbook, worksheet, SHEET2_NAME);
-    
-    // Write Excel file
-    xlsx.writeFile(newWorkbook, OUTPUT_FILE);
-    
-    console.log(`   ✅ Excel file created: ${OUTPUT_FILE}`);
-    console.log(`   📊 Records written: ${matchedData.rows.length}`);
+function describeMatching(options) {
+    const rules = parseMatchRules(options.matchRules);
+    const parts = ['exact'];
+    if (rules.length > 0) {
+        parts.push(`alias (${rules.join(', ')})`);
+    }
+    if (Number(options.fuzzyDistance) > 0) {
+        parts.push(`fuzzy (up to ${options.fuzzyDistance} edits)`);
+    }
+    if (parts.length > 1) {
+        parts.push(`review below ${options.reviewThreshold} confidence`);
+    }
+    return parts.join(', ');
 }
 
 /**
  * Display processing results
  */
-function displayResults(matchedData) {
+function displayResults(matchedData, mapping, options) {
     console.log('\n📈 PROCESSING RESULTS');
     console.log('='.repeat(60));
     
     console.log('\n📊 SUMMARY STATISTICS:');
     console.log(`   🔷 Total rows in Sheet 2: ${matchedData.stats.total}`);
     console.log(`   ✅ Successfully matched: ${matchedData.stats.matched}`);
-    console.log(`   ❌ Unmatched (excluded): ${matchedData.stats.unmatched}`);
+    console.log(`   ❌ Unmatched (${options.includeUnmatched ? 'kept with Match Status' : 'excluded'}): ${matchedData.stats.unmatched}`);
+    if (options.includeUnmatched) {
+        Object.entries(matchedData.stats.matchStatuses).forEach(([status, count]) => {
+            console.log(`      ${status}: ${count}`);
+        });
+    }
     console.log(`   📈 Match rate: ${matchedData.stats.matchRate}%`);
+    if (Object.keys(matchedData.stats.matchMethods).some(method => method !== 'exact')) {
+        Object.entries(matchedData.stats.matchMethods).forEach(([method, count]) => {
+            console.log(`      ${method}: ${count}`);
+        });
+    }
+    if (Object.keys(matchedData.stats.matchKeys).some(key => key !== 'email')) {
+        Object.entries(matchedData.stats.matchKeys).forEach(([key, count]) => {
+            console.log(`      by ${key}: ${count}`);
+        });
+    }
+    if (matchedData.stats.keyConflicts > 0) {
+        console.log(`   🔑 Match key conflicts: ${matchedData.stats.keyConflicts}`);
+    }
+    if (matchedData.stats.review > 0) {
+        console.log(`   🔎 Held back for review: ${matchedData.stats.review}`);
+    }
+    if (matchedData.stats.duplicateEmails > 0) {
+        console.log(`   👥 Emails shared by several contacts: ${matchedData.stats.duplicateEmails} (${matchedData.stats.duplicateRows} contacts)`);
+        console.log(`      Left out by the ${resolveDuplicatePolicy(options)} policy: ${matchedData.stats.duplicatesLeftOut}`);
+    }
+    if (options.diff) {
+        console.log(`   🔀 Contacts with changes: ${matchedData.stats.changed}`);
+        console.log(`   ⏸️  Unchanged (excluded): ${matchedData.stats.unchanged}`);
+    }
+    if (matchedData.stats.skippedFields > 0) {
+        console.log(`   ⏭️  Fields kept by overwrite policy: ${matchedData.stats.skippedFields}`);
+        Object.entries(matchedData.stats.skippedFieldCounts).forEach(([key, count]) => {
+            console.log(`      ${key}: ${count}`);
+        });
+    }
+    if (matchedData.stats.combinedFields > 0) {
+        console.log(`   🧺 Multi-value fields combined across subscriptions: ${matchedData.stats.combinedFields}`);
+    }
+    if (matchedData.stats.ruleDecisions > 0) {
+        console.log('   📐 Rules fired:');
+        Object.entries(matchedData.stats.ruleCounts).forEach(([key, count]) => {
+            console.log(`      ${key}: ${count}`);
+        });
+    }
+    if (matchedData.stats.unknownEnumValues > 0) {
+        console.log(`   ⚠️  Values outside the configured enum options: ${matchedData.stats.unknownEnumValues}`);
+    }
     
-    if (matchedData.rows.length > 0) {
+    if (options.diff && matchedData.rows.length > 0) {
+        console.log('\n🔍 SAMPLE CHANGES:');
+        const profile = getProfile(options.profile, options);
+        matchedData.rows.slice(0, 3).forEach((record, index) => {
+            console.log(`   ${index + 1}. ${record[profile.emailColumn(mapping, options)]}`);
+            changedFieldNames(record).forEach(columnName => {
+                console.log(`      ${columnName}: ${record[oldColumnName(columnName)] || '(empty)'} → ${record[newColumnName(columnName)] || '(empty)'}`);
+            });
+        });
+    } else if (matchedData.rows.length > 0) {
         console.log('\n🔍 SAMPLE MATCHED RECORDS:');
         const sampleRecords = matchedData.rows.slice(0, 3);
+        const profile = getProfile(options.profile, options);
         sampleRecords.forEach((record, index) => {
-            console.log(`   ${index + 1}. ${record['Email']}`);
-            console.log(`      Status: ${record['Status'] || '(empty)'}`);
-            console.log(`      Products: ${record['Products'] || '(empty)'}`);
+            console.log(`   ${index + 1}. ${record[profile.emailColumn(mapping, options)]}`);
+            mapping.columns.forEach(column => {
+                const columnName = profile.columnName(column);
+                console.log(`      ${columnName}: ${record[columnName] || '(empty)'}`);
+            });
         });
     }
 }
 
-// Execute the process
-console.log('🚀 STARTING EXCEL EMAIL FIELD MAPPING');
-console.log('📋 Process: Email-based field mapping between Stripe Subs and Contact Fields');
-console.log('🎯 Goal: Map billing and subscription fields from Sheet 1 to Sheet 2\n');
-
-mapContactFields().catch(error => {
-    console.error('❌ Process failed:', error);
-    process.exit(1);
-});
+module.exports = {
+    mapContactFields
+};
 
+// Execute the process when run directly
+if (require.main === module) {
+    console.log('🚀 STARTING EXCEL EMAIL FIELD MAPPING');
+    console.log('📋 Process: Email-based field mapping between Stripe Subs and Contact Fields');
+    console.log('🎯 Goal: Map billing and subscription fields from Sheet 1 to Sheet 2\n');
+    
+    mapContactFields().catch(error => {
+        console.error(error.stack);
+        process.exit(1);
+    });
+}
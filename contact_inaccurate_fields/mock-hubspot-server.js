@@ -0,0 +1,181 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mock HubSpot Server
+ *
+ * Local stand-in for the contacts batch upsert endpoint so the push path can
+ * be exercised offline. Every request is recorded (in memory and, optionally,
+ * as NDJSON in a file) and contacts are kept in memory keyed by email.
+ *
+ *   node mock-hubspot-server.js --port 3999 --record logging_files/mock-hubspot-requests.ndjson
+ *   node backfill.js push --hubspot-url http://localhost:3999
+ *
+ * --fail-first N answers the first N upserts with --fail-status (default 429)
+ * to exercise the retry path.
+ */
+
+const UPSERT_PATH = '/crm/v3/objects/contacts/batch/upsert';
+
+/**
+ * Ids (emails, compared case-insensitively) named by more than one input of a batch
+ */
+function duplicateIds(inputs) {
+    const seen = new Set();
+    const duplicates = new Set();
+    inputs.forEach(input => {
+        const id = String(input.id).toLowerCase();
+        if (seen.has(id)) {
+            duplicates.add(id);
+        }
+        seen.add(id);
+    });
+    return [...duplicates];
+}
+
+/**
+ * Starts the server. Resolves to { url, port, requests, contacts, close }.
+ *
+ * settings: { port, failFirst, failStatus, recordFile, accessToken }
+ * When accessToken is set, requests with a different bearer token get a 401.
+ */
+function startMockHubSpotServer(settings = {}) {
+    const requests = [];
+    const contacts = new Map();
+    let nextId = 1;
+    let failuresLeft = Number(settings.failFirst) || 0;
+    const failStatus = Number(settings.failStatus) || 429;
+    
+    if (settings.recordFile) {
+        fs.mkdirSync(path.dirname(settings.recordFile), { recursive: true });
+    }
+    
+    function record(entry) {
+        requests.push(entry);
+        if (settings.recordFile) {
+            fs.appendFileSync(settings.recordFile, JSON.stringify(entry) + '\n');
+        }
+    }
+    
+    function send(res, status, body, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    }
+    
+    function handleUpsert(body) {
+        const results = body.inputs.map(input => {
+            const email = String(input.id).toLowerCase();
+            const existing = contacts.get(email);
+            const contact = existing || { id: String(nextId++), properties: {} };
+            
+            contact.properties = { ...contact.properties, ...input.properties, email: email };
+            contacts.set(email, contact);
+            
+            return {
+                id: contact.id,
+                properties: contact.properties,
+                new: !existing
+            };
+        });
+        
+        return { status: 'COMPLETE', results: results };
+    }
+    
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', data => { raw += data; });
+        req.on('end', () => {
+            let body = null;
+            try {
+                body = raw ? JSON.parse(raw) : null;
+            } catch (error) {
+                body = { raw: raw };
+            }
+            
+            const entry = {
+                receivedAt: new Date().toISOString(),
+                method: req.method,
+                path: req.url,
+                authorized: !settings.accessToken || req.headers.authorization === `Bearer ${settings.accessToken}`,
+                body: body,
+                responseStatus: 200
+            };
+            
+            let status = 200;
+            let response;
+            let headers = {};
+            
+            if (req.method !== 'POST' || req.url !== UPSERT_PATH) {
+                status = 404;
+                response = { status: 'error', message: `No mock for ${req.method} ${req.url}` };
+            } else if (!entry.authorized) {
+                status = 401;
+                response = { status: 'error', category: 'INVALID_AUTHENTICATION', message: 'Authentication credentials not found.' };
+            } else if (failuresLeft > 0) {
+                failuresLeft--;
+                status = failStatus;
+                headers = status === 429 ? { 'Retry-After': '0' } : {};
+                response = { status: 'error', category: status === 429 ? 'RATE_LIMITS' : 'INTERNAL_ERROR', message: `Mock failure (${status})` };
+            } else if (!body || !Array.isArray(body.inputs) || body.inputs.length > 100) {
+                status = 400;
+                response = { status: 'error', category: 'VALIDATION_ERROR', message: 'inputs must be an array of at most 100 items' };
+            } else if (duplicateIds(body.inputs).length > 0) {
+                // HubSpot rejects the whole batch, not just the repeated inputs
+                status = 400;
+                response = { status: 'error', category: 'VALIDATION_ERROR', message: `Duplicate IDs found in batch input: [${duplicateIds(body.inputs).join(', ')}]. IDs must be unique` };
+            } else {
+                response = handleUpsert(body);
+            }
+            
+            entry.responseStatus = status;
+            record(entry);
+            send(res, status, response, headers);
+        });
+    });
+    
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(Number(settings.port) || 0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}`,
+                port: port,
+                requests: requests,
+                contacts: contacts,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = {
+    startMockHubSpotServer
+};
+
+// Run the server when executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const flag = (name, fallback) => {
+        const index = args.indexOf(name);
+        return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+    };
+    
+    startMockHubSpotServer({
+        port: flag('--port', 3999),
+        failFirst: flag('--fail-first', 0),
+        failStatus: flag('--fail-status', 429),
+        recordFile: flag('--record', null) && path.resolve(flag('--record')),
+        accessToken: process.env.HUBSPOT_ACCESS_TOKEN
+    }).then(mock => {
+        console.log(`🧪 Mock HubSpot listening on ${mock.url}`);
+        console.log(`   POST ${UPSERT_PATH}`);
+        process.on('SIGINT', () => {
+            console.log(`\n📊 Requests received: ${mock.requests.length}, contacts stored: ${mock.contacts.size}`);
+            mock.close().then(() => process.exit(0));
+        });
+    }).catch(error => {
+        console.error('❌ Could not start mock server:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,138 @@
+const path = require('path');
+const fs = require('fs');
+const { resolveOptions } = require('./lib/config');
+const { loadMapping } = require('./lib/mapping');
+const { datasetFor, readDataset, describeDataset } = require('./lib/io');
+const { pushContacts } = require('./lib/push');
+
+/**
+ * HubSpot Push Script
+ *
+ * Sends the mapped contacts (the hubspot-profile output file) to the HubSpot
+ * contacts batch upsert endpoint in batches of up to 100, using email as the
+ * id property. The access token comes from HUBSPOT_ACCESS_TOKEN.
+ *
+ * --dry-run prints the exact request payloads without sending anything, and
+ * --hubspot-url can point at mock-hubspot-server.js for offline runs.
+ */
+
+/**
+ * Main push function
+ * Returns the push result; throws on failure so callers decide how to exit.
+ */
+async function pushToHubSpot(overrides = {}) {
+    // Pushed rows must carry HubSpot property names, so the hubspot profile is always used
+    const options = resolveOptions({ ...overrides, profile: 'hubspot' });
+    
+    console.log('📤 Starting HubSpot Push');
+    console.log('='.repeat(60));
+    
+    try {
+        const mapping = loadMapping(options.mapping, options);
+        const dataset = datasetFor(options, 'output');
+        
+        console.log('\n📖 Loading mapped contacts...');
+        const rows = readDataset(dataset);
+        console.log(`   ✅ Loaded: ${describeDataset(dataset)}`);
+        console.log(`   📋 Rows: ${rows.length}`);
+        
+        console.log(options.dryRun ? '\n🧪 DRY RUN: building payloads only...' : `\n🚀 Sending batches to ${options.hubspotUrl}...`);
+        const result = await pushContacts(rows, mapping, {
+            dryRun: options.dryRun,
+            batchSize: options.batchSize,
+            hubspotUrl: options.hubspotUrl,
+            maxRetries: options.maxRetries,
+            accessToken: process.env.HUBSPOT_ACCESS_TOKEN,
+            onBatch: entry => {
+                const icon = entry.ok ? '✅' : '❌';
+                const retries = entry.attempts > 1 ? ` after ${entry.attempts} attempts` : '';
+                console.log(`   ${icon} Batch ${entry.batch}: ${entry.size} contacts, HTTP ${entry.httpStatus}${retries}${entry.error ? ` - ${entry.error}` : ''}`);
+            }
+        });
+        
+        if (result.dryRun) {
+            displayDryRun(result);
+        } else {
+            savePushLog(result, options);
+        }
+        
+        displayResults(result);
+        
+        return result;
+        
+    } catch (error) {
+        console.error('\n❌ Error during push:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Print every request a real push would send
+ */
+function displayDryRun(result) {
+    result.requests.forEach(request => {
+        console.log(`\n--- Batch ${request.batch}: POST ${result.url}`);
+        console.log(JSON.stringify(request.payload, null, 2));
+    });
+}
+
+/**
+ * Save the per-batch results log
+ */
+function savePushLog(result, options) {
+    if (!fs.existsSync(options.reportDir)) {
+        fs.mkdirSync(options.reportDir, { recursive: true });
+    }
+    
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const logPath = path.join(options.reportDir, `hubspot-push-${timestamp}.json`);
+    
+    fs.writeFileSync(logPath, JSON.stringify({
+        timestamp: new Date().toISOString(),
+        url: result.url,
+        stats: result.stats,
+        skipped: result.skipped,
+        batches: result.log
+    }, null, 2));
+    console.log(`\n📁 Push log saved: ${logPath}`);
+}
+
+/**
+ * Display push results
+ */
+function displayResults(result) {
+    console.log('\n📈 PUSH RESULTS');
+    console.log('='.repeat(60));
+    console.log(`   🔷 Contacts: ${result.stats.contacts}`);
+    console.log(`   📦 Batches: ${result.stats.batches}`);
+    if (result.stats.skipped > 0) {
+        console.log(`   ⚠️  Rows skipped: ${result.stats.skipped}`);
+        const reasons = {};
+        result.skipped.forEach(item => {
+            reasons[item.reason] = (reasons[item.reason] || 0) + 1;
+        });
+        Object.entries(reasons).forEach(([reason, count]) => {
+            console.log(`      ${reason}: ${count}`);
+        });
+    }
+    if (!result.dryRun) {
+        console.log(`   ✅ Succeeded batches: ${result.stats.succeededBatches}`);
+        console.log(`   ❌ Failed batches: ${result.stats.failedBatches}`);
+        console.log(`   🆕 Created: ${result.stats.created}`);
+        console.log(`   🔄 Updated: ${result.stats.updated}`);
+    }
+}
+
+module.exports = {
+    pushToHubSpot
+};
+
+// Execute the push when run directly
+if (require.main === module) {
+    pushToHubSpot()
+        .then(result => process.exit(result.stats.failedBatches > 0 ? 1 : 0))
+        .catch(error => {
+            console.error(error.stack);
+            process.exit(1);
+        });
+}
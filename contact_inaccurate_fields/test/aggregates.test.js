@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { aggregateRows, aggregateValue, matchesWhere } = require('../lib/aggregates');
+
+const rows = [
+    { 'Stripe Customer Email': 'bob@example.com', 'Status': 'canceled', 'Billing Start Date': '2021-03-01', 'Amount': '10', 'Products': 'Basic' },
+    { 'Stripe Customer Email': 'BOB@example.com', 'Status': 'active', 'Billing Start Date': '2023-07-15', 'Amount': '25', 'Products': 'Premium,Basic' },
+    { 'Stripe Customer Email': 'bob@example.com', 'Status': 'active', 'Billing Start Date': '', 'Amount': 'n/a', 'Products': 'Associates' },
+    { 'Stripe Customer Email': 'alice@example.com', 'Status': 'trialing', 'Billing Start Date': '2024-01-01', 'Amount': '5', 'Products': '' }
+];
+
+const mapping = {
+    columns: [
+        { target: 'First Start', source: 'Billing Start Date', type: 'date', aggregate: 'min' },
+        { target: 'Top Amount', source: 'Amount', type: 'number', aggregate: 'max' },
+        { target: 'Subscriptions', aggregate: 'count' },
+        { target: 'Active Subscriptions', aggregate: 'count', where: { 'Status': ['Active'] } },
+        { target: 'Latest Status', source: 'Status', aggregate: 'first-by', by: 'Billing Start Date', byType: 'date' },
+        { target: 'All Products', source: 'Products', type: 'multi', aggregate: 'concat-distinct' }
+    ]
+};
+
+function valueFor(aggregates, email, target) {
+    const column = mapping.columns.find(candidate => candidate.target === target);
+    return aggregateValue(aggregates, { 'Stripe Customer Email': email }, column);
+}
+
+test('aggregates are computed over every subscription of an email', () => {
+    const aggregates = aggregateRows(rows, mapping);
+
+    assert.equal(valueFor(aggregates, 'bob@example.com', 'First Start'), '2021-03-01');
+    assert.equal(valueFor(aggregates, 'bob@example.com', 'Top Amount'), '25');
+    assert.equal(valueFor(aggregates, 'bob@example.com', 'Subscriptions'), 3);
+    assert.equal(valueFor(aggregates, 'bob@example.com', 'Active Subscriptions'), 2);
+    assert.equal(valueFor(aggregates, 'bob@example.com', 'Latest Status'), 'active');
+    assert.deepEqual(valueFor(aggregates, 'bob@example.com', 'All Products'), ['Basic', 'Premium', 'Associates']);
+});
+
+test('emails without subscriptions get a zero count and blank values', () => {
+    const aggregates = aggregateRows(rows, mapping);
+
+    assert.equal(valueFor(aggregates, 'nobody@example.com', 'Subscriptions'), 0);
+    assert.equal(valueFor(aggregates, 'nobody@example.com', 'First Start'), '');
+    assert.equal(valueFor(aggregates, 'alice@example.com', 'All Products'), '');
+});
+
+test('where filters compare trimmed and case-insensitively', () => {
+    assert.equal(matchesWhere({ 'Status': ' ACTIVE ' }, { 'Status': ['active'] }), true);
+    assert.equal(matchesWhere({ 'Status': 'past_due' }, { 'Status': ['active', 'trialing'] }), false);
+    assert.equal(matchesWhere({}, null), true);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseDate,
+    dateProblem,
+    formatDate,
+    dateFormatPattern,
+    validateDateOptions,
+    excelSerialDateToJSDate
+} = require('../lib/dates');
+
+test('wall-clock strings are read in the given timezone', () => {
+    assert.equal(parseDate('2025-06-20 13:34').toISOString(), '2025-06-20T13:34:00.000Z');
+    assert.equal(parseDate('06/20/2025 01:34 PM', { timeZone: 'America/New_York' }).toISOString(), '2025-06-20T17:34:00.000Z');
+    assert.equal(parseDate('2025-06-20T13:34:00+02:00').toISOString(), '2025-06-20T11:34:00.000Z');
+});
+
+test('Excel serials are wall-clock dates', () => {
+    assert.equal(excelSerialDateToJSDate(45828).toISOString(), '2025-06-20T00:00:00.000Z');
+    assert.equal(parseDate(45828.5, { timeZone: 'Europe/Berlin' }).toISOString(), '2025-06-20T10:00:00.000Z');
+});
+
+test('impossible and blank dates parse as null', () => {
+    assert.equal(parseDate('02/30/2025'), null);
+    assert.equal(parseDate('not a date'), null);
+    assert.equal(parseDate(''), null);
+    assert.equal(dateProblem('not a date'), 'unparseable');
+    assert.equal(dateProblem(1), 'out-of-range');
+    assert.equal(dateProblem('2025-06-20'), null);
+});
+
+test('formatDate writes every output format in the timezone', () => {
+    const date = new Date('2025-06-20T17:34:05Z');
+
+    assert.equal(formatDate(date), '06/20/2025 17:34:05');
+    assert.equal(formatDate(date, { timeZone: 'America/New_York', format: 'iso' }), '2025-06-20T13:34:05-04:00');
+    assert.equal(formatDate(date, { format: 'date' }), '2025-06-20');
+    assert.equal(formatDate(date, { format: 'epoch-ms' }), date.getTime());
+    assert.equal(formatDate('not a date'), 'not a date');
+});
+
+test('formatted dates match their format pattern', () => {
+    const date = new Date('2025-01-02T03:04:05Z');
+    ['mdy', 'iso', 'date', 'epoch-ms'].forEach(format => {
+        assert.match(String(formatDate(date, { format: format, timeZone: 'Asia/Kolkata' })), dateFormatPattern(format));
+    });
+});
+
+test('unknown timezones and formats fail up front', () => {
+    assert.throws(() => validateDateOptions({ timeZone: 'Mars/Olympus' }), /Unknown timezone "Mars\/Olympus"/);
+    assert.throws(() => validateDateOptions({ dateFormat: 'dmy' }), /dmy/);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContactMapper } = require('../lib/mapper');
+const { buildLatestRecordIndex } = require('../lib/records');
+
+const sourceIndex = buildLatestRecordIndex([
+    { 'Stripe Customer Email': 'bob@example.com', 'Id': 'sub_bob', 'Most Recent Create Date': '2024-01-01', 'Coupon': 'NEW' },
+    { 'Stripe Customer Email': 'jonathan@example.com', 'Id': 'sub_jon', 'Most Recent Create Date': '2024-01-01', 'Coupon': 'SAVE10' }
+]);
+const mapping = { columns: [{ source: 'Coupon', target: 'Coupon', type: 'string' }] };
+const contacts = [
+    { 'Record ID': '1', 'Email': 'bob@example.com', 'Coupon': '' },
+    { 'Record ID': '2', 'Email': 'jonahtan@example.com', 'Coupon': '' },
+    { 'Record ID': '3', 'Email': 'carol@example.com', 'Coupon': '' }
+];
+
+test('sinks take the per-contact lists out of the result and keep the counts', () => {
+    const reviewRows = [];
+    const mapper = createContactMapper(sourceIndex, mapping, { fuzzyDistance: 2 }, null, {
+        unmatched: false,
+        review: row => reviewRows.push(row)
+    });
+    const rows = contacts.map((row, index) => mapper.mapRow(row, index)).filter(Boolean);
+    const result = mapper.finish(rows, rows.length);
+
+    assert.equal(rows.length, 1);
+    assert.deepEqual(result.unmatched, []);
+    assert.deepEqual(result.review, []);
+    assert.equal(result.stats.unmatched, 2);
+    assert.deepEqual(reviewRows.map(row => row['Source Email']), ['jonathan@example.com']);
+});
+
+test('without sinks the lists are kept', () => {
+    const mapper = createContactMapper(sourceIndex, mapping, { fuzzyDistance: 2 });
+    contacts.forEach((row, index) => mapper.mapRow(row, index));
+    const result = mapper.finish([], 1);
+
+    assert.equal(result.unmatched.length, 2);
+    assert.equal(result.review.length, 1);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseMatchRules,
+    canonicalEmail,
+    editDistance,
+    acceptsMatch,
+    createEmailMatcher
+} = require('../lib/matching');
+const { buildLatestRecordIndex } = require('../lib/records');
+
+const sourceIndex = buildLatestRecordIndex([
+    { 'Stripe Customer Email': 'jane.doe@gmail.com', 'Id': 'sub_jane', 'Most Recent Create Date': '2024-01-01' },
+    { 'Stripe Customer Email': 'sam@example.com', 'Id': 'sub_sam', 'Most Recent Create Date': '2024-01-01' },
+    { 'Stripe Customer Email': 'jonathan@example.com', 'Id': 'sub_jon', 'Most Recent Create Date': '2024-01-01' }
+]);
+
+test('parseMatchRules puts the rules in their fixed order', () => {
+    assert.deepEqual(parseMatchRules('gmail, plus-tags,unicode,invisible'), ['invisible', 'unicode', 'plus-tags', 'gmail']);
+    assert.deepEqual(parseMatchRules(undefined), []);
+    assert.throws(() => parseMatchRules('soundex'), /Unknown match rule "soundex"/);
+});
+
+test('canonicalEmail reports the rules that changed the address', () => {
+    assert.deepEqual(canonicalEmail('jane.doe+news@googlemail.com', ['gmail']), { email: 'janedoe@gmail.com', rules: ['gmail'] });
+    assert.deepEqual(canonicalEmail('sam+x@example.com', ['plus-tags', 'gmail']), { email: 'sam@example.com', rules: ['plus-tags'] });
+    assert.deepEqual(canonicalEmail('sam\u200B@example.com', ['invisible']), { email: 'sam@example.com', rules: ['invisible'] });
+});
+
+test('editDistance counts adjacent swaps as one edit and gives up past the limit', () => {
+    assert.equal(editDistance('jonathan', 'jonahtan', 2), 1);
+    assert.equal(editDistance('kitten', 'sitting', 5), 3);
+    assert.equal(editDistance('kitten', 'sitting', 1), 2);
+});
+
+test('exact matches always win with full confidence', () => {
+    const matcher = createEmailMatcher(sourceIndex, { matchRules: 'gmail', fuzzyDistance: 2 });
+    const match = matcher.match(' Sam@Example.com ');
+
+    assert.equal(match.method, 'exact');
+    assert.equal(match.confidence, 1);
+    assert.equal(match.record.row.Id, 'sub_sam');
+});
+
+test('alias matches take the lowest confidence of the rules used', () => {
+    const matcher = createEmailMatcher(sourceIndex, { matchRules: 'gmail,plus-tags' });
+    const match = matcher.match('JaneDoe+shop@googlemail.com');
+
+    assert.equal(match.method, 'alias');
+    assert.equal(match.email, 'jane.doe@gmail.com');
+    assert.equal(match.confidence, 0.9);
+    assert.equal(createEmailMatcher(sourceIndex).match('janedoe@gmail.com'), null);
+});
+
+test('fuzzy matches are capped below the review threshold', () => {
+    const matcher = createEmailMatcher(sourceIndex, { fuzzyDistance: 2 });
+    const match = matcher.match('jonahtan@example.com');
+
+    assert.equal(match.method, 'fuzzy');
+    assert.equal(match.distance, 1);
+    assert.ok(match.confidence < 0.85);
+    assert.equal(acceptsMatch(match), false);
+    assert.equal(acceptsMatch(match, { reviewThreshold: 0.5 }), true);
+    assert.equal(matcher.match('nobody@elsewhere.org'), null);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason } = require('../lib/policies');
+
+function field(incoming, existing, sourceRow = {}, targetRow = {}) {
+    return { incoming: incoming, existing: existing, sourceRow: sourceRow, targetRow: targetRow };
+}
+
+test('overwrite always writes the source value', () => {
+    assert.equal(skipReason({ policy: 'overwrite' }, field('', 'SAVE10')), null);
+    assert.equal(skipReason({}, field('', 'SAVE10')), null);
+});
+
+test('fill-blanks-only writes only into blank fields', () => {
+    const column = { policy: 'fill-blanks-only' };
+    assert.equal(skipReason(column, field('NEW', '')), null);
+    assert.equal(skipReason(column, field('NEW', 'OLD')), 'contact already has a value');
+});
+
+test('never-blank does not blank a good value', () => {
+    const column = { policy: 'never-blank' };
+    assert.equal(skipReason(column, field('', 'OLD')), 'source value is blank');
+    assert.equal(skipReason(column, field('NEW', 'OLD')), null);
+    assert.equal(skipReason(column, field('', '')), null);
+});
+
+test('source-newer-wins compares the source date with the contact update date', () => {
+    const column = { policy: 'source-newer-wins', targetUpdatedColumn: 'Last Modified Date' };
+    const newer = { 'Most Recent Create Date': '2024-06-01' };
+    const older = { 'Most Recent Create Date': '2023-06-01' };
+    const contact = { 'Last Modified Date': '2024-01-01' };
+
+    assert.equal(skipReason(column, field('A', 'B', newer, contact)), null);
+    assert.equal(skipReason(column, field('A', 'B', older, contact)), 'contact updated after source record');
+    assert.equal(skipReason(column, field('A', 'B', {}, contact)), 'source record has no date');
+    assert.equal(skipReason(column, field('A', 'B', older, {})), null);
+});
+
+test('unknown policies are reported', () => {
+    assert.throws(() => skipReason({ policy: 'sometimes' }, field('A', 'B')), /Unknown overwrite policy "sometimes"/);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildUpsertInputs, chunk, pushContacts } = require('../lib/push');
+const { startMockHubSpotServer } = require('../mock-hubspot-server');
+
+const mapping = { columns: [] };
+
+test('full rows send every mapped property and leave out identity columns', () => {
+    const { inputs, skipped } = buildUpsertInputs([
+        { 'Record ID': '101', 'email': ' bob@example.com ', 'Source Id': 'sub_1', 'coupon': 'NEW', 'products': 'Basic' }
+    ], mapping);
+
+    assert.deepEqual(inputs, [{ idProperty: 'email', id: 'bob@example.com', properties: { coupon: 'NEW', products: 'Basic' } }]);
+    assert.deepEqual(skipped, []);
+});
+
+test('diff rows send only the new values of their changed fields', () => {
+    const { inputs } = buildUpsertInputs([
+        { 'email': 'bob@example.com', 'old_coupon': 'OLD', 'new_coupon': '', 'old_products': 'Basic', 'new_products': 'Basic', 'Changed Fields': 'coupon' }
+    ], mapping);
+
+    assert.deepEqual(inputs[0].properties, { coupon: '' });
+});
+
+test('blank values are sent only for overwrite columns', () => {
+    const policyMapping = {
+        columns: [
+            { target: 'Coupon', property: 'coupon', policy: 'overwrite' },
+            { target: 'Discount', property: 'discount', policy: 'never-blank' },
+            { target: 'Products', property: 'products', policy: 'fill-blanks-only' }
+        ]
+    };
+    const { inputs } = buildUpsertInputs([
+        { 'email': 'bob@example.com', 'coupon': '', 'discount': ' ', 'products': 'Basic' },
+        { 'email': 'alice@example.com', 'new_coupon': '', 'new_discount': '', 'Changed Fields': 'coupon, discount' }
+    ], policyMapping);
+
+    assert.deepEqual(inputs[0].properties, { coupon: '', products: 'Basic' });
+    assert.deepEqual(inputs[1].properties, { coupon: '' });
+});
+
+test('rows without an email and unmatched contacts are skipped', () => {
+    const { inputs, skipped } = buildUpsertInputs([
+        { 'email': '', 'coupon': 'NEW' },
+        { 'email': 'carol@example.com', 'Match Status': 'no-source', 'coupon': '' }
+    ], mapping);
+
+    assert.equal(inputs.length, 0);
+    assert.deepEqual(skipped, [
+        { rowNumber: 2, reason: 'Missing email' },
+        { rowNumber: 3, reason: 'Match Status no-source' }
+    ]);
+});
+
+test('repeats of an email already sent are skipped', () => {
+    const { inputs, skipped } = buildUpsertInputs([
+        { 'email': 'bob@example.com', 'coupon': 'NEW' },
+        { 'email': 'alice@example.com', 'coupon': 'SAVE10' },
+        { 'email': ' BOB@example.com', 'coupon': 'NEW' }
+    ], mapping);
+
+    assert.deepEqual(inputs.map(input => input.id), ['bob@example.com', 'alice@example.com']);
+    assert.deepEqual(skipped, [{ rowNumber: 4, reason: 'Duplicate email (row 2 already sent)' }]);
+});
+
+test('chunk splits inputs into batches', () => {
+    assert.deepEqual(chunk([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+});
+
+test('a dry run returns the payloads without sending them', async () => {
+    const rows = Array.from({ length: 3 }, (value, index) => ({ 'email': `user${index}@example.com`, 'coupon': 'NEW' }));
+    const result = await pushContacts(rows, mapping, { dryRun: true, batchSize: 2, fetch: () => assert.fail('nothing may be sent') });
+
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(result.requests.map(request => request.payload.inputs.length), [2, 1]);
+});
+
+test('push round-trips through the mock server, retrying a rate limit', async () => {
+    const mock = await startMockHubSpotServer({ failFirst: 1, accessToken: 'token' });
+    try {
+        const rows = [
+            { 'email': 'bob@example.com', 'coupon': 'NEW' },
+            { 'email': 'alice@example.com', 'coupon': 'SAVE10' },
+            { 'email': 'carol@example.com', 'coupon': '' }
+        ];
+        const result = await pushContacts(rows, mapping, { hubspotUrl: mock.url, accessToken: 'token', batchSize: 2, retryDelayMs: 0 });
+
+        assert.deepEqual(result.stats, {
+            totalRows: 3,
+            contacts: 3,
+            skipped: 0,
+            batches: 2,
+            succeededBatches: 2,
+            failedBatches: 0,
+            created: 3,
+            updated: 0
+        });
+        assert.equal(result.log[0].attempts, 2);
+        assert.deepEqual(mock.requests.map(request => request.responseStatus), [429, 200, 200]);
+        assert.equal(mock.contacts.get('alice@example.com').properties.coupon, 'SAVE10');
+    } finally {
+        await mock.close();
+    }
+});
+
+test('the mock rejects requests with the wrong token', async () => {
+    const mock = await startMockHubSpotServer({ accessToken: 'token' });
+    try {
+        const result = await pushContacts([{ 'email': 'bob@example.com', 'coupon': 'NEW' }], mapping, {
+            hubspotUrl: mock.url,
+            accessToken: 'wrong',
+            maxRetries: 0,
+            retryDelayMs: 0
+        });
+
+        assert.equal(result.stats.failedBatches, 1);
+        assert.equal(result.log[0].httpStatus, 401);
+    } finally {
+        await mock.close();
+    }
+});
+
+test('the mock rejects a batch that names an email twice', async () => {
+    const mock = await startMockHubSpotServer();
+    try {
+        const response = await fetch(`${mock.url}/crm/v3/objects/contacts/batch/upsert`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                inputs: [
+                    { idProperty: 'email', id: 'bob@example.com', properties: { coupon: 'NEW' } },
+                    { idProperty: 'email', id: 'Bob@example.com', properties: { coupon: 'NEW' } }
+                ]
+            })
+        });
+        const body = await response.json();
+
+        assert.equal(response.status, 400);
+        assert.equal(body.category, 'VALIDATION_ERROR');
+        assert.match(body.message, /Duplicate IDs found in batch input: \[bob@example.com\]/);
+        assert.equal(mock.contacts.size, 0);
+    } finally {
+        await mock.close();
+    }
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    normalizeEmail,
+    isValidEmail,
+    buildLatestRecordIndex,
+    createStreamingRecordIndex,
+    selectionReason
+} = require('../lib/records');
+const { resolveStrategy } = require('../lib/strategies');
+
+function subscription(email, id, createDate, extra = {}) {
+    return { 'Stripe Customer Email': email, 'Id': id, 'Most Recent Create Date': createDate, ...extra };
+}
+
+const rows = [
+    subscription('Bob@Example.com ', 'sub_old', '2023-01-01'),
+    subscription('alice@example.com', 'sub_a', '2024-05-01'),
+    subscription('bob@example.com', 'sub_new', '2024-01-01'),
+    subscription('', 'sub_none', '2024-01-01'),
+    subscription('bob@example.com', 'sub_undated', '')
+];
+
+test('normalizeEmail lowercases and trims, and rejects non-strings', () => {
+    assert.equal(normalizeEmail('  Bob@Example.COM '), 'bob@example.com');
+    assert.equal(normalizeEmail('   '), null);
+    assert.equal(normalizeEmail(42), null);
+    assert.equal(isValidEmail('bob@example.com'), true);
+    assert.equal(isValidEmail('bob@example'), false);
+});
+
+test('buildLatestRecordIndex selects the latest create date per email', () => {
+    const index = buildLatestRecordIndex(rows);
+
+    assert.equal(index.records.get('bob@example.com').row.Id, 'sub_new');
+    assert.equal(index.records.get('bob@example.com').rowNumber, 4);
+    assert.equal(index.records.get('alice@example.com').row.Id, 'sub_a');
+    assert.deepEqual(index.groups.get('bob@example.com').map(candidate => candidate.row.Id), ['sub_new', 'sub_old', 'sub_undated']);
+    assert.deepEqual(index.stats, { totalRows: 5, skippedRows: 1, uniqueEmails: 2, multipleIdEmails: 1 });
+});
+
+test('ties keep the earlier row and say so in the selection reason', () => {
+    const tied = [
+        subscription('carol@example.com', 'sub_first', '2024-01-01'),
+        subscription('carol@example.com', 'sub_second', '2024-01-01')
+    ];
+    const index = buildLatestRecordIndex(tied);
+
+    assert.equal(index.records.get('carol@example.com').row.Id, 'sub_first');
+    assert.equal(selectionReason(index.groups.get('carol@example.com'), index.strategy), 'Latest Create Date, 1 of 2 rows, tie kept in sheet order');
+});
+
+test('prefer-active-then-latest ranks active subscriptions before newer ones', () => {
+    const index = buildLatestRecordIndex([
+        subscription('dan@example.com', 'sub_canceled', '2024-06-01', { 'Status': 'canceled' }),
+        subscription('dan@example.com', 'sub_active', '2023-06-01', { 'Status': 'Active' })
+    ], { strategy: 'prefer-active-then-latest' });
+
+    assert.equal(index.records.get('dan@example.com').row.Id, 'sub_active');
+});
+
+test('latest-billing-end ranks by billing end date, then create date', () => {
+    const index = buildLatestRecordIndex([
+        subscription('erin@example.com', 'sub_newer', '2024-06-01', { 'Billing End Date': '2024-12-31' }),
+        subscription('erin@example.com', 'sub_longer', '2023-06-01', { 'Billing End Date': '2025-12-31' })
+    ], { strategy: 'latest-billing-end' });
+
+    assert.equal(index.records.get('erin@example.com').row.Id, 'sub_longer');
+});
+
+test('unknown strategies are reported', () => {
+    assert.throws(() => resolveStrategy('no-such-strategy'), /Unknown strategy "no-such-strategy"/);
+});
+
+test('createStreamingRecordIndex selects the same rows as the in-memory index', () => {
+    const streaming = createStreamingRecordIndex();
+    rows.forEach((row, index) => streaming.add(row, index));
+    const index = streaming.finish();
+    const inMemory = buildLatestRecordIndex(rows);
+
+    inMemory.records.forEach((record, email) => {
+        assert.equal(index.records.get(email).row.Id, record.row.Id);
+    });
+    assert.equal(index.records.get('bob@example.com').groupSize, 3);
+    assert.deepEqual(index.stats, inMemory.stats);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createVerification, recordTest, generateFinalStatus } = require('../lib/verifier');
+const { renderJunit, renderTap } = require('../lib/report-formats');
+
+function verification() {
+    const result = createVerification();
+    recordTest(result, { name: 'Email Matching', status: 'PASSED', issues: [], details: {} });
+    recordTest(result, { name: 'Row Selection (latest create date)', status: 'SKIPPED', skipReason: 'provenance columns are off (--provenance=false)', issues: [], details: {} });
+    recordTest(result, { name: 'Field Mapping Accuracy', status: 'PASSED', issues: ['Coupon mismatch for bob@example.com'], details: {} });
+    generateFinalStatus(result);
+    return result;
+}
+
+test('a skipped test neither passes nor fails the run', () => {
+    const result = createVerification();
+    recordTest(result, { name: 'Row Selection', status: 'SKIPPED', skipReason: 'nothing to check', issues: [], details: {} });
+    generateFinalStatus(result);
+
+    assert.equal(result.status, 'PASSED');
+    assert.deepEqual([result.summary.passedTests, result.summary.failedTests, result.summary.skippedTests], [0, 0, 1]);
+});
+
+test('JUnit marks skipped tests with <skipped/>', () => {
+    const xml = renderJunit(verification());
+
+    assert.match(xml, /tests="3" failures="1" errors="0" skipped="1"/);
+    assert.match(xml, /name="Row Selection \(latest create date\)">\n {6}<skipped message="provenance columns are off \(--provenance=false\)"\/>/);
+    assert.match(xml, /<failure message="Coupon mismatch for bob@example.com"/);
+});
+
+test('TAP marks skipped tests with # SKIP', () => {
+    const lines = renderTap(verification()).split('\n');
+
+    assert.equal(lines[3], 'ok 2 - Row Selection (latest create date) # SKIP provenance columns are off (--provenance=false)');
+    assert.equal(lines[4], 'not ok 3 - Field Mapping Accuracy');
+});
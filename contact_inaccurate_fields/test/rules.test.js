@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRuleIndex, ruleDecision, asOfDate } = require('../lib/rules');
+
+const column = {
+    target: 'Lifecycle State',
+    default: 'Customer',
+    rules: [
+        {
+            name: 'churned',
+            value: 'Churned',
+            when: [
+                { every: 'Status', in: ['canceled'] },
+                { latest: 'Billing End Date', before: 'now' }
+            ]
+        },
+        { name: 'at-risk', value: 'At Risk', when: [{ any: 'Status', in: ['past_due'] }] },
+        { name: 'no-trials', value: 'Paying', when: [{ none: 'Status', in: ['trialing'] }, { earliest: 'Billing Start Date', after: '2020-01-01' }] }
+    ]
+};
+const mapping = { columns: [column] };
+
+function decide(rows, options = { asOf: '2025-01-01' }) {
+    const index = createRuleIndex(mapping, options);
+    rows.forEach(row => index.add({ 'Stripe Customer Email': 'bob@example.com', ...row }));
+    return ruleDecision(index.finish(), { 'Stripe Customer Email': 'bob@example.com' }, column);
+}
+
+test('the first rule whose conditions all hold sets the value', () => {
+    assert.deepEqual(decide([
+        { 'Status': 'canceled', 'Billing End Date': '2024-03-01' },
+        { 'Status': 'Canceled', 'Billing End Date': '2024-06-01' }
+    ]), { rule: 'churned', value: 'Churned' });
+    assert.deepEqual(decide([
+        { 'Status': 'canceled', 'Billing End Date': '2024-03-01' },
+        { 'Status': 'past_due', 'Billing End Date': '2025-06-01' }
+    ]), { rule: 'at-risk', value: 'At Risk' });
+});
+
+test('"now" is the as-of date, so a run can be repeated', () => {
+    const rows = [{ 'Status': 'canceled', 'Billing End Date': '2024-06-01', 'Billing Start Date': '2023-01-01' }];
+
+    assert.equal(decide(rows, { asOf: '2024-12-31' }).rule, 'churned');
+    assert.equal(decide(rows, { asOf: '2024-05-01' }).rule, 'no-trials');
+    assert.throws(() => asOfDate({ asOf: 'someday' }), /Invalid as-of date "someday"/);
+});
+
+test('date conditions on a column without dates do not hold', () => {
+    assert.deepEqual(decide([{ 'Status': 'canceled', 'Billing End Date': '' }]), { rule: 'default', value: 'Customer' });
+});
+
+test('emails without subscriptions get the default', () => {
+    const index = createRuleIndex(mapping, { asOf: '2025-01-01' });
+    assert.deepEqual(ruleDecision(index.finish(), { 'Stripe Customer Email': 'nobody@example.com' }, column), { rule: 'default', value: 'Customer' });
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mapContacts } = require('../lib/mapper');
+const { verifyMapping } = require('../lib/verifier');
+
+const sourceRows = [
+    { 'Stripe Customer Email': 'bob@example.com', 'Id': 'sub_old', 'Record ID': '1', 'Most Recent Create Date': '2024-06-01', 'Billing End Date': '2024-12-31', 'Status': 'canceled', 'Products': 'Basic', 'Coupon': 'OLD' },
+    { 'Stripe Customer Email': 'bob@example.com', 'Id': 'sub_new', 'Record ID': '2', 'Most Recent Create Date': '2024-01-01', 'Billing End Date': '2025-12-31', 'Status': 'active', 'Products': 'Premium', 'Coupon': 'NEW' },
+    { 'Stripe Customer Email': 'alice@example.com', 'Id': 'sub_alice', 'Record ID': '3', 'Most Recent Create Date': '2024-01-01', 'Billing End Date': '', 'Status': 'active', 'Products': 'Basic', 'Coupon': '' }
+];
+const targetRows = [
+    { 'Record ID': '101', 'Email': 'bob@example.com', 'Products': '', 'Coupon': '' },
+    { 'Record ID': '102', 'Email': 'alice@example.com', 'Products': '', 'Coupon': '' }
+];
+const mapping = {
+    columns: [
+        { source: 'Products', target: 'Products', type: 'multi', delimiter: ',', combine: true, combineStatuses: ['active', 'canceled'] },
+        { source: 'Coupon', target: 'Coupon', type: 'string' },
+        { target: 'Subscriptions', aggregate: 'count' }
+    ]
+};
+
+function verify(outputRows, options) {
+    return verifyMapping({ sourceRows, targetRows, outputRows, mapping }, options);
+}
+
+test('the mapped output of each built-in strategy verifies', () => {
+    ['latest-create-date', 'prefer-active-then-latest', 'latest-billing-end'].forEach(strategy => {
+        const options = { strategy: strategy, provenance: true };
+        const { rows } = mapContacts(sourceRows, targetRows, mapping, options);
+        const verification = verify(rows, options);
+
+        assert.equal(verification.status, 'PASSED', `${strategy}: ${verification.issues.join('; ')}`);
+    });
+});
+
+test('a row the strategy does not rank first fails row selection and field accuracy', () => {
+    const options = { strategy: 'latest-billing-end', provenance: true };
+    const { rows } = mapContacts(sourceRows, targetRows, mapping, { ...options, strategy: 'latest-create-date' });
+    const verification = verify(rows, options);
+    const failed = verification.tests.filter(check => check.status === 'FAILED').map(check => check.name);
+
+    assert.deepEqual(failed, ['Row Selection (Latest Billing End)', 'Field Mapping Accuracy']);
+});